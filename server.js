@@ -11,9 +11,78 @@ import cors from 'cors'
 import { MongoClient } from 'mongodb'
 import dotenv from 'dotenv'
 import { format } from 'util'
-// EID verification removed - OpenAI integration no longer used
-// import { processEmiratesID } from './services/longcat-ocr.js'
-import { generateOTP, sendOTP, getOTPExpiry, isOTPExpired, getOTPConfig } from './services/otp-service.js'
+import { processEmiratesID } from './services/longcat-ocr.js'
+import { readEmiratesId, isEmiratesIdOcrEnabled, getEidVerificationPolicy, verifyEmiratesId, unreadableEmiratesId } from './services/eid-verification.js'
+import {
+  OTP_CHANNELS,
+  generateOTP,
+  deliverOTP,
+  getOTPExpiry,
+  isOTPExpired,
+  getOTPConfig,
+  isOTPHashConfigured,
+  hashOTP,
+  verifyOTPHash
+} from './services/otp-service.js'
+import { ensureIndexes } from './services/db-indexes.js'
+import {
+  isOtpTokenConfigured,
+  issueOtpVerificationToken,
+  verifyOtpVerificationToken,
+  consumeOtpVerificationToken,
+  releaseOtpVerificationToken
+} from './services/otp-token.js'
+import { createOtpRateLimiter } from './services/otp-rate-limit.js'
+import { createRequestRateLimiter, HOUR_MS, DAY_MS } from './services/request-rate-limit.js'
+import { readIntegerSetting } from './services/settings.js'
+import { normalizePhoneNumber } from './services/phone-number.js'
+import { createAWBAllocator, validateAWBFormat, isValidAWBCheckCharacter } from './services/awb.js'
+import { DEFAULT_SERVICE, getRoute, getRouteByAwb, listRoutes, getPartyCountry } from './services/route-registry.js'
+import { getBookingSchema, validateBooking, normalizeItems } from './services/booking-schema.js'
+import { COMMODITY_CATEGORIES, screenItems } from './services/commodity-screening.js'
+import { buildCustomsDocuments } from './services/customs.js'
+import { renderCustomsPdf } from './services/customs-pdf.js'
+import { renderShippingLabels } from './services/shipping-label.js'
+import { createRateEngine } from './services/rate-engine.js'
+import { createBookingNotifier } from './services/booking-notifications.js'
+import { isValidEmailAddress } from './services/mailer.js'
+import { toPublicBooking, toTrackingView, isBookingOwner, generateReferenceNumber } from './services/booking-view.js'
+import {
+  BOOKING_STATUSES,
+  INITIAL_BOOKING_STATUS,
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  buildStatusHistoryEntry
+} from './services/booking-status.js'
+import {
+  STAFF_ROLES,
+  isAuthConfigured,
+  hashPassword,
+  verifyStaffPassword,
+  validatePasswordStrength,
+  issueStaffToken,
+  toPublicStaffUser,
+  ensureBootstrapAdmin,
+  createStaffAuth
+} from './services/auth-service.js'
+import {
+  BOOKING_LIST_PROJECTION,
+  BOOKING_LIST_SORT,
+  buildBookingListQuery,
+  encodeCursor
+} from './services/booking-query.js'
+import { createBlobStore, isValidContentHash } from './services/blob-store.js'
+import {
+  parseImageDataUrl,
+  prepareIdentityImages,
+  storeIdentityImages,
+  deleteUnreferencedImages,
+  listImageRefs,
+  withoutInlineImages
+} from './services/identity-documents.js'
+import { detectImageType, getImageLimits } from './services/image-validation.js'
+import { detectCard } from './services/card-detection.js'
 
 // Load environment variables
 dotenv.config()
@@ -93,140 +162,13 @@ console.warn = () => {}
 console.info = () => {}
 console.debug = () => {}
 
-// ============================================================================
-// AWB (Air Waybill) Generation Utilities
-// ============================================================================
-
-/**
- * Generate random uppercase letters
- * @param {number} length - Number of letters to generate
- * @returns {string} Random uppercase letters
- */
-function generateRandomLetters(length) {
-  const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
-  let result = ''
-  for (let i = 0; i < length; i++) {
-    result += letters.charAt(Math.floor(Math.random() * letters.length))
-  }
-  return result
-}
-
-/**
- * Generate random digits
- * @param {number} length - Number of digits to generate
- * @returns {string} Random digits
- */
-function generateRandomDigits(length) {
-  let result = ''
-  for (let i = 0; i < length; i++) {
-    result += Math.floor(Math.random() * 10).toString()
-  }
-  return result
-}
-
-/**
- * Generate random alphanumeric characters (uppercase letters and digits)
- * @param {number} length - Number of characters to generate
- * @returns {string} Random alphanumeric characters
- */
-function generateRandomAlphanumeric(length) {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789'
-  let result = ''
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length))
-  }
-  return result
-}
-
-/**
- * Generate AWB (Air Waybill) number based on service type
- * Format:
- * - UAE to PH: AE + 2 letters + 3 digits + 2 letters + 8 alphanumeric (17 chars)
- * - PH to UAE: PH + 2 letters + 3 digits + 2 letters + 8 alphanumeric (17 chars)
- * @param {string} service - Service type ('uae-to-pinas' or 'ph-to-uae' / 'philippines-to-uae')
- * @returns {string} Generated AWB number
- */
-function generateAWB(service) {
-  // Determine prefix based on service
-  const serviceLower = (service || 'uae-to-pinas').toLowerCase()
-  const isPhilippinesToUAE = serviceLower.includes('philippines-to-uae') || 
-                              serviceLower.includes('pinas-to-uae') ||
-                              serviceLower.includes('ph-to-uae')
-  const prefix = isPhilippinesToUAE ? 'PH' : 'AE'
-  
-  // Generate components
-  const twoLetters1 = generateRandomLetters(2)      // 2 uppercase letters
-  const threeDigits = generateRandomDigits(3)       // 3 digits
-  const twoLetters2 = generateRandomLetters(2)     // 2 uppercase letters
-  const eightAlphanumeric = generateRandomAlphanumeric(8) // 8 alphanumeric
-  
-  return `${prefix}${twoLetters1}${threeDigits}${twoLetters2}${eightAlphanumeric}`
-}
-
-/**
- * Validate AWB format based on service type
- * @param {string} awb - AWB number to validate
- * @param {string} service - Service type
- * @returns {boolean} True if AWB format is valid
- */
-function validateAWBFormat(awb, service) {
-  if (!awb || typeof awb !== 'string' || awb.length !== 17) {
-    return false
-  }
-  
-  const serviceLower = (service || 'uae-to-pinas').toLowerCase()
-  const isPhilippinesToUAE = serviceLower.includes('philippines-to-uae') || 
-                              serviceLower.includes('pinas-to-uae') ||
-                              serviceLower.includes('ph-to-uae')
-  
-  const awbRegex = isPhilippinesToUAE
-    ? /^PH[A-Z]{2}[0-9]{3}[A-Z]{2}[A-Z0-9]{8}$/
-    : /^AE[A-Z]{2}[0-9]{3}[A-Z]{2}[A-Z0-9]{8}$/
-  
-  return awbRegex.test(awb)
-}
-
-/**
- * Generate unique AWB by checking database for duplicates
- * @param {string} service - Service type
- * @param {Object} collection - MongoDB collection instance
- * @param {number} maxAttempts - Maximum number of generation attempts (default: 10)
- * @returns {Promise<string>} Unique AWB number
- * @throws {Error} If unable to generate unique AWB after max attempts
- */
-async function generateUniqueAWB(service, collection, maxAttempts = 10) {
-  let awb
-  let isUnique = false
-  let attempts = 0
-  
-  while (!isUnique && attempts < maxAttempts) {
-    awb = generateAWB(service)
-    
-    // Validate format
-    if (!validateAWBFormat(awb, service)) {
-      attempts++
-      continue
-    }
-    
-    // Check if AWB already exists in database
-    const existingBooking = await collection.findOne({ awb: awb })
-    if (!existingBooking) {
-      isUnique = true
-    } else {
-      attempts++
-    }
-  }
-  
-  if (!isUnique) {
-    throw new Error(`Failed to generate unique AWB after ${maxAttempts} attempts`)
-  }
-  
-  return awb
-}
-
 const app = express()
 const PORT = process.env.PORT || 5000
 
+// Number of reverse proxies in front of the app (Vercel/Render), so req.ip is the client address
+// 0 when clients connect directly, so X-Forwarded-For cannot be used to pick another IP
+app.set('trust proxy', readIntegerSetting('TRUST_PROXY_HOPS', 1, 0, 10))
+
 // MongoDB configuration
 const MONGODB_URI = process.env.MONGODB_URI
 
@@ -248,6 +190,21 @@ function extractDatabaseName(uri) {
 const DB_NAME = process.env.MONGODB_DB_NAME || extractDatabaseName(MONGODB_URI) || 'test'
 const COLLECTION_NAME = process.env.MONGODB_COLLECTION_NAME || 'bookings'
 const OTP_COLLECTION_NAME = process.env.MONGODB_OTP_COLLECTION_NAME || 'otps'
+const STAFF_COLLECTION_NAME = process.env.MONGODB_STAFF_COLLECTION_NAME || 'staff_users'
+const RATE_LIMIT_COLLECTION_NAME = process.env.MONGODB_RATE_LIMIT_COLLECTION_NAME || 'otp_rate_limits'
+const AWB_COUNTER_COLLECTION_NAME = process.env.MONGODB_AWB_COUNTER_COLLECTION_NAME || 'awb_counters'
+const RATE_CARD_COLLECTION_NAME = process.env.MONGODB_RATE_CARD_COLLECTION_NAME || 'rate_cards'
+
+// Labels per POST /api/bookings/labels request (one page each)
+const MAX_LABELS_PER_BATCH = 100
+
+// Failed ownership checks of the booking lookups (wrong reference number or phone digits)
+const LOOKUP_FAILED_BOOKING_DAILY_LIMIT = readIntegerSetting('LOOKUP_FAILED_BOOKING_DAILY_LIMIT', 10, 1, 1000)
+const LOOKUP_FAILED_IP_HOURLY_LIMIT = readIntegerSetting('LOOKUP_FAILED_IP_HOURLY_LIMIT', 20, 1, 100000)
+
+// Image endpoints of the booking form, per client IP and per verified phone number
+const PROCESS_IMAGE_HOURLY_LIMIT = readIntegerSetting('PROCESS_IMAGE_HOURLY_LIMIT', 60, 1, 100000)
+const OCR_HOURLY_LIMIT = readIntegerSetting('OCR_HOURLY_LIMIT', 20, 1, 100000)
 
 if (!MONGODB_URI) {
   process.exit(1)
@@ -287,12 +244,93 @@ async function connectToDatabase() {
       originalConsole.log(`   ℹ️  Collection '${OTP_COLLECTION_NAME}' will be created on first insert`)
     }
     
+    // Ensure indexes (TTL cleanup of OTPs and counters, unique AWBs and staff emails)
+    const indexFailures = await ensureIndexes(db, {
+      bookings: COLLECTION_NAME,
+      otps: OTP_COLLECTION_NAME,
+      rateLimits: RATE_LIMIT_COLLECTION_NAME,
+      awbCounters: AWB_COUNTER_COLLECTION_NAME,
+      rateCards: RATE_CARD_COLLECTION_NAME,
+      staff: STAFF_COLLECTION_NAME
+    })
+    indexFailures.forEach(failure => {
+      originalConsole.log(`   ⚠️  Index ${failure.collection}.${failure.name} could not be created: ${failure.error}`)
+    })
+    
     return client
   } catch (error) {
     throw error
   }
 }
 
+/**
+ * Get the staff users collection
+ * @returns {Promise<Object>} - MongoDB collection instance
+ */
+async function getStaffCollection() {
+  const client = await connectToDatabase()
+  return client.db(DB_NAME).collection(STAFF_COLLECTION_NAME)
+}
+
+// Role-based protection for back-office routes: requireStaff('warehouse', ...)
+const requireStaff = createStaffAuth({ getStaffCollection })
+
+// OTP abuse protection: resend cooldown, hourly/daily caps and lockouts
+const otpRateLimiter = createOtpRateLimiter({
+  getCollection: async () => (await connectToDatabase()).db(DB_NAME).collection(RATE_LIMIT_COLLECTION_NAME)
+})
+
+// Booking lookups: failed ownership checks per booking and per client IP, so the
+// last 4 phone digits (10,000 values) cannot be guessed
+const lookupRateLimiter = createRequestRateLimiter({
+  getCollection: async () => (await connectToDatabase()).db(DB_NAME).collection(RATE_LIMIT_COLLECTION_NAME),
+  name: 'lookup',
+  limits: [
+    { scope: 'booking', windowMs: DAY_MS, limit: LOOKUP_FAILED_BOOKING_DAILY_LIMIT, reason: 'Too many failed attempts for this booking. Please try again later.' },
+    { scope: 'ip', windowMs: HOUR_MS, limit: LOOKUP_FAILED_IP_HOURLY_LIMIT, reason: 'Too many failed attempts from this network. Please try again later.' }
+  ]
+})
+
+/**
+ * Create the rate limiter of an image endpoint: hourly requests per client IP and per verified phone number
+ * @param {string} name - Counter name prefix
+ * @param {number} limit - Requests per hour for each key
+ * @returns {Object} - Request rate limiter
+ */
+function createImageRateLimiter(name, limit) {
+  return createRequestRateLimiter({
+    getCollection: async () => (await connectToDatabase()).db(DB_NAME).collection(RATE_LIMIT_COLLECTION_NAME),
+    name: name,
+    limits: [
+      { scope: 'ip', windowMs: HOUR_MS, limit: limit, reason: 'Too many images from this network. Please try again later.' },
+      { scope: 'phone', windowMs: HOUR_MS, limit: limit, reason: 'Too many images for this phone number. Please try again later.' }
+    ]
+  })
+}
+
+const processImageRateLimiter = createImageRateLimiter('process-image', PROCESS_IMAGE_HOURLY_LIMIT)
+const ocrRateLimiter = createImageRateLimiter('ocr', OCR_HOURLY_LIMIT)
+
+// AWB numbers: atomic counter per prefix and day (see services/awb.js)
+const awbAllocator = createAWBAllocator({
+  getCollection: async () => (await connectToDatabase()).db(DB_NAME).collection(AWB_COUNTER_COLLECTION_NAME)
+})
+
+// Shipping rates: rate card per route (see services/rate-engine.js)
+const rateEngine = createRateEngine({
+  getCollection: async () => (await connectToDatabase()).db(DB_NAME).collection(RATE_CARD_COLLECTION_NAME)
+})
+
+// Booking confirmations by SMS and email (see services/booking-notifications.js)
+const bookingNotifier = createBookingNotifier({
+  getCollection: async () => (await connectToDatabase()).db(DB_NAME).collection(COLLECTION_NAME)
+})
+
+// Identity image storage (BLOB_STORE_DRIVER: gridfs or local)
+const blobStore = createBlobStore({
+  getDb: async () => (await connectToDatabase()).db(DB_NAME)
+})
+
 // Middleware - CORS configuration
 // Support Ngrok and other origins via environment variable or allow all in development
 const allowedOrigins = process.env.ALLOWED_ORIGINS 
@@ -321,11 +359,11 @@ const corsOptions = {
       return callback(null, true)
     }
     
-    // Default: allow the request
-    callback(null, true)
+    // Origins outside an explicitly configured list are rejected
+    callback(null, false)
   },
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'ngrok-skip-browser-warning'],
   exposedHeaders: ['Content-Length', 'X-Request-Id']
 }
@@ -361,18 +399,79 @@ app.get('/api', (req, res) => {
     endpoints: {
       health: 'GET /health',
       bookings: 'POST /api/bookings',
+      bookingSchema: 'GET /api/schema/booking',
+      quotes: 'POST /api/quotes',
+      bookingByAwb: 'GET /api/bookings/:awb',
+      bookingByReference: 'GET /api/bookings/reference/:referenceNumber',
+      bookingStatus: 'PATCH /api/bookings/:awb/status',
+      bookingCustoms: 'GET /api/bookings/:awb/customs',
+      bookingLabel: 'GET /api/bookings/:awb/label',
+      bookingLabels: 'POST /api/bookings/labels',
+      adminLogin: 'POST /api/admin/login',
+      adminMe: 'GET /api/admin/me',
+      adminUsers: 'POST /api/admin/users',
+      adminBookings: 'GET /api/admin/bookings',
+      adminBookingDetail: 'GET /api/admin/bookings/:awb',
+      adminBookingImage: 'GET /api/admin/bookings/:awb/images/:hash',
       processImage: 'POST /api/process-image',
       ocr: 'POST /api/ocr',
       otpGenerate: 'POST /api/otp/generate',
+      otpResend: 'POST /api/otp/resend',
       otpVerify: 'POST /api/otp/verify'
     }
   })
 })
 
-// Image processing endpoint for improved card detection
-app.post('/api/process-image', async (req, res) => {
+/**
+ * Protect an image endpoint of the booking form: a valid OTP verification token is required
+ * (otpVerificationToken in the body) and requests are counted per client IP and verified phone number
+ * The token is only checked, not consumed, as the booking submission still needs it
+ * @param {Object} limiter - Request rate limiter (see createImageRateLimiter)
+ * @returns {Function} - Express middleware
+ */
+function requireVerifiedImageUpload(limiter) {
+  return async (req, res, next) => {
+    const token = req.body && req.body.otpVerificationToken
+    const claims = typeof token === 'string' ? verifyOtpVerificationToken(token) : null
+    if (!claims) {
+      return res.status(401).json({
+        success: false,
+        error: 'OTP verification is required. Please verify your phone number first.'
+      })
+    }
+
+    let rateLimit
+    try {
+      rateLimit = await limiter.consume({ ip: req.ip, phone: claims.phoneNumber })
+    } catch (error) {
+      console.error(`❌ Image rate limit check failed: ${error.message}`)
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to process image',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    }
+
+    if (!rateLimit.allowed) {
+      console.log(`❌ Image rate limit reached (${rateLimit.scope}) - retry after ${rateLimit.retryAfter}s`)
+      res.set('Retry-After', String(rateLimit.retryAfter))
+      return res.status(429).json({
+        success: false,
+        error: rateLimit.reason,
+        retryAfter: rateLimit.retryAfter,
+        retryAt: rateLimit.retryAt.toISOString()
+      })
+    }
+
+    next()
+  }
+}
+
+// Image processing endpoint for card detection
+// Runs the OpenCV pipeline so the frontend can reject bad captures before submission
+app.post('/api/process-image', requireVerifiedImageUpload(processImageRateLimiter), async (req, res) => {
   try {
-    const { image, method = 'enhanced' } = req.body
+    const { image } = req.body || {}
     
     if (!image) {
       return res.status(400).json({
@@ -381,67 +480,51 @@ app.post('/api/process-image', async (req, res) => {
       })
     }
 
-    // Remove data URL prefix if present
-    const base64Data = image.replace(/^data:image\/[a-z]+;base64,/, '')
-    const imageBuffer = Buffer.from(base64Data, 'base64')
-    
-    console.log('🖼️ Processing image for card detection...')
-    console.log(`   Method: ${method}`)
-    console.log(`   Image size: ${imageBuffer.length} bytes`)
-    
-    // Note: OpenCV.js in Node.js requires special handling
-    // For now, we'll provide processing recommendations and return the image
-    // with metadata that can help frontend improve detection
-    
-    // Calculate image statistics that can help with detection
-    const imageInfo = {
-      size: imageBuffer.length,
-      hasData: true,
-      recommendations: []
+    const decoded = parseImageDataUrl(image)
+    if (!decoded || !detectImageType(decoded.buffer)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Image must be a JPEG, PNG or WebP base64 data URL'
+      })
     }
-    
-    // Provide recommendations based on common card detection issues
-    const recommendations = {
-      similarBackground: [
-        'Use adaptive thresholding instead of fixed threshold',
-        'Convert to LAB or HSV color space for better separation',
-        'Apply morphological operations (erosion/dilation)',
-        'Use multi-scale edge detection',
-        'Increase contrast before edge detection',
-        'Try Canny edge detection with adaptive thresholds',
-        'Use contour filtering with area and aspect ratio constraints'
-      ],
-      lowContrast: [
-        'Apply CLAHE (Contrast Limited Adaptive Histogram Equalization)',
-        'Use gamma correction',
-        'Apply histogram equalization',
-        'Increase saturation in HSV color space'
-      ],
-      blurry: [
-        'Apply sharpening filter',
-        'Use unsharp masking',
-        'Apply deconvolution if possible'
-      ]
+
+    if (decoded.buffer.length > getImageLimits().maxBytes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Image is too large'
+      })
     }
     
-    // Return processing recommendations
+    console.log('🖼️ Processing image for card detection...')
+    console.log(`   Image size: ${decoded.buffer.length} bytes`)
+
+    const detection = await detectCard(decoded.buffer)
+
+    let message = 'Card detected. Capture looks good.'
+    if (!detection.detected) {
+      message = 'No ID card detected. Place the card on a plain, contrasting surface and fill the frame.'
+    } else if (detection.issues.includes('blurry')) {
+      message = 'Card detected but the image is blurry. Hold the camera steady and retake.'
+    } else if (detection.issues.includes('glare')) {
+      message = 'Card detected but there is glare. Tilt the card away from the light and retake.'
+    }
+
     return res.status(200).json({
       success: true,
-      imageInfo: imageInfo,
-      recommendations: {
-        similarBackground: recommendations.similarBackground,
-        lowContrast: recommendations.lowContrast,
-        blurry: recommendations.blurry
-      },
-      processingTips: {
-        adaptiveThreshold: 'Use cv.adaptiveThreshold() with ADAPTIVE_THRESH_GAUSSIAN_C or ADAPTIVE_THRESH_MEAN_C',
-        colorSpace: 'Convert BGR to LAB or HSV: cv.cvtColor(img, cv.COLOR_BGR2LAB)',
-        edgeDetection: 'Use Canny with adaptive thresholds: cv.Canny(gray, threshold1, threshold2)',
-        morphology: 'Apply morphological operations: cv.morphologyEx(img, cv.MORPH_CLOSE, kernel)',
-        contourFilter: 'Filter contours by area and aspect ratio (ID cards typically 85.6mm x 53.98mm ratio ~1.585)',
-        multiScale: 'Try detection at multiple scales/resolutions'
+      detected: detection.detected,
+      acceptable: detection.acceptable,
+      issues: detection.issues,
+      quadrilateral: detection.quadrilateral,
+      confidence: detection.confidence,
+      aspectRatio: detection.aspectRatio,
+      crop: detection.crop,
+      quality: detection.quality,
+      imageInfo: {
+        size: decoded.buffer.length,
+        width: detection.image.width,
+        height: detection.image.height
       },
-      message: 'Image received. Use recommendations above to improve frontend card detection.'
+      message: message
     })
     
   } catch (error) {
@@ -454,19 +537,115 @@ app.post('/api/process-image', async (req, res) => {
   }
 })
 
-// OCR endpoint DISABLED - OpenAI integration removed
-// EID verification is no longer performed
-app.post('/api/ocr', async (req, res) => {
-  return res.status(503).json({
-    success: false,
-    error: 'OCR endpoint is disabled. EID verification has been removed.',
-    message: 'This endpoint is no longer available. Bookings can be submitted without EID verification.'
-  })
-})
+// OCR endpoint - Emirates ID detection through the configured OCR provider (OCR_PROVIDER)
+// The card is deskewed first when it can be detected, which improves OCR accuracy
+app.post('/api/ocr', requireVerifiedImageUpload(ocrRateLimiter), async (req, res) => {
+  try {
+    const { image } = req.body || {}
+
+    if (!image) {
+      return res.status(400).json({
+        success: false,
+        error: 'Image is required (base64 string)'
+      })
+    }
+
+    const decoded = parseImageDataUrl(image)
+    if (!decoded || !detectImageType(decoded.buffer)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Image must be a JPEG, PNG or WebP base64 data URL'
+      })
+    }
 
-// OLD OCR CODE REMOVED - OpenAI integration removed
+    if (decoded.buffer.length > getImageLimits().maxBytes) {
+      return res.status(400).json({
+        success: false,
+        error: 'Image is too large'
+      })
+    }
+
+    let ocrImage = image
+    try {
+      const detection = await detectCard(decoded.buffer)
+      if (detection.crop) {
+        ocrImage = detection.crop
+      }
+    } catch (detectionError) {
+      // Fall back to OCR on the original image
+    }
+
+    const result = await processEmiratesID(ocrImage)
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: 'OCR processing failed. Please try again.',
+        details: process.env.NODE_ENV === 'development' ? result.error : undefined
+      })
+    }
+
+    const { identification } = result
+
+    return res.status(200).json({
+      success: true,
+      isEmiratesID: identification.isEmiratesID,
+      side: identification.side,
+      confidence: identification.confidence,
+      reason: identification.reason,
+      requiresBackSide: result.requiresBackSide,
+      provider: result.provider,
+      message: identification.isEmiratesID
+        ? `Emirates ID ${identification.side} side detected`
+        : 'The image does not appear to be an Emirates ID'
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to process OCR request',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
 
 // OTP Endpoints
+
+/**
+ * Read the OTP delivery channel from a request body
+ * @param {Object} body - Request body ({ channel, emailAddress })
+ * @returns {Object} - { valid: true, channel, emailAddress } or { valid: false, reason }
+ */
+function parseOtpDelivery(body) {
+  const channel = body.channel === undefined || body.channel === null || body.channel === '' ? 'sms' : body.channel
+  if (!OTP_CHANNELS.includes(channel)) {
+    return { valid: false, reason: `Channel must be one of: ${OTP_CHANNELS.join(', ')}` }
+  }
+
+  if (channel !== 'email') {
+    return { valid: true, channel: channel, emailAddress: null }
+  }
+
+  if (!isValidEmailAddress(body.emailAddress)) {
+    return { valid: false, reason: 'A valid email address is required for the email channel' }
+  }
+  return { valid: true, channel: channel, emailAddress: body.emailAddress.trim() }
+}
+
+/**
+ * Build the delivery entry stored on an OTP record
+ * @param {string} channel - Delivery channel
+ * @param {Object} result - Result of deliverOTP
+ * @returns {Object} - Delivery entry
+ */
+function buildOtpDelivery(channel, result) {
+  return {
+    channel: channel,
+    provider: result.provider,
+    messageId: result.messageId || null,
+    locale: result.locale,
+    sentAt: new Date()
+  }
+}
+
 // Generate and send OTP
 app.post('/api/otp/generate', async (req, res) => {
   const requestId = Date.now().toString(36)
@@ -477,7 +656,7 @@ app.post('/api/otp/generate', async (req, res) => {
   console.log(`⏰ Timestamp: ${timestamp}`)
   
   try {
-    const { phoneNumber } = req.body
+    const { phoneNumber, locale } = req.body
     
     // Validate phone number
     if (!phoneNumber || typeof phoneNumber !== 'string' || !phoneNumber.trim()) {
@@ -489,27 +668,49 @@ app.post('/api/otp/generate', async (req, res) => {
       })
     }
 
-    // Format phone number
-    const formattedPhone = phoneNumber.trim().replace(/\s+/g, '')
-    if (!formattedPhone.startsWith('+')) {
+    // Normalize to E.164 (UAE and Philippines mobile numbers, local formats accepted)
+    const normalizedPhone = normalizePhoneNumber(phoneNumber)
+    if (!normalizedPhone.valid) {
+      console.log(`❌ Validation failed: ${normalizedPhone.reason}`)
+      return res.status(400).json({
+        success: false,
+        error: normalizedPhone.reason,
+        requestId: requestId
+      })
+    }
+    const formattedPhone = normalizedPhone.e164
+
+    // Delivery channel - sms (default), voice or email
+    const delivery = parseOtpDelivery(req.body)
+    if (!delivery.valid) {
+      console.log(`❌ Validation failed: ${delivery.reason}`)
       return res.status(400).json({
         success: false,
-        error: 'Phone number must include country code (e.g., +971501234567)',
+        error: delivery.reason,
         requestId: requestId
       })
     }
 
     console.log(`📱 Phone Number: ${formattedPhone}`)
+    console.log(`📨 Channel: ${delivery.channel}`)
+
+    if (!isOTPHashConfigured()) {
+      console.error(`❌ OTP_HASH_SECRET (or OTP_TOKEN_SECRET / AUTH_TOKEN_SECRET) is not configured`)
+      return res.status(503).json({
+        success: false,
+        error: 'OTP verification is not configured',
+        requestId: requestId
+      })
+    }
 
-    // Generate OTP
+    // Generate OTP (only its salted hash is stored)
     const otp = generateOTP()
     const expiryDate = getOTPExpiry()
     const otpConfig = getOTPConfig()
 
-    console.log(`🔐 Generated OTP: ${otp}`)
     console.log(`⏰ Expires at: ${expiryDate.toISOString()}`)
 
-    // Connect to MongoDB first (before sending SMS)
+    // Connect to MongoDB first (before sending the OTP)
     let client
     try {
       client = await connectToDatabase()
@@ -525,6 +726,20 @@ app.post('/api/otp/generate', async (req, res) => {
     const db = client.db(DB_NAME)
     const otpCollection = db.collection(OTP_COLLECTION_NAME)
 
+    // Rate limits - checked before any OTP is sent or existing OTPs are replaced
+    const rateLimit = await otpRateLimiter.checkGenerate({ phoneNumber: formattedPhone, ip: req.ip, channel: delivery.channel })
+    if (!rateLimit.allowed) {
+      console.log(`❌ OTP rate limit reached (${rateLimit.scope}) - retry after ${rateLimit.retryAfter}s`)
+      res.set('Retry-After', String(rateLimit.retryAfter))
+      return res.status(429).json({
+        success: false,
+        error: rateLimit.reason,
+        retryAfter: rateLimit.retryAfter,
+        retryAt: rateLimit.retryAt.toISOString(),
+        requestId: requestId
+      })
+    }
+
     // Delete any existing OTPs for this phone number (before sending new one)
     try {
       await otpCollection.deleteMany({ 
@@ -536,40 +751,41 @@ app.post('/api/otp/generate', async (req, res) => {
       // Continue anyway - we'll still store the new OTP
     }
 
-    // Send OTP via SMS (SMSALA)
-    let smsResult = null
+    // Send OTP over the requested channel (providers selected by SMS_PROVIDER, VOICE_PROVIDER and MAIL_PROVIDER)
+    let deliveryResult = null
     try {
-      smsResult = await sendOTP(formattedPhone, otp)
-      console.log(`✅ OTP sent successfully via SMSALA`)
+      deliveryResult = await deliverOTP(delivery.channel, { phoneNumber: formattedPhone, email: delivery.emailAddress }, otp, { locale })
+      console.log(`✅ OTP sent successfully via ${delivery.channel} (${deliveryResult.provider})`)
       
-      // Store OTP in MongoDB IMMEDIATELY after SMSALA confirms SMS was sent
+      // Store OTP in MongoDB IMMEDIATELY after the provider confirms the OTP was sent
       const otpDocument = {
         phoneNumber: formattedPhone,
-        otp: otp,
+        ...hashOTP(otp),
         createdAt: new Date(),
         expiresAt: expiryDate,
         verified: false,
         attempts: 0,
         maxAttempts: otpConfig.maxAttempts,
-        smsSent: true,
-        smsSentAt: new Date(),
-        smsalaMessageId: smsResult.messageId || null
+        channel: delivery.channel,
+        deliveries: [buildOtpDelivery(delivery.channel, deliveryResult)],
+        locale: deliveryResult.locale
       }
 
       await otpCollection.insertOne(otpDocument)
-      console.log(`💾 OTP stored in database immediately after SMSALA confirmation`)
-      console.log(`   SMSALA Message ID: ${smsResult.messageId || 'N/A'}`)
+      console.log(`💾 OTP stored in database immediately after ${deliveryResult.provider} confirmation`)
+      console.log(`   Message ID: ${deliveryResult.messageId || 'N/A'}`)
 
-    } catch (smsError) {
-      console.error(`❌ Failed to send OTP via SMSALA: ${smsError.message}`)
+    } catch (deliveryError) {
+      console.error(`❌ Failed to send OTP: ${deliveryError.message}`)
       
-      // Even if SMS fails, we might want to store OTP for retry scenarios
-      // But for now, we'll return error since SMS is required
-      return res.status(500).json({
+      // The customer can retry right away on another channel (the cooldown is per channel)
+      return res.status(502).json({
         success: false,
-        error: 'Failed to send OTP. Please try again.',
+        error: 'Failed to send OTP. Please try again or choose another channel.',
+        channel: delivery.channel,
+        alternativeChannels: OTP_CHANNELS.filter(channel => channel !== delivery.channel),
         requestId: requestId,
-        details: process.env.NODE_ENV === 'development' ? smsError.message : undefined
+        details: process.env.NODE_ENV === 'development' ? deliveryError.message : undefined
       })
     }
 
@@ -577,8 +793,11 @@ app.post('/api/otp/generate', async (req, res) => {
       success: true,
       message: 'OTP sent successfully',
       phoneNumber: formattedPhone,
+      channel: delivery.channel,
       expiresInMinutes: otpConfig.expiryMinutes,
       maxAttempts: otpConfig.maxAttempts,
+      resendAfter: otpRateLimiter.getLimits().resendCooldownSeconds,
+      locale: deliveryResult.locale,
       requestId: requestId,
       timestamp: timestamp
     })
@@ -600,19 +819,20 @@ app.post('/api/otp/generate', async (req, res) => {
   }
 })
 
-// Verify OTP
-app.post('/api/otp/verify', async (req, res) => {
+// Resend OTP, optionally on another channel
+// A new code replaces the current one but the attempt count is kept and the request counts
+// against the same rate limits as /api/otp/generate
+app.post('/api/otp/resend', async (req, res) => {
   const requestId = Date.now().toString(36)
   const timestamp = new Date().toISOString()
   
-  console.log('\n🔵 ===== OTP VERIFY REQUEST =====')
+  console.log('\n🔵 ===== OTP RESEND REQUEST =====')
   console.log(`📥 Request ID: ${requestId}`)
   console.log(`⏰ Timestamp: ${timestamp}`)
   
   try {
-    const { phoneNumber, otp } = req.body
+    const { phoneNumber, locale } = req.body
     
-    // Validate inputs
     if (!phoneNumber || typeof phoneNumber !== 'string' || !phoneNumber.trim()) {
       return res.status(400).json({
         success: false,
@@ -621,22 +841,37 @@ app.post('/api/otp/verify', async (req, res) => {
       })
     }
 
-    if (!otp || typeof otp !== 'string' || !otp.trim()) {
+    const normalizedPhone = normalizePhoneNumber(phoneNumber)
+    if (!normalizedPhone.valid) {
       return res.status(400).json({
         success: false,
-        error: 'OTP is required',
+        error: normalizedPhone.reason,
         requestId: requestId
       })
     }
+    const formattedPhone = normalizedPhone.e164
 
-    // Format phone number
-    const formattedPhone = phoneNumber.trim().replace(/\s+/g, '')
-    const providedOTP = otp.trim()
+    const delivery = parseOtpDelivery(req.body)
+    if (!delivery.valid) {
+      return res.status(400).json({
+        success: false,
+        error: delivery.reason,
+        requestId: requestId
+      })
+    }
 
     console.log(`📱 Phone Number: ${formattedPhone}`)
-    console.log(`🔐 Provided OTP: ${providedOTP}`)
+    console.log(`📨 Channel: ${delivery.channel}`)
+
+    if (!isOTPHashConfigured()) {
+      console.error(`❌ OTP_HASH_SECRET (or OTP_TOKEN_SECRET / AUTH_TOKEN_SECRET) is not configured`)
+      return res.status(503).json({
+        success: false,
+        error: 'OTP verification is not configured',
+        requestId: requestId
+      })
+    }
 
-    // Connect to MongoDB
     let client
     try {
       client = await connectToDatabase()
@@ -652,87 +887,96 @@ app.post('/api/otp/verify', async (req, res) => {
     const db = client.db(DB_NAME)
     const otpCollection = db.collection(OTP_COLLECTION_NAME)
 
-    // Find OTP record
+    // Only an OTP that can still be verified is resent; otherwise the customer starts over
     const otpRecord = await otpCollection.findOne({
       phoneNumber: formattedPhone,
-      verified: false
+      verified: false,
+      expiresAt: { $gt: new Date() },
+      $expr: { $lt: ['$attempts', '$maxAttempts'] }
     })
 
     if (!otpRecord) {
-      console.log(`❌ No OTP found for phone number`)
+      console.log(`❌ No active OTP to resend`)
       return res.status(400).json({
         success: false,
-        error: 'No OTP found for this phone number. Please generate a new OTP.',
+        error: 'No active OTP found for this phone number. Please generate a new OTP.',
         requestId: requestId
       })
     }
 
-    // Check if OTP is expired
-    if (isOTPExpired(otpRecord.expiresAt)) {
-      console.log(`❌ OTP expired`)
-      await otpCollection.deleteOne({ _id: otpRecord._id })
-      return res.status(400).json({
+    const rateLimit = await otpRateLimiter.checkGenerate({ phoneNumber: formattedPhone, ip: req.ip, channel: delivery.channel })
+    if (!rateLimit.allowed) {
+      console.log(`❌ OTP rate limit reached (${rateLimit.scope}) - retry after ${rateLimit.retryAfter}s`)
+      res.set('Retry-After', String(rateLimit.retryAfter))
+      return res.status(429).json({
         success: false,
-        error: 'OTP has expired. Please generate a new OTP.',
+        error: rateLimit.reason,
+        retryAfter: rateLimit.retryAfter,
+        retryAt: rateLimit.retryAt.toISOString(),
         requestId: requestId
       })
     }
 
-    // Check if max attempts exceeded
-    if (otpRecord.attempts >= otpRecord.maxAttempts) {
-      console.log(`❌ Max attempts exceeded: ${otpRecord.attempts}/${otpRecord.maxAttempts}`)
-      await otpCollection.deleteOne({ _id: otpRecord._id })
-      return res.status(400).json({
+    // Only the hash of the current code is stored, so a resend delivers a new code
+    const otp = generateOTP()
+    const expiryDate = getOTPExpiry()
+
+    let deliveryResult
+    try {
+      deliveryResult = await deliverOTP(delivery.channel, { phoneNumber: formattedPhone, email: delivery.emailAddress }, otp, { locale })
+      console.log(`✅ OTP resent successfully via ${delivery.channel} (${deliveryResult.provider})`)
+    } catch (deliveryError) {
+      console.error(`❌ Failed to resend OTP: ${deliveryError.message}`)
+      return res.status(502).json({
         success: false,
-        error: 'Maximum verification attempts exceeded. Please generate a new OTP.',
-        requestId: requestId
+        error: 'Failed to send OTP. Please try again or choose another channel.',
+        channel: delivery.channel,
+        alternativeChannels: OTP_CHANNELS.filter(channel => channel !== delivery.channel),
+        requestId: requestId,
+        details: process.env.NODE_ENV === 'development' ? deliveryError.message : undefined
       })
     }
 
-    // Increment attempts
-    await otpCollection.updateOne(
-      { _id: otpRecord._id },
-      { $inc: { attempts: 1 } }
+    // Replace the code; attempts and maxAttempts are left as they are
+    const updatedRecord = await otpCollection.findOneAndUpdate(
+      { _id: otpRecord._id, verified: false },
+      {
+        $set: {
+          ...hashOTP(otp),
+          expiresAt: expiryDate,
+          channel: delivery.channel,
+          locale: deliveryResult.locale
+        },
+        $push: { deliveries: buildOtpDelivery(delivery.channel, deliveryResult) }
+      },
+      { returnDocument: 'after' }
     )
 
-    // Verify OTP
-    if (otpRecord.otp !== providedOTP) {
-      console.log(`❌ OTP mismatch`)
-      const updatedRecord = await otpCollection.findOne({ _id: otpRecord._id })
-      const remainingAttempts = updatedRecord.maxAttempts - updatedRecord.attempts
-      
-      return res.status(400).json({
+    if (!updatedRecord) {
+      console.log(`❌ OTP was verified or removed while resending`)
+      return res.status(409).json({
         success: false,
-        error: 'Invalid OTP',
-        remainingAttempts: remainingAttempts > 0 ? remainingAttempts : 0,
+        error: 'OTP is no longer active. Please generate a new OTP.',
         requestId: requestId
       })
     }
 
-    // Mark OTP as verified
-    await otpCollection.updateOne(
-      { _id: otpRecord._id },
-      { 
-        $set: { 
-          verified: true,
-          verifiedAt: new Date()
-        } 
-      }
-    )
-
-    console.log(`✅ OTP verified successfully`)
-
+    const otpConfig = getOTPConfig()
     return res.status(200).json({
       success: true,
-      message: 'OTP verified successfully',
+      message: 'OTP sent successfully',
       phoneNumber: formattedPhone,
-      verified: true,
+      channel: delivery.channel,
+      expiresInMinutes: otpConfig.expiryMinutes,
+      remainingAttempts: Math.max(0, updatedRecord.maxAttempts - updatedRecord.attempts),
+      resendAfter: otpRateLimiter.getLimits().resendCooldownSeconds,
+      locale: deliveryResult.locale,
       requestId: requestId,
       timestamp: timestamp
     })
 
   } catch (error) {
-    console.error('\n❌❌❌ OTP VERIFY ERROR ❌❌❌')
+    console.error('\n❌❌❌ OTP RESEND ERROR ❌❌❌')
     console.error(`🔴 Request ID ${requestId} - Error occurred`)
     console.error(`   Error Type: ${error.constructor.name}`)
     console.error(`   Error Message: ${error.message}`)
@@ -741,43 +985,312 @@ app.post('/api/otp/verify', async (req, res) => {
     
     return res.status(500).json({
       success: false,
-      error: 'Failed to verify OTP',
+      error: 'Failed to resend OTP',
       requestId: requestId,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     })
   }
 })
 
-// Bookings endpoint
-app.post('/api/bookings', async (req, res) => {
+// Verify OTP
+app.post('/api/otp/verify', async (req, res) => {
   const requestId = Date.now().toString(36)
   const timestamp = new Date().toISOString()
   
-  console.log('\n🔵 ===== NEW API REQUEST =====')
+  console.log('\n🔵 ===== OTP VERIFY REQUEST =====')
   console.log(`📥 Request ID: ${requestId}`)
   console.log(`⏰ Timestamp: ${timestamp}`)
-  console.log(`🌐 Method: ${req.method}`)
-  console.log(`📍 URL: ${req.url}`)
-  console.log(`🔗 Full URL: ${req.protocol}://${req.get('host')}${req.originalUrl}`)
-  console.log(`📋 Headers:`, JSON.stringify(req.headers, null, 2))
   
   try {
-    const bookingData = req.body
+    const { phoneNumber, otp } = req.body
     
-    console.log(`\n📦 Request Body Summary:`)
-    console.log(`   - Has sender: ${!!bookingData.sender}`)
-    console.log(`   - Has receiver: ${!!bookingData.receiver}`)
-    console.log(`   - Has items: ${!!bookingData.items} (${Array.isArray(bookingData.items) ? bookingData.items.length : 'not array'})`)
-    console.log(`   - Service: ${bookingData.service || 'not provided'}`)
-    console.log(`   - Terms accepted: ${bookingData.termsAccepted || false}`)
-    console.log(`   - Has eidFrontImage: ${!!bookingData.eidFrontImage}`)
-    console.log(`   - Has eidBackImage: ${!!bookingData.eidBackImage}`)
-    console.log(`   - Has eidFrontImageFirstName: ${!!bookingData.eidFrontImageFirstName}`)
-    console.log(`   - Has eidFrontImageLastName: ${!!bookingData.eidFrontImageLastName}`)
-    if (bookingData.eidFrontImageFirstName && bookingData.eidFrontImageLastName) {
-      console.log(`   - EID Name: ${bookingData.eidFrontImageFirstName} ${bookingData.eidFrontImageLastName}`)
-    }
-    console.log(`   - Has philippinesIdFront: ${!!bookingData.philippinesIdFront}`)
+    // Validate inputs
+    if (!phoneNumber || typeof phoneNumber !== 'string' || !phoneNumber.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Phone number is required',
+        requestId: requestId
+      })
+    }
+
+    if (!otp || typeof otp !== 'string' || !otp.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'OTP is required',
+        requestId: requestId
+      })
+    }
+
+    if (!isOtpTokenConfigured()) {
+      console.error(`❌ OTP_TOKEN_SECRET (or AUTH_TOKEN_SECRET) is not configured`)
+      return res.status(503).json({
+        success: false,
+        error: 'OTP verification is not configured',
+        requestId: requestId
+      })
+    }
+
+    // Normalize to E.164 so the number matches the one the OTP was generated for
+    const normalizedPhone = normalizePhoneNumber(phoneNumber)
+    if (!normalizedPhone.valid) {
+      return res.status(400).json({
+        success: false,
+        error: normalizedPhone.reason,
+        requestId: requestId
+      })
+    }
+    const formattedPhone = normalizedPhone.e164
+    const providedOTP = otp.trim()
+
+    console.log(`📱 Phone Number: ${formattedPhone}`)
+
+    // Connect to MongoDB
+    let client
+    try {
+      client = await connectToDatabase()
+    } catch (dbError) {
+      console.error(`❌ Database connection error: ${dbError.message}`)
+      return res.status(500).json({
+        success: false,
+        error: 'Database connection failed',
+        requestId: requestId
+      })
+    }
+
+    const db = client.db(DB_NAME)
+    const otpCollection = db.collection(OTP_COLLECTION_NAME)
+
+    // Claim one attempt atomically: only an unexpired OTP with attempts left is incremented,
+    // so parallel guesses cannot exceed maxAttempts
+    const otpRecord = await otpCollection.findOneAndUpdate(
+      {
+        phoneNumber: formattedPhone,
+        verified: false,
+        expiresAt: { $gt: new Date() },
+        $expr: { $lt: ['$attempts', '$maxAttempts'] }
+      },
+      { $inc: { attempts: 1 } },
+      { returnDocument: 'after' }
+    )
+
+    if (!otpRecord) {
+      // Work out why no attempt could be claimed
+      const existingRecord = await otpCollection.findOne({
+        phoneNumber: formattedPhone,
+        verified: false
+      })
+
+      if (!existingRecord) {
+        console.log(`❌ No OTP found for phone number`)
+        return res.status(400).json({
+          success: false,
+          error: 'No OTP found for this phone number. Please generate a new OTP.',
+          requestId: requestId
+        })
+      }
+
+      await otpCollection.deleteOne({ _id: existingRecord._id })
+
+      if (isOTPExpired(existingRecord.expiresAt)) {
+        console.log(`❌ OTP expired`)
+        return res.status(400).json({
+          success: false,
+          error: 'OTP has expired. Please generate a new OTP.',
+          requestId: requestId
+        })
+      }
+
+      console.log(`❌ Max attempts exceeded: ${existingRecord.attempts}/${existingRecord.maxAttempts}`)
+      return res.status(400).json({
+        success: false,
+        error: 'Maximum verification attempts exceeded. Please generate a new OTP.',
+        requestId: requestId
+      })
+    }
+
+    // Verify OTP (constant-time comparison of salted hashes)
+    if (!verifyOTPHash(providedOTP, otpRecord)) {
+      console.log(`❌ OTP mismatch`)
+      const remainingAttempts = otpRecord.maxAttempts - otpRecord.attempts
+      
+      // Count OTPs that ran out of attempts, so regenerating cannot reset the attempt limit indefinitely
+      if (remainingAttempts <= 0) {
+        const lockout = await otpRateLimiter.recordFailedVerification(formattedPhone)
+        if (lockout.lockedOut) {
+          console.log(`🔒 Phone number locked out until ${lockout.until.toISOString()}`)
+        }
+      }
+      
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid OTP',
+        remainingAttempts: remainingAttempts > 0 ? remainingAttempts : 0,
+        requestId: requestId
+      })
+    }
+
+    // Mark OTP as verified and bind the verification token to it
+    // The record is kept until the token expires so the booking can consume it
+    const verificationToken = issueOtpVerificationToken(otpRecord)
+    const markResult = await otpCollection.updateOne(
+      { _id: otpRecord._id, verified: false },
+      { 
+        $set: { 
+          verified: true,
+          verifiedAt: new Date(),
+          tokenId: verificationToken.tokenId,
+          consumedAt: null,
+          expiresAt: verificationToken.expiresAt
+        } 
+      }
+    )
+
+    if (markResult.modifiedCount === 0) {
+      console.log(`❌ OTP was verified by a concurrent request`)
+      return res.status(409).json({
+        success: false,
+        error: 'OTP has already been verified. Please generate a new OTP.',
+        requestId: requestId
+      })
+    }
+
+    console.log(`✅ OTP verified successfully`)
+
+    return res.status(200).json({
+      success: true,
+      message: 'OTP verified successfully',
+      phoneNumber: formattedPhone,
+      verified: true,
+      verificationToken: verificationToken.token,
+      verificationTokenExpiresAt: verificationToken.expiresAt.toISOString(),
+      requestId: requestId,
+      timestamp: timestamp
+    })
+
+  } catch (error) {
+    console.error('\n❌❌❌ OTP VERIFY ERROR ❌❌❌')
+    console.error(`🔴 Request ID ${requestId} - Error occurred`)
+    console.error(`   Error Type: ${error.constructor.name}`)
+    console.error(`   Error Message: ${error.message}`)
+    console.error(`   Error Stack:`, error.stack)
+    console.error(`🔴 ===== ERROR END =====\n`)
+    
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to verify OTP',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Quote endpoint
+// Prices parcels with the rate card of the route: freight by chargeable weight, delivery options and insurance
+app.post('/api/quotes', async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const quoteRequest = req.body || {}
+    const service = quoteRequest.service || DEFAULT_SERVICE
+    const route = getRoute(service)
+    if (!route) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown service "${service}". Supported services: ${listRoutes().map(knownRoute => knownRoute.id).join(', ')}`,
+        requestId: requestId
+      })
+    }
+
+    const result = await rateEngine.quote(route, quoteRequest)
+    if (!result.valid) {
+      return res.status(result.code === 'no_rate_card' ? 404 : 400).json({
+        success: false,
+        error: result.errors.length === 1
+          ? result.errors[0].message
+          : `Invalid quote request (${result.errors.length} errors): ${result.errors.map(error => error.field).join(', ')}`,
+        errors: result.errors,
+        requestId: requestId
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      quote: result.quote,
+      requestId: requestId
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to compute quote',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Booking schema endpoint
+// Validation rules of POST /api/bookings for a service, so the frontend can check forms before submitting
+app.get('/api/schema/booking', (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const service = typeof req.query.service === 'string' ? req.query.service : ''
+    const route = getRoute(service)
+    if (!route) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown service "${service}". Supported services: ${listRoutes().map(knownRoute => knownRoute.id).join(', ')}`,
+        requestId: requestId
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      service: route.id,
+      services: listRoutes().map(knownRoute => ({ id: knownRoute.id, label: knownRoute.label, aliases: knownRoute.aliases })),
+      schema: getBookingSchema(route),
+      // Commodity categories the route rejects or flags, so the form can warn early
+      commodities: {
+        prohibited: route.commodities.prohibited.map(id => ({ id, label: COMMODITY_CATEGORIES[id].label })),
+        restricted: route.commodities.restricted.map(id => ({ id, label: COMMODITY_CATEGORIES[id].label }))
+      },
+      requestId: requestId
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build booking schema',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Bookings endpoint
+app.post('/api/bookings', async (req, res) => {
+  const requestId = Date.now().toString(36)
+  const timestamp = new Date().toISOString()
+  
+  console.log('\n🔵 ===== NEW API REQUEST =====')
+  console.log(`📥 Request ID: ${requestId}`)
+  console.log(`⏰ Timestamp: ${timestamp}`)
+  console.log(`🌐 Method: ${req.method}`)
+  console.log(`📍 URL: ${req.url}`)
+  console.log(`🔗 Full URL: ${req.protocol}://${req.get('host')}${req.originalUrl}`)
+  console.log(`📋 Headers:`, JSON.stringify(req.headers, null, 2))
+  
+  try {
+    const bookingData = req.body || {}
+    
+    console.log(`\n📦 Request Body Summary:`)
+    console.log(`   - Has sender: ${!!bookingData.sender}`)
+    console.log(`   - Has receiver: ${!!bookingData.receiver}`)
+    console.log(`   - Has items: ${!!bookingData.items} (${Array.isArray(bookingData.items) ? bookingData.items.length : 'not array'})`)
+    console.log(`   - Service: ${bookingData.service || 'not provided'}`)
+    console.log(`   - Terms accepted: ${bookingData.termsAccepted || false}`)
+    console.log(`   - Has eidFrontImage: ${!!bookingData.eidFrontImage}`)
+    console.log(`   - Has eidBackImage: ${!!bookingData.eidBackImage}`)
+    console.log(`   - Has philippinesIdFront: ${!!bookingData.philippinesIdFront}`)
     console.log(`   - Has philippinesIdBack: ${!!bookingData.philippinesIdBack}`)
     if (bookingData.philippinesIdFront) {
       const phFrontBase64 = bookingData.philippinesIdFront.replace(/^data:image\/[a-z]+;base64,/, '')
@@ -792,7 +1305,7 @@ app.post('/api/bookings', async (req, res) => {
     console.log(`   - Has customerImage: ${!!bookingData.customerImage}`)
     console.log(`   - Has customerImages: ${!!bookingData.customerImages} (${Array.isArray(bookingData.customerImages) ? bookingData.customerImages.length : 'not array'})`)
     console.log(`   - Has OTP Phone Number: ${!!bookingData.otpPhoneNumber}`)
-    console.log(`   - Has OTP: ${!!bookingData.otp}`)
+    console.log(`   - Has OTP Verification Token: ${!!bookingData.otpVerificationToken}`)
     if (bookingData.otpPhoneNumber) {
       console.log(`   - OTP Phone: ${bookingData.otpPhoneNumber}`)
     }
@@ -838,346 +1351,166 @@ app.post('/api/bookings', async (req, res) => {
     if (bookingData.items && Array.isArray(bookingData.items)) {
       console.log(`\n📦 Items (${bookingData.items.length}):`)
       bookingData.items.forEach((item, index) => {
-        console.log(`   ${index + 1}. ID: ${item.id || 'missing'}, Commodity: ${item.commodity || 'missing'}, Qty: ${item.qty || 'missing'}`)
+        console.log(`   ${index + 1}. ID: ${item.id || 'missing'}, Commodity: ${item.commodity || 'missing'}, Qty: ${item.quantity || item.qty || 'missing'}`)
       })
     }
 
-    // Validate required fields
-    if (!bookingData.sender || !bookingData.receiver || !bookingData.items) {
-      console.log(`\n❌ VALIDATION ERROR:`)
-      console.log(`   - Missing sender: ${!bookingData.sender}`)
-      console.log(`   - Missing receiver: ${!bookingData.receiver}`)
-      console.log(`   - Missing items: ${!bookingData.items}`)
-      console.log(`🔴 Request ID ${requestId} - Validation failed: Missing required booking information`)
-      
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required booking information (sender, receiver, items)',
-        requestId: requestId
-      })
+    // Route (service) from the route registry: countries, dial codes, documents and insurance rules
+    const service = bookingData.service || DEFAULT_SERVICE
+    const route = getRoute(service)
+
+    // Validate the request against the route's booking schema (GET /api/schema/booking); every
+    // violation is reported, not only the first one
+    const errors = validateBooking(bookingData, route)
+
+    // Identity images: magic bytes, size and dimension checks, then re-encoding without EXIF
+    // (images that are not base64 at all were already reported by the schema)
+    const { images: identityImages, errors: imageErrors } = await prepareIdentityImages(bookingData)
+    for (const imageError of imageErrors) {
+      if (!errors.some(error => error.field === imageError.field)) errors.push(imageError)
     }
 
-    // Validate sender fields - last name is required, email is optional
-    if (!bookingData.sender.lastName) {
-      console.log(`\n❌ VALIDATION ERROR: Sender last name is required`)
-      console.log(`   Sender data:`, JSON.stringify(bookingData.sender, null, 2))
-      console.log(`🔴 Request ID ${requestId} - Validation failed: Sender last name missing`)
-      
-      return res.status(400).json({
-        success: false,
-        error: 'Sender last name is required',
-        requestId: requestId
-      })
+    // Commodity screening: prohibited goods reject the booking, restricted goods flag it for review
+    let commodityScreening = null
+    if (route && !errors.some(error => error.field === 'items' || error.field.startsWith('items['))) {
+      commodityScreening = screenItems(bookingData.items, route)
+      commodityScreening.prohibited.forEach(match => errors.push({
+        field: `items[${match.index}].commodity`,
+        code: 'prohibited_commodity',
+        message: `"${match.commodity}" cannot be shipped on ${route.label} (${match.label})`
+      }))
     }
 
-    // Validate sender address - only country is required, addressLine1 is optional (max 200 chars)
-    if (!bookingData.sender.country) {
-      console.log(`\n❌ VALIDATION ERROR: Sender country is required`)
-      console.log(`   Country: ${bookingData.sender.country || 'missing'}`)
-      console.log(`🔴 Request ID ${requestId} - Validation failed: Sender country missing`)
-      
+    if (errors.length > 0) {
+      console.log(`\n❌ VALIDATION ERROR: ${errors.length} invalid field(s)`)
+      errors.forEach(error => console.log(`   ${error.field}: ${error.code} - ${error.message}`))
+      console.log(`🔴 Request ID ${requestId} - Validation failed`)
+
       return res.status(400).json({
         success: false,
-        error: 'Sender country is required',
+        error: errors.length === 1
+          ? errors[0].message
+          : `Invalid booking request (${errors.length} errors): ${[...new Set(errors.map(error => error.field))].join(', ')}`,
+        errors: errors,
         requestId: requestId
       })
     }
+
+    // Business rules for routes with insurance:
+    // - document: force insured=false and declaredAmount=0
+    // - non-document: force insured=true and declaredAmount as a number (validated by the schema)
+    if (route.insurance) {
+      if (bookingData.sender.shipmentType === 'document') {
+        bookingData.sender.insured = false
+        bookingData.sender.declaredAmount = 0
+      } else {
+        bookingData.sender.insured = true
+        bookingData.sender.declaredAmount = Number(bookingData.sender.declaredAmount)
+      }
+    } else if (bookingData.sender.insured !== undefined || bookingData.sender.declaredAmount !== undefined) {
+      // Insurance fields should not be present for routes without insurance
+      console.log(`\n⚠️  WARNING: Insurance fields provided for ${route.id} service - will be ignored`)
+    }
     
-    // Validate addressLine1 length if provided (max 200 chars)
-    if (bookingData.sender.addressLine1 && bookingData.sender.addressLine1.length > 200) {
-      console.log(`\n❌ VALIDATION ERROR: Sender addressLine1 exceeds 200 characters`)
-      console.log(`   Length: ${bookingData.sender.addressLine1.length}`)
-      console.log(`🔴 Request ID ${requestId} - Validation failed: Sender addressLine1 too long`)
-      
-      return res.status(400).json({
-        success: false,
-        error: 'Sender address line 1 must not exceed 200 characters',
-        requestId: requestId
-      })
+    // Contact numbers normalized to E.164 (phoneNumber in the party's country, contactNo in one of the
+    // route's contact countries; both validated by the schema)
+    const contactNumbers = { sender: {}, receiver: {} }
+    for (const party of ['sender', 'receiver']) {
+      const partyCountry = getPartyCountry(route, party).code
+      for (const field of ['phoneNumber', 'contactNo']) {
+        const value = bookingData[party][field]
+        if (value === undefined || value === null || String(value).trim() === '') continue
+
+        contactNumbers[party][field] = normalizePhoneNumber(value, {
+          defaultCountry: partyCountry,
+          allowedCountries: field === 'phoneNumber' ? [partyCountry] : route.contactCountries
+        }).e164
+      }
     }
+    
+    console.log(`\n✅ All validations passed`)
 
-    // Validate receiver fields - last name is required, email is optional
-    if (!bookingData.receiver.lastName) {
-      console.log(`\n❌ VALIDATION ERROR: Receiver last name is required`)
-      console.log(`   Receiver data:`, JSON.stringify(bookingData.receiver, null, 2))
-      console.log(`🔴 Request ID ${requestId} - Validation failed: Receiver last name missing`)
+    // OTP Verification - MANDATORY for all bookings (the token itself is required by the schema)
+    // The token issued by /api/otp/verify is checked here and consumed when the booking is saved
+    const otpClaims = verifyOtpVerificationToken(bookingData.otpVerificationToken)
+    if (!otpClaims) {
+      console.log(`\n❌ VALIDATION ERROR: Invalid or expired OTP verification token`)
+      console.log(`🔴 Request ID ${requestId} - Validation failed: OTP verification token rejected`)
       
       return res.status(400).json({
         success: false,
-        error: 'Receiver last name is required',
+        error: 'OTP verification has expired or is invalid. Please verify your phone number again.',
         requestId: requestId
       })
     }
 
-    // Validate receiver address - only country is required, addressLine1 is optional (max 200 chars)
-    if (!bookingData.receiver.country) {
-      console.log(`\n❌ VALIDATION ERROR: Receiver country is required`)
-      console.log(`   Country: ${bookingData.receiver.country || 'missing'}`)
-      console.log(`🔴 Request ID ${requestId} - Validation failed: Receiver country missing`)
+    // otpPhoneNumber is optional; when sent it must be the number the token was issued for
+    if (bookingData.otpPhoneNumber && normalizePhoneNumber(bookingData.otpPhoneNumber).e164 !== otpClaims.phoneNumber) {
+      console.log(`\n❌ VALIDATION ERROR: OTP verification token was issued for a different phone number`)
       
       return res.status(400).json({
         success: false,
-        error: 'Receiver country is required',
+        error: 'OTP verification does not match the phone number. Please verify your phone number again.',
         requestId: requestId
       })
     }
-    
-    // Validate addressLine1 length if provided (max 200 chars)
-    if (bookingData.receiver.addressLine1 && bookingData.receiver.addressLine1.length > 200) {
-      console.log(`\n❌ VALIDATION ERROR: Receiver addressLine1 exceeds 200 characters`)
-      console.log(`   Length: ${bookingData.receiver.addressLine1.length}`)
-      console.log(`🔴 Request ID ${requestId} - Validation failed: Receiver addressLine1 too long`)
-      
-      return res.status(400).json({
-        success: false,
-        error: 'Receiver address line 1 must not exceed 200 characters',
-        requestId: requestId
-      })
+
+    console.log(`\n🔐 OTP verification token accepted for ${otpClaims.phoneNumber}`)
+
+    // Emirates ID fields: ID number (prefix and check digit), name, nationality, birth and expiry dates
+    let emiratesId = null
+    const eidImages = identityImages.filter(image => image.field === 'eidFrontImage' || image.field === 'eidBackImage')
+    if (eidImages.length > 0 && isEmiratesIdOcrEnabled()) {
+      try {
+        emiratesId = await readEmiratesId(eidImages)
+        console.log(`\n🪪 Emirates ID read (${emiratesId.provider}):`)
+        console.log(`   ID number: ${emiratesId.idNumber ? (emiratesId.idNumberValid ? 'valid' : `invalid - ${emiratesId.idNumberReason}`) : 'not found'}`)
+        console.log(`   Expiry: ${emiratesId.expiryDate || 'not found'}`)
+      } catch (ocrError) {
+        // OCR outages should not block bookings; staff can read the stored images
+        console.warn(`⚠️  Emirates ID OCR failed: ${ocrError.message}`)
+      }
     }
 
+    if (emiratesId && emiratesId.expired) {
+      console.log(`\n❌ VALIDATION ERROR: Emirates ID expired on ${emiratesId.expiryDate}`)
+      console.log(`🔴 Request ID ${requestId} - Validation failed: Expired Emirates ID`)
 
-    // Validate items
-    if (!Array.isArray(bookingData.items) || bookingData.items.length === 0) {
-      console.log(`\n❌ VALIDATION ERROR: Items validation failed`)
-      console.log(`   Items type: ${typeof bookingData.items}`)
-      console.log(`   Is array: ${Array.isArray(bookingData.items)}`)
-      console.log(`   Length: ${Array.isArray(bookingData.items) ? bookingData.items.length : 'N/A'}`)
-      console.log(`🔴 Request ID ${requestId} - Validation failed: Items invalid`)
-      
       return res.status(400).json({
         success: false,
-        error: 'At least one item is required',
+        error: 'The Emirates ID has expired. Please upload a valid Emirates ID.',
+        expiryDate: emiratesId.expiryDate,
         requestId: requestId
       })
     }
 
-    // Validate shipmentType + insurance fields (only for uae-to-pinas service)
-    const service = bookingData.service || 'uae-to-pinas'
-    const serviceLower = service.toLowerCase()
-    const isUAEToPinas = !serviceLower.includes('philippines-to-uae') && 
-                          !serviceLower.includes('pinas-to-uae') &&
-                          !serviceLower.includes('ph-to-uae')
+    // The Emirates ID belongs to the party in the UAE (route.eidHolder; null if neither party is in the UAE)
+    const eidHolder = route.eidHolder
     
-    if (isUAEToPinas) {
-      // shipmentType is REQUIRED for UAE -> PH bookings
-      const shipmentType = bookingData.sender?.shipmentType
-      if (shipmentType !== 'document' && shipmentType !== 'non-document') {
-        console.log(`\n❌ VALIDATION ERROR: Invalid or missing shipmentType`)
-        console.log(`   shipmentType: ${shipmentType}`)
-        console.log(`🔴 Request ID ${requestId} - Validation failed: shipmentType must be "document" or "non-document"`)
-        
-        return res.status(400).json({
-          success: false,
-          error: 'sender.shipmentType must be "document" or "non-document"',
-          requestId: requestId
-        })
-      }
-
-      // Business rules:
-      // - document: force insured=false and declaredAmount=0
-      // - non-document: force insured=true and declaredAmount must be a number > 0 (<= 1,000,000)
-      if (shipmentType === 'document') {
-        bookingData.sender.insured = false
-        bookingData.sender.declaredAmount = 0
-      } else {
-        bookingData.sender.insured = true
-        const amount = Number(bookingData.sender.declaredAmount)
-        if (!Number.isFinite(amount) || amount <= 0) {
-          console.log(`\n❌ VALIDATION ERROR: declaredAmount invalid for non-document shipment`)
-          console.log(`   shipmentType: ${shipmentType}`)
-          console.log(`   declaredAmount: ${bookingData.sender.declaredAmount}`)
-          console.log(`🔴 Request ID ${requestId} - Validation failed: declaredAmount must be a number > 0 for non-document shipments`)
-          
-          return res.status(400).json({
-            success: false,
-            error: 'sender.declaredAmount must be a number > 0 for non-document shipments',
-            requestId: requestId
-          })
-        }
-
-        if (amount > 1000000) {
-          console.log(`\n❌ VALIDATION ERROR: declaredAmount exceeds maximum limit`)
-          console.log(`   Declared Amount: ${amount}`)
-          console.log(`   Maximum allowed: 1,000,000 AED`)
-          console.log(`🔴 Request ID ${requestId} - Validation failed: declaredAmount exceeds maximum`)
-          
-          return res.status(400).json({
-            success: false,
-            error: 'sender.declaredAmount cannot exceed 1,000,000 AED',
-            requestId: requestId
-          })
-        }
-
-        bookingData.sender.declaredAmount = amount
-      }
-    } else if (!isUAEToPinas && (bookingData.sender.insured !== undefined || bookingData.sender.declaredAmount !== undefined)) {
-      // Insurance fields should not be present for non-uae-to-pinas services
-      console.log(`\n⚠️  WARNING: Insurance fields provided for non-uae-to-pinas service - will be ignored`)
-    }
-    
-    console.log(`\n✅ All validations passed`)
-
-    // OTP Verification - MANDATORY for all bookings
-    // Validate that OTP fields are provided
-    if (!bookingData.otpPhoneNumber || !bookingData.otp) {
-      console.log(`\n❌ VALIDATION ERROR: OTP verification is required`)
-      console.log(`   otpPhoneNumber: ${bookingData.otpPhoneNumber ? 'provided' : 'missing'}`)
-      console.log(`   otp: ${bookingData.otp ? 'provided' : 'missing'}`)
-      console.log(`🔴 Request ID ${requestId} - Validation failed: OTP verification is mandatory`)
-      
-      return res.status(400).json({
-        success: false,
-        error: 'OTP verification is required. Please provide both phone number and OTP.',
-        requestId: requestId
-      })
-    }
-
-    // OTP Verification - Required for all bookings
-    let verifiedOTP = null // Store the verified OTP value to save in booking
-    console.log(`\n🔐 Starting OTP verification (MANDATORY)...`)
-    console.log(`   Phone Number: ${bookingData.otpPhoneNumber}`)
-    
-    try {
-      // Connect to MongoDB to verify OTP
-      let client
-      try {
-        client = await connectToDatabase()
-      } catch (dbError) {
-        console.error(`❌ Database connection error: ${dbError.message}`)
-        return res.status(500).json({
-          success: false,
-          error: 'Database connection failed',
-          requestId: requestId
-        })
-      }
-
-      const db = client.db(DB_NAME)
-      const otpCollection = db.collection(OTP_COLLECTION_NAME)
-
-      // Format phone number
-      const formattedPhone = bookingData.otpPhoneNumber.trim().replace(/\s+/g, '')
-      const providedOTP = bookingData.otp.trim()
-
-      // Find OTP record
-      const otpRecord = await otpCollection.findOne({
-        phoneNumber: formattedPhone,
-        verified: false
-      })
-
-      if (!otpRecord) {
-        console.log(`❌ No OTP found for phone number`)
-        return res.status(400).json({
-          success: false,
-          error: 'No OTP found for this phone number. Please generate and verify OTP first.',
-          requestId: requestId
-        })
-      }
-
-      // Check if OTP is expired
-      if (isOTPExpired(otpRecord.expiresAt)) {
-        console.log(`❌ OTP expired`)
-        await otpCollection.deleteOne({ _id: otpRecord._id })
-        return res.status(400).json({
-          success: false,
-          error: 'OTP has expired. Please generate a new OTP.',
-          requestId: requestId
-        })
-      }
-
-      // Check if max attempts exceeded
-      if (otpRecord.attempts >= otpRecord.maxAttempts) {
-        console.log(`❌ Max attempts exceeded`)
-        await otpCollection.deleteOne({ _id: otpRecord._id })
-        return res.status(400).json({
-          success: false,
-          error: 'Maximum verification attempts exceeded. Please generate a new OTP.',
-          requestId: requestId
-        })
-      }
-
-      // Verify OTP
-      if (otpRecord.otp !== providedOTP) {
-        console.log(`❌ OTP mismatch`)
-        await otpCollection.updateOne(
-          { _id: otpRecord._id },
-          { $inc: { attempts: 1 } }
-        )
-        const updatedRecord = await otpCollection.findOne({ _id: otpRecord._id })
-        const remainingAttempts = updatedRecord.maxAttempts - updatedRecord.attempts
-        
-        return res.status(400).json({
-          success: false,
-          error: 'Invalid OTP',
-          remainingAttempts: remainingAttempts > 0 ? remainingAttempts : 0,
-          requestId: requestId
-        })
-      }
-
-      // Store the verified OTP value to save in booking
-      verifiedOTP = otpRecord.otp
-
-      // Mark OTP as verified
-      await otpCollection.updateOne(
-        { _id: otpRecord._id },
-        { 
-          $set: { 
-            verified: true,
-            verifiedAt: new Date()
-          } 
-        }
-      )
-
-      console.log(`✅ OTP verified successfully`)
-      console.log(`   OTP value will be saved in booking: ${verifiedOTP}`)
-    } catch (otpError) {
-      console.error(`❌ OTP verification error: ${otpError.message}`)
-      return res.status(500).json({
-        success: false,
-        error: 'Failed to verify OTP',
-        requestId: requestId,
-        details: process.env.NODE_ENV === 'development' ? otpError.message : undefined
-      })
-    }
-
-    // Determine route and set dial codes automatically (needed for EID name logic)
-    // Note: service and serviceLower are already declared in validation section above
-    const isPhilippinesToUAE = serviceLower.includes('philippines-to-uae') || 
-                                serviceLower.includes('pinas-to-uae') ||
-                                serviceLower.includes('ph-to-uae')
-    
-    // Frontend already sends the correct names in eidFrontImageFirstName and eidFrontImageLastName:
-    // - PH to UAE: These are the receiver's name (receiver has EID in UAE)
-    // - UAE to PH: These are the sender's name (sender has EID in UAE)
-    // So we use them directly for verification
-    let eidFirstName = bookingData.eidFrontImageFirstName || null
-    let eidLastName = bookingData.eidFrontImageLastName || null
-    
-    if (bookingData.eidFrontImage) {
-      if (isPhilippinesToUAE) {
-        console.log(`\n🇵🇭 PH to UAE Service: EID belongs to RECEIVER (person in UAE)`)
-        console.log(`   EID First Name (from frontend): ${eidFirstName || 'not provided'}`)
-        console.log(`   EID Last Name (from frontend): ${eidLastName || 'not provided'}`)
-        console.log(`   Receiver First Name: ${bookingData.receiver?.firstName || 'not provided'}`)
-        console.log(`   Receiver Last Name: ${bookingData.receiver?.lastName || 'not provided'}`)
-      } else {
-        console.log(`\n🇦🇪 UAE to PH Service: EID belongs to SENDER (person in UAE)`)
-        console.log(`   EID First Name (from frontend): ${eidFirstName || 'not provided'}`)
-        console.log(`   EID Last Name (from frontend): ${eidLastName || 'not provided'}`)
-        console.log(`   Sender First Name: ${bookingData.sender?.firstName || 'not provided'}`)
-        console.log(`   Sender Last Name: ${bookingData.sender?.lastName || 'not provided'}`)
-      }
-    }
-
-    // EID Verification removed - EID images are optional and accepted without validation
-    // EID images can still be uploaded and stored, but no verification is performed
-    let eidVerification = null
-
-    // Validate EID verification result - reject booking if EID is not valid
-    if (eidVerification) {
-      // Reject if EID front is not valid
-      if (bookingData.eidFrontImage && eidVerification.isFrontValid === false) {
-        console.log(`\n❌ VALIDATION ERROR: Front image is not a valid Emirates ID`)
-        console.log(`🔴 Request ID ${requestId} - EID validation failed`)
+    if (emiratesId && eidHolder) {
+      const holder = bookingData[eidHolder]
+      console.log(`\n🪪 EID belongs to ${eidHolder.toUpperCase()} (person in UAE)`)
+      console.log(`   EID Name (from OCR): ${emiratesId.name || 'not found'}`)
+      console.log(`   ${eidHolder === 'sender' ? 'Sender' : 'Receiver'} Name: ${holder?.firstName || ''} ${holder?.lastName || ''}`)
+    }
+
+    // EID Verification - policy per route (route eidVerificationPolicy, default EID_VERIFICATION_POLICY): off, flag or reject
+    const eidVerificationPolicy = eidHolder ? getEidVerificationPolicy(route) : 'off'
+    let eidVerification = null
+    if (emiratesId && eidVerificationPolicy !== 'off') {
+      const holder = bookingData[eidHolder]
+      eidVerification = verifyEmiratesId(emiratesId, holder, eidVerificationPolicy)
+      console.log(`\n🪪 EID verification (${eidVerificationPolicy}): ${eidVerification.verificationMessage}`)
+    } else if (eidImages.length > 0 && isEmiratesIdOcrEnabled() && eidVerificationPolicy !== 'off') {
+      eidVerification = unreadableEmiratesId(eidVerificationPolicy, 'Emirates ID images could not be read')
+    }
+
+    // Validate EID verification result - reject booking if EID is not valid
+    if (eidVerification && eidVerification.rejectReason) {
+      // Reject if EID front is not valid
+      if (eidVerification.rejectReason === 'front_not_eid') {
+        console.log(`\n❌ VALIDATION ERROR: Front image is not a valid Emirates ID`)
+        console.log(`🔴 Request ID ${requestId} - EID validation failed`)
         
         return res.status(400).json({
           success: false,
@@ -1188,7 +1521,7 @@ app.post('/api/bookings', async (req, res) => {
       }
       
       // Reject if EID back is provided but not valid
-      if (bookingData.eidBackImage && eidVerification.isBackValid === false) {
+      if (eidVerification.rejectReason === 'back_not_eid') {
         console.log(`\n❌ VALIDATION ERROR: Back image is not a valid Emirates ID`)
         console.log(`🔴 Request ID ${requestId} - EID back validation failed`)
         
@@ -1200,27 +1533,40 @@ app.post('/api/bookings', async (req, res) => {
         })
       }
       
-      // Warn if front side is not detected as front (but EID is valid)
-      if (bookingData.eidFrontImage && eidVerification.isFrontValid === true && eidVerification.isFrontSide === false) {
-        console.log(`\n⚠️  WARNING: Front image may not be a valid EID front side - booking will proceed but requires manual review`)
-      }
-      
-      // Warn if back side is provided but not detected as back (but EID is valid)
-      if (bookingData.eidBackImage && eidVerification.isBackValid === true && eidVerification.isBackSide === false) {
-        console.log(`\n⚠️  WARNING: Back image may not be a valid EID back side - booking will proceed but requires manual review`)
+      // Reject if the name on the EID does not match the party in the UAE
+      if (eidVerification.rejectReason === 'name_mismatch') {
+        console.log(`\n❌ VALIDATION ERROR: Name on Emirates ID does not match the ${eidHolder}`)
+        console.log(`🔴 Request ID ${requestId} - EID name verification failed`)
+        
+        return res.status(400).json({
+          success: false,
+          error: `The name on the Emirates ID does not match the ${eidHolder} name. Please check the name or upload the correct Emirates ID.`,
+          requestId: requestId,
+          eidVerification: eidVerification
+        })
       }
     }
 
+    // Bookings that pass with issues proceed but require manual review
+    if (eidVerification && eidVerification.requiresReview) {
+      console.log(`\n⚠️  WARNING: EID verification issues - booking will proceed but requires manual review`)
+      eidVerification.reviewReasons.forEach(reason => console.log(`   - ${reason}`))
+    }
+    if (commodityScreening.restricted.length > 0) {
+      console.log(`\n⚠️  WARNING: Restricted goods - booking will proceed but requires manual review`)
+      commodityScreening.restricted.forEach(match => console.log(`   - items[${match.index}]: ${match.label} (${match.matchedBy})${match.possiblyProhibited ? ' - possibly prohibited' : ''}`))
+    }
+
     // Generate unique reference number
-    const referenceNumber = 'KNX' + Date.now().toString(36).toUpperCase()
+    const referenceNumber = generateReferenceNumber()
     
     // Set dial codes based on route
-    const senderDialCode = isPhilippinesToUAE ? '+63' : '+971'
-    const receiverDialCode = isPhilippinesToUAE ? '+971' : '+63'
+    const senderDialCode = route.origin.dialCode
+    const receiverDialCode = route.destination.dialCode
     
     console.log(`\n🌍 Route Detection:`)
     console.log(`   Service: ${service}`)
-    console.log(`   Is Philippines to UAE: ${isPhilippinesToUAE}`)
+    console.log(`   Route: ${route.label} (${route.id})`)
     console.log(`   Sender dial code: ${senderDialCode}`)
     console.log(`   Receiver dial code: ${receiverDialCode}`)
     
@@ -1250,18 +1596,70 @@ app.post('/api/bookings', async (req, res) => {
     const db = client.db(DB_NAME)
     const collection = db.collection(COLLECTION_NAME)
 
-    // Generate unique AWB before creating booking document
-    console.log(`\n📋 Generating AWB for service: ${service}...`)
+    // Price snapshot: bookings that include parcels are quoted with the current rate card, so later
+    // rate changes do not alter the price the customer saw. Without parcels (or rates) the warehouse quotes.
+    let quote = null
+    if (Array.isArray(bookingData.parcels) && bookingData.parcels.length > 0) {
+      try {
+        const quoteResult = await rateEngine.quote(route, bookingData)
+        if (quoteResult.valid) {
+          quote = quoteResult.quote
+          console.log(`\n💰 Quote: ${quote.total} ${quote.currency} (${quote.chargeableWeightKg} kg chargeable)`)
+        } else if (quoteResult.code === 'no_rate_card') {
+          console.log(`\n⚠️  WARNING: No rate card for ${route.id} - booking will be quoted at the warehouse`)
+        } else {
+          console.log(`\n❌ VALIDATION ERROR: Booking could not be quoted`)
+          quoteResult.errors.forEach(error => console.log(`   ${error.field}: ${error.code} - ${error.message}`))
+          console.log(`🔴 Request ID ${requestId} - Validation failed: Quote rejected`)
+
+          return res.status(400).json({
+            success: false,
+            error: quoteResult.errors.length === 1
+              ? quoteResult.errors[0].message
+              : `Invalid booking request (${quoteResult.errors.length} errors): ${quoteResult.errors.map(error => error.field).join(', ')}`,
+            errors: quoteResult.errors,
+            requestId: requestId
+          })
+        }
+      } catch (quoteError) {
+        // A broken rate card should not block bookings; the warehouse can still quote
+        console.warn(`⚠️  Quote failed: ${quoteError.message}`)
+      }
+    }
+
+    // Consume the OTP verification token (single use) before anything is allocated or stored, so a
+    // replayed token is rejected without using up an AWB or writing identity images
+    const otpCollection = db.collection(OTP_COLLECTION_NAME)
+    const otpRecord = await consumeOtpVerificationToken(otpCollection, otpClaims, referenceNumber)
+    if (!otpRecord) {
+      console.log(`\n❌ OTP verification token was already used`)
+      console.log(`🔴 Request ID ${requestId} - Validation failed: OTP verification token already consumed`)
+      
+      return res.status(409).json({
+        success: false,
+        error: 'This OTP verification has already been used. Please verify your phone number again.',
+        requestId: requestId
+      })
+    }
+
+    // Let the customer retry with the same verification when the booking cannot be saved
+    const releaseOtpToken = () => releaseOtpVerificationToken(otpCollection, otpClaims, referenceNumber).catch(releaseError => {
+      console.error(`⚠️  Failed to release OTP verification token: ${releaseError.message}`)
+    })
+
+    // Allocate the AWB once the token is consumed (unique by construction, enforced by the awb index)
+    console.log(`\n📋 Generating AWB for service: ${route.id}...`)
     let awb
     try {
-      awb = await generateUniqueAWB(service, collection, 10)
+      awb = await awbAllocator.allocate(route.id)
       console.log(`✅ AWB generated successfully: ${awb}`)
       
       // Validate AWB format one more time before saving
-      if (!validateAWBFormat(awb, service)) {
+      if (!validateAWBFormat(awb, route.id) || !isValidAWBCheckCharacter(awb)) {
         throw new Error(`Generated AWB ${awb} does not match required format`)
       }
     } catch (awbError) {
+      await releaseOtpToken()
       console.error(`\n❌ AWB GENERATION ERROR:`)
       console.error(`   Error: ${awbError.message}`)
       console.log(`🔴 Request ID ${requestId} - AWB generation failed`)
@@ -1274,11 +1672,31 @@ app.post('/api/bookings', async (req, res) => {
       })
     }
 
+    // Move identity images into the blob store - the booking only keeps hashes and metadata
+    console.log(`\n🗄️  Storing identity images (${blobStore.driver})...`)
+    let storedIdentityImages
+    try {
+      storedIdentityImages = await storeIdentityImages(identityImages, blobStore)
+      console.log(`✅ Identity images stored`)
+    } catch (storeError) {
+      await releaseOtpToken()
+      console.error(`\n❌ IDENTITY IMAGE STORAGE ERROR:`)
+      console.error(`   Error: ${storeError.message}`)
+      console.log(`🔴 Request ID ${requestId} - Identity image storage failed`)
+
+      return res.status(500).json({
+        success: false,
+        error: 'Failed to store identity documents. Please try again.',
+        requestId: requestId,
+        details: process.env.NODE_ENV === 'development' ? storeError.message : undefined
+      })
+    }
+
     // Prepare booking document with all detailed fields
     const bookingDocument = {
       referenceNumber: referenceNumber,
       awb: awb, // Add AWB to booking document
-      service: service,
+      service: route.id, // Canonical service name (aliases are resolved by the route registry)
       
       // Sender Details - Complete breakdown
       sender: {
@@ -1291,7 +1709,7 @@ app.post('/api/bookings', async (req, res) => {
         
         // Address Information
         completeAddress: bookingData.sender.completeAddress || null,
-        country: bookingData.sender.country || 'UNITED ARAB EMIRATES',
+        country: bookingData.sender.country || route.origin.name,
         // Deprecated fields (nullable)
         emirates: bookingData.sender.emirates || null,
         city: bookingData.sender.city || null,
@@ -1303,14 +1721,14 @@ app.post('/api/bookings', async (req, res) => {
         
         // Contact Information - dial code is automatically set based on route
         dialCode: senderDialCode,
-        phoneNumber: bookingData.sender.phoneNumber || '',
-        contactNo: bookingData.sender.contactNo || '',
+        phoneNumber: contactNumbers.sender.phoneNumber || '',
+        contactNo: contactNumbers.sender.contactNo || '',
         
         // Delivery Options
         deliveryOption: bookingData.sender.deliveryOption || 'warehouse',
         
-        // Shipment Type + Insurance Fields (only for uae-to-pinas service)
-        ...(!isPhilippinesToUAE ? {
+        // Shipment Type + Insurance Fields (only for routes with insurance rules)
+        ...(route.insurance ? {
           shipmentType: bookingData.sender.shipmentType,
           insured: bookingData.sender.insured,
           declaredAmount: bookingData.sender.declaredAmount
@@ -1327,7 +1745,7 @@ app.post('/api/bookings', async (req, res) => {
         
         // Address Information
         completeAddress: bookingData.receiver.completeAddress || null,
-        country: bookingData.receiver.country || 'PHILIPPINES',
+        country: bookingData.receiver.country || route.destination.name,
         // Deprecated fields (nullable)
         region: bookingData.receiver.region || null,
         province: bookingData.receiver.province || null,
@@ -1339,52 +1757,66 @@ app.post('/api/bookings', async (req, res) => {
         
         // Contact Information - dial code is automatically set based on route
         dialCode: receiverDialCode,
-        phoneNumber: bookingData.receiver.phoneNumber || '',
-        contactNo: bookingData.receiver.contactNo || '',
+        phoneNumber: contactNumbers.receiver.phoneNumber || '',
+        contactNo: contactNumbers.receiver.contactNo || '',
         
         // Delivery Options
         deliveryOption: bookingData.receiver.deliveryOption || 'delivery'
       },
       
       // Items/Commodities
-      items: bookingData.items || [],
+      items: normalizeItems(bookingData.items),
+      
+      // Restricted goods found in the items (prohibited goods never reach this point)
+      commodityScreening: {
+        restricted: commodityScreening.restricted,
+        requiresReview: commodityScreening.restricted.length > 0,
+        screenedAt: new Date()
+      },
+      
+      // Price snapshot (null when the booking is quoted at the warehouse)
+      quote: quote,
       
       // Identity Verification Documents
+      // Images live in the blob store; each field holds { hash, size, contentType, driver, storedAt }
+      // UAE EID, Philippines ID (both routes) and customer face images
       identityDocuments: {
-        // UAE EID documents (for UAE routes)
-        eidFrontImage: bookingData.eidFrontImage || null,
-        eidBackImage: bookingData.eidBackImage || null,
-        // EID Name fields (for verification) - store the names used for verification
-        ...(eidFirstName && { eidFrontImageFirstName: eidFirstName }),
-        ...(eidLastName && { eidFrontImageLastName: eidLastName }),
-        // Philippines ID documents (accepted for both UAE to PH and PH to UAE routes)
-        // Only include if they have values (MongoDB omits null fields)
-        ...(bookingData.philippinesIdFront && { philippinesIdFront: bookingData.philippinesIdFront }),
-        ...(bookingData.philippinesIdBack && { philippinesIdBack: bookingData.philippinesIdBack }),
-        // Customer face images
-        customerImage: bookingData.customerImage || null, // Single image for backward compatibility
-        customerImages: bookingData.customerImages || (bookingData.customerImage ? [bookingData.customerImage] : []) // All face images
+        ...storedIdentityImages.identityDocuments,
+        // Fields read from the Emirates ID images
+        eid: emiratesId ? {
+          idNumber: emiratesId.idNumber,
+          idNumberValid: emiratesId.idNumberValid,
+          name: emiratesId.name,
+          nationality: emiratesId.nationality,
+          dateOfBirth: emiratesId.dateOfBirth,
+          expiryDate: emiratesId.expiryDate,
+          provider: emiratesId.provider,
+          extractedAt: new Date()
+        } : null
       },
       
       // EID Verification Results
       ...(eidVerification ? {
         eidVerification: {
+          policy: eidVerification.policy,
           isEmiratesId: eidVerification.isEmiratesId,
           isFrontSide: eidVerification.isFrontSide,
           isBackSide: eidVerification.isBackSide,
-          verificationMessage: eidVerification.verificationMessage
+          nameMatch: eidVerification.nameMatch,
+          requiresReview: eidVerification.requiresReview,
+          reviewReasons: eidVerification.reviewReasons,
+          verificationMessage: eidVerification.verificationMessage,
+          verifiedAt: new Date()
         }
       } : {}),
       
       // OTP Verification Status (mandatory - always included if booking reaches this point)
-      ...(verifiedOTP ? {
-        otpVerification: {
-          phoneNumber: bookingData.otpPhoneNumber.trim().replace(/\s+/g, ''),
-          otp: verifiedOTP, // Save the actual OTP value in booking
-          verified: true,
-          verifiedAt: new Date()
-        }
-      } : {}),
+      // The OTP value itself is never stored on the booking
+      otpVerification: {
+        phoneNumber: otpClaims.phoneNumber,
+        verified: true,
+        verifiedAt: new Date()
+      },
       
       // Additional Details (optional - frontend no longer collects this)
       additionalDetails: bookingData.additionalDetails ? {
@@ -1397,7 +1829,10 @@ app.post('/api/bookings', async (req, res) => {
       termsAccepted: bookingData.termsAccepted || false,
       submittedAt: new Date(),
       submissionTimestamp: bookingData.submissionTimestamp || new Date().toISOString(),
-      status: 'pending',
+      status: INITIAL_BOOKING_STATUS,
+      statusHistory: [
+        buildStatusHistoryEntry(INITIAL_BOOKING_STATUS, { note: 'Booking submitted', changedBy: 'customer' })
+      ],
       source: 'web'
     }
 
@@ -1406,31 +1841,37 @@ app.post('/api/bookings', async (req, res) => {
     console.log(`   Reference Number: ${referenceNumber}`)
     console.log(`   AWB: ${awb}`)
     console.log(`\n📄 Identity Documents being saved:`)
-    console.log(`   - eidFrontImage: ${bookingDocument.identityDocuments.eidFrontImage ? 'Present (' + bookingDocument.identityDocuments.eidFrontImage.length + ' chars)' : 'null'}`)
-    console.log(`   - eidBackImage: ${bookingDocument.identityDocuments.eidBackImage ? 'Present (' + bookingDocument.identityDocuments.eidBackImage.length + ' chars)' : 'null'}`)
-    console.log(`   - philippinesIdFront: ${bookingDocument.identityDocuments.philippinesIdFront ? 'Present (' + bookingDocument.identityDocuments.philippinesIdFront.length + ' chars)' : 'null'}`)
-    console.log(`   - philippinesIdBack: ${bookingDocument.identityDocuments.philippinesIdBack ? 'Present (' + bookingDocument.identityDocuments.philippinesIdBack.length + ' chars)' : 'null'}`)
-    console.log(`   - customerImage: ${bookingDocument.identityDocuments.customerImage ? 'Present (' + bookingDocument.identityDocuments.customerImage.length + ' chars)' : 'null'}`)
+    console.log(`   - eidFrontImage: ${bookingDocument.identityDocuments.eidFrontImage ? 'Present (' + bookingDocument.identityDocuments.eidFrontImage.size + ' bytes)' : 'null'}`)
+    console.log(`   - eidBackImage: ${bookingDocument.identityDocuments.eidBackImage ? 'Present (' + bookingDocument.identityDocuments.eidBackImage.size + ' bytes)' : 'null'}`)
+    console.log(`   - philippinesIdFront: ${bookingDocument.identityDocuments.philippinesIdFront ? 'Present (' + bookingDocument.identityDocuments.philippinesIdFront.size + ' bytes)' : 'null'}`)
+    console.log(`   - philippinesIdBack: ${bookingDocument.identityDocuments.philippinesIdBack ? 'Present (' + bookingDocument.identityDocuments.philippinesIdBack.size + ' bytes)' : 'null'}`)
+    console.log(`   - customerImage: ${bookingDocument.identityDocuments.customerImage ? 'Present (' + bookingDocument.identityDocuments.customerImage.size + ' bytes)' : 'null'}`)
     console.log(`   - customerImages: ${bookingDocument.identityDocuments.customerImages?.length || 0} images`)
     
     // Log Philippines ID images for both routes (UAE to PH and PH to UAE)
     if (bookingDocument.identityDocuments.philippinesIdFront || bookingDocument.identityDocuments.philippinesIdBack) {
-      const routeLabel = isPhilippinesToUAE ? 'Philippines to UAE' : 'UAE to Philippines'
-      console.log(`\n🇵🇭 ${routeLabel} Route - Philippines ID Document Check:`)
-      console.log(`   - philippinesIdFront: ${bookingDocument.identityDocuments.philippinesIdFront ? '✅ Received (' + bookingDocument.identityDocuments.philippinesIdFront.length + ' chars)' : '❌ Missing'}`)
-      console.log(`   - philippinesIdBack: ${bookingDocument.identityDocuments.philippinesIdBack ? '✅ Received (' + bookingDocument.identityDocuments.philippinesIdBack.length + ' chars)' : '❌ Missing'}`)
+      console.log(`\n🇵🇭 ${route.label} Route - Philippines ID Document Check:`)
+      console.log(`   - philippinesIdFront: ${bookingDocument.identityDocuments.philippinesIdFront ? '✅ Received (' + bookingDocument.identityDocuments.philippinesIdFront.size + ' bytes)' : '❌ Missing'}`)
+      console.log(`   - philippinesIdBack: ${bookingDocument.identityDocuments.philippinesIdBack ? '✅ Received (' + bookingDocument.identityDocuments.philippinesIdBack.size + ' bytes)' : '❌ Missing'}`)
       
       // Log the actual field values being saved
       console.log(`   - philippinesIdFront in document: ${bookingDocument.identityDocuments.hasOwnProperty('philippinesIdFront') ? 'Field exists' : 'Field missing'}`)
       console.log(`   - philippinesIdBack in document: ${bookingDocument.identityDocuments.hasOwnProperty('philippinesIdBack') ? 'Field exists' : 'Field missing'}`)
     }
     
+    bookingDocument.otpVerification.verifiedAt = otpRecord.verifiedAt || bookingDocument.otpVerification.verifiedAt
+    
     let result
     try {
       result = await collection.insertOne(bookingDocument)
       console.log(`✅ Booking inserted successfully`)
       console.log(`   Inserted ID: ${result.insertedId}`)
     } catch (insertError) {
+      // Remove the identity images written for this booking, unless another booking uses them
+      await deleteUnreferencedImages(storedIdentityImages.createdHashes, blobStore, collection).catch(cleanupError => {
+        console.error(`⚠️  Failed to delete stored identity images: ${cleanupError.message}`)
+      })
+      await releaseOtpToken()
       console.error(`\n❌ MONGODB INSERT ERROR:`)
       console.error(`   Error: ${insertError.message}`)
       console.error(`   Error Code: ${insertError.code}`)
@@ -1469,6 +1910,7 @@ app.post('/api/bookings', async (req, res) => {
       awb: awb, // Include AWB in response
       bookingId: result.insertedId,
       message: 'Booking submitted successfully',
+      ...(quote ? { quote: { currency: quote.currency, total: quote.total, chargeableWeightKg: quote.chargeableWeightKg } } : {}),
       timestamp: new Date().toISOString(),
       requestId: requestId
     }
@@ -1478,6 +1920,23 @@ app.post('/api/bookings', async (req, res) => {
       response.eidVerification = eidVerification
     }
     
+    // Confirmation by SMS and email so the customer keeps the AWB even if the page is closed
+    // Sent before the response, as a serverless function may stop once it has responded; each
+    // delivery is bounded by BOOKING_NOTIFICATION_TIMEOUT_MS, problems never fail the booking and
+    // each attempt is logged on it (notifications)
+    try {
+      const notifications = await bookingNotifier.sendBookingConfirmation(bookingDocument, route, {
+        locale: bookingData.locale,
+        notifyReceiver: bookingData.notifyReceiver
+      })
+      const failed = notifications.filter(attempt => attempt.status === 'failed')
+      if (failed.length > 0) {
+        console.warn(`⚠️  Booking confirmation not delivered: ${failed.map(attempt => `${attempt.recipient} ${attempt.channel} (${attempt.error})`).join(', ')}`)
+      }
+    } catch (notifyError) {
+      console.error(`⚠️  Failed to send booking confirmation: ${notifyError.message}`)
+    }
+
     return res.status(200).json(response)
 
   } catch (error) {
@@ -1499,6 +1958,820 @@ app.post('/api/bookings', async (req, res) => {
   }
 })
 
+// Admin authentication endpoints
+// Staff log in with email + password and receive a bearer token for back-office routes
+
+// Staff login
+app.post('/api/admin/login', async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    if (!isAuthConfigured()) {
+      return res.status(503).json({
+        success: false,
+        error: 'Admin authentication is not configured',
+        requestId: requestId
+      })
+    }
+
+    const { email, password } = req.body || {}
+    if (!email || typeof email !== 'string' || !password || typeof password !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Email and password are required',
+        requestId: requestId
+      })
+    }
+
+    const staffCollection = await getStaffCollection()
+    await ensureBootstrapAdmin(staffCollection)
+
+    const user = await staffCollection.findOne({ email: email.trim().toLowerCase() })
+    const passwordMatches = await verifyStaffPassword(password, user)
+
+    // Same response for unknown email, wrong password and deactivated accounts
+    if (!user || !passwordMatches || user.active === false) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid email or password',
+        requestId: requestId
+      })
+    }
+
+    await staffCollection.updateOne({ _id: user._id }, { $set: { lastLoginAt: new Date() } })
+
+    const { token, expiresInSeconds } = issueStaffToken(user)
+
+    return res.status(200).json({
+      success: true,
+      token: token,
+      tokenType: 'Bearer',
+      expiresInSeconds: expiresInSeconds,
+      user: toPublicStaffUser(user),
+      requestId: requestId
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to log in',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Current staff user
+app.get('/api/admin/me', requireStaff(), (req, res) => {
+  res.status(200).json({
+    success: true,
+    user: toPublicStaffUser(req.staffUser)
+  })
+})
+
+// Create staff user (admin only)
+app.post('/api/admin/users', requireStaff('admin'), async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const { email, name, password, role } = req.body || {}
+
+    if (!email || typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid email is required',
+        requestId: requestId
+      })
+    }
+
+    if (!name || typeof name !== 'string' || !name.trim() || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required (max 100 characters)',
+        requestId: requestId
+      })
+    }
+
+    if (!STAFF_ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: `role must be one of: ${STAFF_ROLES.join(', ')}`,
+        requestId: requestId
+      })
+    }
+
+    const passwordError = validatePasswordStrength(password)
+    if (passwordError) {
+      return res.status(400).json({
+        success: false,
+        error: passwordError,
+        requestId: requestId
+      })
+    }
+
+    const staffCollection = await getStaffCollection()
+
+    const user = {
+      email: email.trim().toLowerCase(),
+      name: name.trim(),
+      role: role,
+      passwordHash: await hashPassword(password),
+      active: true,
+      createdAt: new Date(),
+      createdBy: req.staffUser.email
+    }
+
+    try {
+      const result = await staffCollection.insertOne(user)
+      user._id = result.insertedId
+    } catch (insertError) {
+      if (insertError.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          error: 'A staff user with this email already exists',
+          requestId: requestId
+        })
+      }
+      throw insertError
+    }
+
+    return res.status(201).json({
+      success: true,
+      user: toPublicStaffUser(user),
+      requestId: requestId
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to create staff user',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Admin booking list (any staff role)
+// Cursor-paginated, newest first; identity images are never loaded
+app.get('/api/admin/bookings', requireStaff(), async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const { filter, limit, errors } = buildBookingListQuery(req.query)
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: errors.join('; '),
+        requestId: requestId
+      })
+    }
+
+    let client
+    try {
+      client = await connectToDatabase()
+    } catch (dbError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database connection failed',
+        requestId: requestId
+      })
+    }
+
+    const db = client.db(DB_NAME)
+    const collection = db.collection(COLLECTION_NAME)
+
+    // Fetch one extra booking to know whether another page exists
+    const bookings = await collection
+      .find(filter, { projection: BOOKING_LIST_PROJECTION })
+      .sort(BOOKING_LIST_SORT)
+      .limit(limit + 1)
+      .toArray()
+
+    const hasMore = bookings.length > limit
+    const page = hasMore ? bookings.slice(0, limit) : bookings
+
+    return res.status(200).json({
+      success: true,
+      bookings: page,
+      count: page.length,
+      hasMore: hasMore,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      requestId: requestId
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to list bookings',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Admin booking detail (any staff role)
+// Includes identity image references (hashes) but never inline image data or the OTP value
+app.get('/api/admin/bookings/:awb', requireStaff(), async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const awb = String(req.params.awb || '').trim().toUpperCase()
+
+    let client
+    try {
+      client = await connectToDatabase()
+    } catch (dbError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database connection failed',
+        requestId: requestId
+      })
+    }
+
+    const db = client.db(DB_NAME)
+    const collection = db.collection(COLLECTION_NAME)
+
+    const booking = await collection.findOne({ awb: awb }, { projection: { 'otpVerification.otp': 0 } })
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found',
+        requestId: requestId
+      })
+    }
+
+    booking.identityDocuments = withoutInlineImages(booking.identityDocuments)
+
+    return res.status(200).json({
+      success: true,
+      booking: booking,
+      requestId: requestId
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load booking',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Stream an identity image of a booking (any staff role)
+// The hash must belong to the booking, so staff cannot fetch arbitrary blobs by hash
+app.get('/api/admin/bookings/:awb/images/:hash', requireStaff(), async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const awb = String(req.params.awb || '').trim().toUpperCase()
+    const hash = String(req.params.hash || '').trim().toLowerCase()
+
+    if (!isValidContentHash(hash)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid image hash',
+        requestId: requestId
+      })
+    }
+
+    let client
+    try {
+      client = await connectToDatabase()
+    } catch (dbError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database connection failed',
+        requestId: requestId
+      })
+    }
+
+    const db = client.db(DB_NAME)
+    const collection = db.collection(COLLECTION_NAME)
+
+    const booking = await collection.findOne({ awb: awb }, { projection: { identityDocuments: 1 } })
+    const ref = booking ? listImageRefs(booking.identityDocuments).find(r => r.hash === hash) : null
+
+    if (!ref) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found',
+        requestId: requestId
+      })
+    }
+
+    const stream = await blobStore.openReadStream(hash)
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image content is missing from storage',
+        requestId: requestId
+      })
+    }
+
+    res.set({
+      'Content-Type': ref.contentType || 'application/octet-stream',
+      'Cache-Control': 'private, no-store',
+      'X-Content-Type-Options': 'nosniff'
+    })
+    stream.on('error', () => res.destroy())
+    stream.pipe(res)
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to load image',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Booking lookup endpoints
+// The AWB or reference number alone returns the tracking view (status and timeline). Parties and items
+// (no identity images, no OTP, masked phones) need a second factor: ?phoneLast4= (last 4 digits of the
+// sender's or receiver's phone) or, for AWB lookups, ?reference= (the booking's reference number)
+
+/**
+ * Find a single booking and send its tracking view, or its owner view when a factor matches
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {string} requestId - Request ID for logging
+ * @param {Object} query - MongoDB query
+ * @param {Object} factors - Ownership factors from the request ({ referenceNumber, phoneLast4 })
+ */
+async function sendBookingLookup(req, res, requestId, query, factors) {
+  let client
+  try {
+    client = await connectToDatabase()
+  } catch (dbError) {
+    return res.status(500).json({
+      success: false,
+      error: 'Database connection failed',
+      requestId: requestId
+    })
+  }
+
+  const db = client.db(DB_NAME)
+  const collection = db.collection(COLLECTION_NAME)
+
+  // Never load identity images or OTP data for lookups
+  const booking = await collection.findOne(query, {
+    projection: { identityDocuments: 0, otpVerification: 0 }
+  })
+
+  if (!booking) {
+    return res.status(404).json({
+      success: false,
+      error: 'Booking not found',
+      requestId: requestId
+    })
+  }
+
+  const hasFactor = Boolean(factors.referenceNumber || factors.phoneLast4)
+  if (!hasFactor) {
+    return res.status(200).json({
+      success: true,
+      view: 'tracking',
+      booking: toTrackingView(booking),
+      requestId: requestId
+    })
+  }
+
+  // Failed checks are counted per booking and client IP; a blocked caller cannot try further factors
+  const lookupKeys = { booking: booking.awb, ip: req.ip }
+  const rateLimit = await lookupRateLimiter.check(lookupKeys)
+  if (!rateLimit.allowed) {
+    console.log(`❌ Booking lookup rate limit reached (${rateLimit.scope}) - retry after ${rateLimit.retryAfter}s`)
+    res.set('Retry-After', String(rateLimit.retryAfter))
+    return res.status(429).json({
+      success: false,
+      error: rateLimit.reason,
+      retryAfter: rateLimit.retryAfter,
+      retryAt: rateLimit.retryAt.toISOString(),
+      requestId: requestId
+    })
+  }
+
+  if (!isBookingOwner(booking, factors)) {
+    await lookupRateLimiter.record(lookupKeys)
+    return res.status(403).json({
+      success: false,
+      error: 'The booking details could not be verified',
+      requestId: requestId
+    })
+  }
+
+  return res.status(200).json({
+    success: true,
+    view: 'owner',
+    booking: toPublicBooking(booking),
+    requestId: requestId
+  })
+}
+
+/**
+ * Read an optional query string parameter
+ */
+function readQueryParam(req, name) {
+  return typeof req.query[name] === 'string' && req.query[name].trim() !== '' ? req.query[name].trim() : undefined
+}
+
+// Look up booking by AWB
+app.get('/api/bookings/:awb', async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const awb = String(req.params.awb || '').trim().toUpperCase()
+
+    // AWB prefix determines the route whose format must be matched
+    const route = getRouteByAwb(awb)
+    if (!route || !validateAWBFormat(awb, route.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid AWB format',
+        requestId: requestId
+      })
+    }
+
+    return await sendBookingLookup(req, res, requestId, { awb: awb }, {
+      referenceNumber: readQueryParam(req, 'reference'),
+      phoneLast4: readQueryParam(req, 'phoneLast4')
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to look up booking',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Look up booking by reference number
+app.get('/api/bookings/reference/:referenceNumber', async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const referenceNumber = String(req.params.referenceNumber || '').trim().toUpperCase()
+
+    if (!/^KNX[A-Z0-9]{4,20}$/.test(referenceNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid reference number format',
+        requestId: requestId
+      })
+    }
+
+    return await sendBookingLookup(req, res, requestId, { referenceNumber: referenceNumber }, {
+      phoneLast4: readQueryParam(req, 'phoneLast4')
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to look up booking',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Update booking status (warehouse staff and admins)
+// Only transitions allowed by the lifecycle table are accepted; each change is appended to statusHistory
+app.patch('/api/bookings/:awb/status', requireStaff('warehouse'), async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const awb = String(req.params.awb || '').trim().toUpperCase()
+    const { status, note } = req.body || {}
+
+    const route = getRouteByAwb(awb)
+    if (!route || !validateAWBFormat(awb, route.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid AWB format',
+        requestId: requestId
+      })
+    }
+
+    if (!status || typeof status !== 'string' || !isValidStatus(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${BOOKING_STATUSES.join(', ')}`,
+        requestId: requestId
+      })
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 500)) {
+      return res.status(400).json({
+        success: false,
+        error: 'note must be a string of at most 500 characters',
+        requestId: requestId
+      })
+    }
+
+    let client
+    try {
+      client = await connectToDatabase()
+    } catch (dbError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database connection failed',
+        requestId: requestId
+      })
+    }
+
+    const db = client.db(DB_NAME)
+    const collection = db.collection(COLLECTION_NAME)
+
+    const booking = await collection.findOne({ awb: awb }, { projection: { status: 1 } })
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found',
+        requestId: requestId
+      })
+    }
+
+    const currentStatus = booking.status || INITIAL_BOOKING_STATUS
+    if (!canTransition(currentStatus, status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot change status from "${currentStatus}" to "${status}"`,
+        currentStatus: currentStatus,
+        allowedStatuses: getAllowedTransitions(currentStatus),
+        requestId: requestId
+      })
+    }
+
+    const historyEntry = buildStatusHistoryEntry(status, {
+      from: currentStatus,
+      note: note || null,
+      changedBy: req.staffUser.email
+    })
+
+    // Only apply the change if the status has not moved since it was read
+    const updatedBooking = await collection.findOneAndUpdate(
+      { _id: booking._id, status: booking.status },
+      {
+        $set: { status: status, statusUpdatedAt: historyEntry.changedAt },
+        $push: { statusHistory: historyEntry }
+      },
+      { returnDocument: 'after', projection: { identityDocuments: 0, otpVerification: 0 } }
+    )
+
+    if (!updatedBooking) {
+      return res.status(409).json({
+        success: false,
+        error: 'Booking status was changed by another request. Please reload and try again.',
+        requestId: requestId
+      })
+    }
+
+    return res.status(200).json({
+      success: true,
+      booking: toPublicBooking(updatedBooking),
+      requestId: requestId
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update booking status',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Customs declaration and commercial invoice (staff)
+// JSON by default, PDF with ?format=pdf; only routes with customs rules (route.customs) have customs paperwork
+app.get('/api/bookings/:awb/customs', requireStaff(), async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const awb = String(req.params.awb || '').trim().toUpperCase()
+    const format = req.query.format === undefined ? 'json' : String(req.query.format)
+    if (format !== 'json' && format !== 'pdf') {
+      return res.status(400).json({
+        success: false,
+        error: 'format must be "json" or "pdf"',
+        requestId: requestId
+      })
+    }
+
+    const route = getRouteByAwb(awb)
+    if (!route || !validateAWBFormat(awb, route.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid AWB format',
+        requestId: requestId
+      })
+    }
+    if (!route.customs) {
+      return res.status(404).json({
+        success: false,
+        error: `Customs documents are not configured for ${route.label}`,
+        requestId: requestId
+      })
+    }
+
+    let client
+    try {
+      client = await connectToDatabase()
+    } catch (dbError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database connection failed',
+        requestId: requestId
+      })
+    }
+
+    const collection = client.db(DB_NAME).collection(COLLECTION_NAME)
+    const booking = await collection.findOne({ awb: awb }, { projection: { identityDocuments: 0, otpVerification: 0 } })
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found',
+        requestId: requestId
+      })
+    }
+
+    // Duty-free balikbayan boxes are limited per sender and calendar year: count the sender's
+    // non-document bookings on the route this year up to and including this one
+    const submittedAt = new Date(booking.submittedAt || Date.now())
+    const balikbayanCount = booking.sender?.phoneNumber
+      ? await collection.countDocuments({
+        service: { $in: [route.id, ...route.aliases] },
+        'sender.phoneNumber': booking.sender.phoneNumber,
+        'sender.shipmentType': { $ne: 'document' },
+        status: { $ne: 'cancelled' },
+        submittedAt: { $gte: new Date(Date.UTC(submittedAt.getUTCFullYear(), 0, 1)), $lte: submittedAt }
+      })
+      : 1
+
+    const documents = buildCustomsDocuments(booking, route, { balikbayanCount: Math.max(1, balikbayanCount) })
+
+    if (format === 'pdf') {
+      const pdf = await renderCustomsPdf(documents)
+      res.set({
+        'Content-Type': 'application/pdf',
+        'Content-Disposition': `inline; filename="customs-${awb}.pdf"`,
+        'Cache-Control': 'private, no-store'
+      })
+      return res.status(200).send(pdf)
+    }
+
+    return res.status(200).json({
+      success: true,
+      customs: documents,
+      requestId: requestId
+    })
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to build customs documents',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+/**
+ * Send shipping labels as an inline PDF
+ * @param {Object} res - Express response
+ * @param {Array<{booking: Object, route: Object}>} labels - Bookings with their routes
+ * @param {string} filename - PDF file name
+ */
+async function sendShippingLabels(res, labels, filename) {
+  const pdf = await renderShippingLabels(labels)
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `inline; filename="${filename}"`,
+    'Cache-Control': 'private, no-store'
+  })
+  return res.status(200).send(pdf)
+}
+
+// 4x6 shipping label of a booking (warehouse staff and admins)
+app.get('/api/bookings/:awb/label', requireStaff('warehouse'), async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const awb = String(req.params.awb || '').trim().toUpperCase()
+
+    const route = getRouteByAwb(awb)
+    if (!route || !validateAWBFormat(awb, route.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid AWB format',
+        requestId: requestId
+      })
+    }
+
+    let client
+    try {
+      client = await connectToDatabase()
+    } catch (dbError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database connection failed',
+        requestId: requestId
+      })
+    }
+
+    const collection = client.db(DB_NAME).collection(COLLECTION_NAME)
+    const booking = await collection.findOne({ awb: awb }, { projection: { identityDocuments: 0, otpVerification: 0 } })
+    if (!booking) {
+      return res.status(404).json({
+        success: false,
+        error: 'Booking not found',
+        requestId: requestId
+      })
+    }
+
+    return await sendShippingLabels(res, [{ booking, route }], `label-${awb}.pdf`)
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to print shipping label',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
+// Shipping labels of several bookings in one PDF, one page per AWB in request order
+// Body: { "awbs": ["AEBA292KQ7F3X00C2", ...] }
+app.post('/api/bookings/labels', requireStaff('warehouse'), async (req, res) => {
+  const requestId = Date.now().toString(36)
+
+  try {
+    const requested = req.body?.awbs
+    if (!Array.isArray(requested) || requested.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'awbs must be a non-empty list of AWB numbers',
+        requestId: requestId
+      })
+    }
+
+    const awbs = [...new Set(requested.map(awb => String(awb || '').trim().toUpperCase()))]
+    if (awbs.length > MAX_LABELS_PER_BATCH) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_LABELS_PER_BATCH} labels can be printed at once`,
+        requestId: requestId
+      })
+    }
+
+    const invalidAwbs = awbs.filter(awb => {
+      const route = getRouteByAwb(awb)
+      return !route || !validateAWBFormat(awb, route.id)
+    })
+    if (invalidAwbs.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid AWB format',
+        invalidAwbs: invalidAwbs,
+        requestId: requestId
+      })
+    }
+
+    let client
+    try {
+      client = await connectToDatabase()
+    } catch (dbError) {
+      return res.status(500).json({
+        success: false,
+        error: 'Database connection failed',
+        requestId: requestId
+      })
+    }
+
+    const collection = client.db(DB_NAME).collection(COLLECTION_NAME)
+    const bookings = await collection
+      .find({ awb: { $in: awbs } }, { projection: { identityDocuments: 0, otpVerification: 0 } })
+      .toArray()
+    const bookingsByAwb = new Map(bookings.map(booking => [booking.awb, booking]))
+
+    // Print nothing rather than a partial batch, so no parcel goes unlabelled unnoticed
+    const missingAwbs = awbs.filter(awb => !bookingsByAwb.has(awb))
+    if (missingAwbs.length > 0) {
+      return res.status(404).json({
+        success: false,
+        error: `${missingAwbs.length} booking(s) not found`,
+        missingAwbs: missingAwbs,
+        requestId: requestId
+      })
+    }
+
+    const labels = awbs.map(awb => ({ booking: bookingsByAwb.get(awb), route: getRouteByAwb(awb) }))
+    return await sendShippingLabels(res, labels, `labels-${requestId}.pdf`)
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to print shipping labels',
+      requestId: requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    })
+  }
+})
+
 // 404 handler
 app.use((req, res) => {
   res.status(404).json({ 
@@ -1526,6 +2799,7 @@ if (process.env.VERCEL !== '1') {
     originalConsole.log(`📍 Server: http://localhost:${PORT}`)
     originalConsole.log(`\n📡 OTP Endpoints (Debug Logging Enabled):`)
     originalConsole.log(`   POST /api/otp/generate - Generate and send OTP`)
+    originalConsole.log(`   POST /api/otp/resend  - Resend OTP (sms, voice or email)`)
     originalConsole.log(`   POST /api/otp/verify  - Verify OTP`)
     originalConsole.log(`\n🔌 Connecting to MongoDB...`)
     
@@ -0,0 +1,237 @@
+/**
+ * Admin Authentication Service
+ * Staff users, password hashing, session tokens and role-based route protection
+ * for back-office endpoints
+ */
+
+import crypto from 'crypto'
+import { promisify } from 'util'
+import dotenv from 'dotenv'
+import { ObjectId } from 'mongodb'
+import { signToken, verifyToken } from './signed-token.js'
+
+dotenv.config()
+
+const scrypt = promisify(crypto.scrypt)
+
+// Auth Configuration
+const AUTH_TOKEN_SECRET = process.env.AUTH_TOKEN_SECRET
+const AUTH_TOKEN_TTL_HOURS = Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12
+const ADMIN_BOOTSTRAP_EMAIL = process.env.ADMIN_BOOTSTRAP_EMAIL
+const ADMIN_BOOTSTRAP_PASSWORD = process.env.ADMIN_BOOTSTRAP_PASSWORD
+
+// Password hashing parameters (scrypt)
+const PASSWORD_KEY_LENGTH = 64
+const PASSWORD_SALT_BYTES = 16
+const PASSWORD_MIN_LENGTH = 10
+
+// Checked when no user has the email, so logins take as long for unknown emails as for known ones.
+// Random salt and hash: no password matches it
+const DUMMY_PASSWORD_HASH = `scrypt$${crypto.randomBytes(PASSWORD_SALT_BYTES).toString('base64')}$${crypto.randomBytes(PASSWORD_KEY_LENGTH).toString('base64')}`
+
+// Staff roles - admin may access every staff route
+export const STAFF_ROLES = ['agent', 'warehouse', 'admin']
+
+/**
+ * Check if admin authentication is configured
+ * @returns {boolean} - True if a token secret is set
+ */
+export function isAuthConfigured() {
+  return Boolean(AUTH_TOKEN_SECRET) && AUTH_TOKEN_SECRET.length >= 32
+}
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plaintext password
+ * @returns {Promise<string>} - Encoded hash ("scrypt$<salt>$<hash>")
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(PASSWORD_SALT_BYTES)
+  const derivedKey = await scrypt(password, salt, PASSWORD_KEY_LENGTH)
+  return `scrypt$${salt.toString('base64')}$${derivedKey.toString('base64')}`
+}
+
+/**
+ * Verify a password against an encoded hash
+ * @param {string} password - Plaintext password
+ * @param {string} encodedHash - Hash produced by hashPassword
+ * @returns {Promise<boolean>} - True if the password matches
+ */
+export async function verifyPassword(password, encodedHash) {
+  if (!password || !encodedHash || typeof encodedHash !== 'string') return false
+
+  const [scheme, saltBase64, hashBase64] = encodedHash.split('$')
+  if (scheme !== 'scrypt' || !saltBase64 || !hashBase64) return false
+
+  const expected = Buffer.from(hashBase64, 'base64')
+  const derivedKey = await scrypt(password, Buffer.from(saltBase64, 'base64'), expected.length)
+  return crypto.timingSafeEqual(expected, derivedKey)
+}
+
+/**
+ * Verify a staff user's password
+ * Runs the same scrypt work when the user does not exist, so response times do not reveal which emails exist
+ * @param {string} password - Plaintext password
+ * @param {Object|null} user - Staff user document (null when no user has the email)
+ * @returns {Promise<boolean>} - True if the user exists and the password matches
+ */
+export async function verifyStaffPassword(password, user) {
+  const passwordMatches = await verifyPassword(password, user?.passwordHash || DUMMY_PASSWORD_HASH)
+  return Boolean(user) && passwordMatches
+}
+
+/**
+ * Validate a new staff password
+ * @param {string} password - Plaintext password
+ * @returns {string|null} - Error message, or null if the password is acceptable
+ */
+export function validatePasswordStrength(password) {
+  if (!password || typeof password !== 'string') {
+    return 'Password is required'
+  }
+  if (password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain both letters and digits'
+  }
+  return null
+}
+
+/**
+ * Issue a session token for a staff user
+ * @param {Object} user - Staff user document
+ * @returns {{token: string, expiresInSeconds: number}} - Signed token and lifetime
+ */
+export function issueStaffToken(user) {
+  const expiresInSeconds = AUTH_TOKEN_TTL_HOURS * 60 * 60
+  const token = signToken(
+    { sub: user._id.toString(), role: user.role, typ: 'staff' },
+    { secret: AUTH_TOKEN_SECRET, expiresInSeconds }
+  )
+  return { token, expiresInSeconds }
+}
+
+/**
+ * Build the public view of a staff user (never includes the password hash)
+ * @param {Object} user - Staff user document
+ * @returns {Object} - Sanitized staff user
+ */
+export function toPublicStaffUser(user) {
+  return {
+    id: user._id.toString(),
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    active: user.active !== false,
+    createdAt: user.createdAt,
+    lastLoginAt: user.lastLoginAt || null
+  }
+}
+
+/**
+ * Create the first admin from ADMIN_BOOTSTRAP_EMAIL / ADMIN_BOOTSTRAP_PASSWORD
+ * Only runs when the staff collection is empty
+ * @param {Object} staffCollection - MongoDB staff users collection
+ * @returns {Promise<boolean>} - True if an admin was created
+ */
+export async function ensureBootstrapAdmin(staffCollection) {
+  if (!ADMIN_BOOTSTRAP_EMAIL || !ADMIN_BOOTSTRAP_PASSWORD) return false
+  if (validatePasswordStrength(ADMIN_BOOTSTRAP_PASSWORD)) return false
+
+  const existingCount = await staffCollection.estimatedDocumentCount()
+  if (existingCount > 0) return false
+
+  await staffCollection.createIndex({ email: 1 }, { unique: true })
+  try {
+    await staffCollection.insertOne({
+      email: ADMIN_BOOTSTRAP_EMAIL.trim().toLowerCase(),
+      name: 'Administrator',
+      role: 'admin',
+      passwordHash: await hashPassword(ADMIN_BOOTSTRAP_PASSWORD),
+      active: true,
+      createdAt: new Date(),
+      createdBy: 'bootstrap'
+    })
+  } catch (error) {
+    // Another instance bootstrapped concurrently
+    if (error.code === 11000) return false
+    throw error
+  }
+  return true
+}
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {Object} req - Express request
+ * @returns {string|null} - Token or null
+ */
+function getBearerToken(req) {
+  const header = req.headers.authorization
+  if (!header || typeof header !== 'string') return null
+
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  return match ? match[1].trim() : null
+}
+
+/**
+ * Create the staff authentication middleware factory
+ * @param {Object} options - Options
+ * @param {Function} options.getStaffCollection - Async function returning the staff users collection
+ * @returns {Function} - requireStaff(...roles) returning Express middleware
+ */
+export function createStaffAuth({ getStaffCollection }) {
+  /**
+   * Require an authenticated, active staff user with one of the given roles
+   * Admins are always allowed. With no roles, any staff user is allowed.
+   * On success the user is available as req.staffUser
+   * @param {...string} roles - Allowed roles
+   * @returns {Function} - Express middleware
+   */
+  return function requireStaff(...roles) {
+    return async (req, res, next) => {
+      if (!isAuthConfigured()) {
+        return res.status(503).json({
+          success: false,
+          error: 'Admin authentication is not configured'
+        })
+      }
+
+      const claims = verifyToken(getBearerToken(req), { secret: AUTH_TOKEN_SECRET })
+      if (!claims || claims.typ !== 'staff' || !ObjectId.isValid(claims.sub)) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        })
+      }
+
+      try {
+        // Look the user up on every request so deactivation and role changes apply immediately
+        const staffCollection = await getStaffCollection()
+        const user = await staffCollection.findOne(
+          { _id: new ObjectId(claims.sub) },
+          { projection: { passwordHash: 0 } }
+        )
+
+        if (!user || user.active === false) {
+          return res.status(401).json({
+            success: false,
+            error: 'Authentication required'
+          })
+        }
+
+        if (roles.length > 0 && user.role !== 'admin' && !roles.includes(user.role)) {
+          return res.status(403).json({
+            success: false,
+            error: 'You do not have permission to perform this action'
+          })
+        }
+
+        req.staffUser = user
+        return next()
+      } catch (error) {
+        return next(error)
+      }
+    }
+  }
+}
@@ -0,0 +1,198 @@
+/**
+ * AWB (Air Waybill) Numbers
+ * Allocates AWB numbers from an atomic MongoDB counter per prefix and day
+ *
+ * Format (17 characters, unchanged from the random AWBs):
+ *   PP YY DDD RR NNNN SSS C
+ * - PP: the route's awbPrefix (AE for UAE to Philippines, PH for Philippines to UAE)
+ * - YY: year as two letters (years since 2000 in base 26, AA = 2000, BA = 2026)
+ * - DDD: day of the year (001-366, UTC)
+ * - RR NNNN: two random letters and four random letters or digits (about 1.1 billion combinations),
+ *   so the AWBs of a day cannot be enumerated from the sequence number
+ * - SSS: sequence number of the day for the prefix (base 36, zero padded), which keeps AWBs unique
+ * - C: check character (Luhn mod 36 over the first 16 characters), so typos can be detected offline
+ *
+ * AWBs issued before the counter existed have random characters in place of the date, sequence
+ * and check character; they still match validateAWBFormat but not isValidAWBCheckCharacter.
+ */
+
+import crypto from 'crypto'
+import { getRoute } from './route-registry.js'
+
+const LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+const CHECK_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ'
+const RANDOM_LENGTH = 4
+const SEQUENCE_LENGTH = 3
+const MAX_SEQUENCE = Math.pow(36, SEQUENCE_LENGTH) - 1
+
+// Counter documents are kept a few days past their day, then removed by the TTL index
+const COUNTER_RETENTION_DAYS = 3
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Get the AWB prefix for a service
+ * @param {string} service - Service name (see route-registry.js)
+ * @returns {string|null} - Prefix (e.g., 'AE') or null if the service is unknown
+ */
+export function getAWBPrefix(service) {
+  const route = getRoute(service)
+  return route ? route.awbPrefix : null
+}
+
+/**
+ * Validate AWB format based on service type
+ * @param {string} awb - AWB number to validate
+ * @param {string} service - Service type
+ * @returns {boolean} True if AWB format is valid
+ */
+export function validateAWBFormat(awb, service) {
+  if (!awb || typeof awb !== 'string' || awb.length !== 17) {
+    return false
+  }
+
+  const prefix = getAWBPrefix(service)
+  return Boolean(prefix) && awb.startsWith(prefix) && /^[A-Z]{4}[0-9]{3}[A-Z]{2}[A-Z0-9]{8}$/.test(awb)
+}
+
+/**
+ * Luhn mod 36 sum of a string of digits and uppercase letters
+ * @param {string} value - Characters to sum, rightmost first doubled when doubleFirst is true
+ * @param {boolean} doubleFirst - Double the rightmost character
+ * @returns {number} - Sum
+ */
+function luhnSum(value, doubleFirst) {
+  const base = CHECK_ALPHABET.length
+  let factor = doubleFirst ? 2 : 1
+  let sum = 0
+
+  for (let i = value.length - 1; i >= 0; i--) {
+    const addend = factor * CHECK_ALPHABET.indexOf(value[i])
+    sum += Math.floor(addend / base) + (addend % base)
+    factor = factor === 2 ? 1 : 2
+  }
+
+  return sum
+}
+
+/**
+ * Compute the check character of an AWB
+ * Detects any single mistyped character and most swaps of adjacent characters
+ * @param {string} body - First 16 characters of the AWB
+ * @returns {string} - Check character (0-9 or A-Z)
+ */
+export function computeAWBCheckCharacter(body) {
+  const base = CHECK_ALPHABET.length
+  return CHECK_ALPHABET[(base - (luhnSum(body, true) % base)) % base]
+}
+
+/**
+ * Check the check character of an AWB
+ * @param {string} awb - AWB number
+ * @returns {boolean} - True if the last character matches the first 16
+ */
+export function isValidAWBCheckCharacter(awb) {
+  if (typeof awb !== 'string' || !/^[A-Z0-9]{17}$/.test(awb)) return false
+  return luhnSum(awb, false) % CHECK_ALPHABET.length === 0
+}
+
+/**
+ * Encode the UTC date part of an AWB (year letters and day of year)
+ * @param {Date} date - Allocation date
+ * @returns {{yearCode: string, dayOfYear: string, dayKey: string}} - Date parts and YYYY-MM-DD counter key
+ */
+function encodeDate(date) {
+  const year = date.getUTCFullYear()
+  const yearsSince2000 = year - 2000
+  const yearCode = LETTERS[Math.floor(yearsSince2000 / 26) % 26] + LETTERS[yearsSince2000 % 26]
+  const dayOfYear = Math.floor((Date.UTC(year, date.getUTCMonth(), date.getUTCDate()) - Date.UTC(year, 0, 1)) / DAY_MS) + 1
+
+  return {
+    yearCode: yearCode,
+    dayOfYear: String(dayOfYear).padStart(3, '0'),
+    dayKey: date.toISOString().slice(0, 10)
+  }
+}
+
+/**
+ * Build an AWB from its parts
+ * @param {string} prefix - Route AWB prefix (e.g., 'AE')
+ * @param {Date} date - Allocation date
+ * @param {number} sequence - Sequence number of the day (1 or more)
+ * @param {string} randomPart - Two uppercase letters followed by four uppercase letters or digits
+ * @returns {string} - AWB number
+ */
+export function buildAWB(prefix, date, sequence, randomPart) {
+  if (!Number.isInteger(sequence) || sequence < 1 || sequence > MAX_SEQUENCE) {
+    throw new Error(`AWB sequence out of range: ${sequence}`)
+  }
+  if (!new RegExp(`^[A-Z]{2}[A-Z0-9]{${RANDOM_LENGTH}}$`).test(randomPart)) {
+    throw new Error(`Invalid AWB random part: ${randomPart}`)
+  }
+
+  const { yearCode, dayOfYear } = encodeDate(date)
+  const body = `${prefix}${yearCode}${dayOfYear}${randomPart}${sequence.toString(36).toUpperCase().padStart(SEQUENCE_LENGTH, '0')}`
+  return body + computeAWBCheckCharacter(body)
+}
+
+/**
+ * Check if an error is a MongoDB duplicate key error
+ */
+function isDuplicateKeyError(error) {
+  return error && error.code === 11000
+}
+
+/**
+ * Create the AWB allocator
+ * @param {Object} options - Options
+ * @param {Function} options.getCollection - Async function returning the AWB counter collection
+ * @returns {Object} - { allocate }
+ */
+export function createAWBAllocator({ getCollection }) {
+  /**
+   * Increment the counter of a prefix and day
+   * Two first allocations of a day can race on the upsert; the loser retries and finds the document
+   * @returns {Promise<number>} - Sequence number after the increment
+   */
+  const nextSequence = async (collection, prefix, dayKey) => {
+    const update = {
+      $inc: { sequence: 1 },
+      $setOnInsert: { prefix: prefix, day: dayKey, expiresAt: new Date(Date.parse(dayKey) + (1 + COUNTER_RETENTION_DAYS) * DAY_MS) }
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const counter = await collection.findOneAndUpdate(
+          { _id: `${prefix}:${dayKey}` },
+          update,
+          { upsert: true, returnDocument: 'after' }
+        )
+        return counter.sequence
+      } catch (error) {
+        if (!isDuplicateKeyError(error) || attempt >= 1) throw error
+      }
+    }
+  }
+
+  return {
+    /**
+     * Allocate the next AWB for a service
+     * @param {string} service - Service type
+     * @param {Date} date - Allocation date (default: now)
+     * @returns {Promise<string>} - AWB number
+     */
+    async allocate(service, date = new Date()) {
+      const prefix = getAWBPrefix(service)
+      if (!prefix) {
+        throw new Error(`Unknown service: ${service}`)
+      }
+
+      const collection = await getCollection()
+      const { dayKey } = encodeDate(date)
+
+      const sequence = await nextSequence(collection, prefix, dayKey)
+      const randomPart = LETTERS[crypto.randomInt(26)] + LETTERS[crypto.randomInt(26)] +
+        Array.from({ length: RANDOM_LENGTH }, () => CHECK_ALPHABET[crypto.randomInt(CHECK_ALPHABET.length)]).join('')
+      return buildAWB(prefix, date, sequence, randomPart)
+    }
+  }
+}
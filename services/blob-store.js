@@ -0,0 +1,152 @@
+/**
+ * Blob Store Service
+ * Content-addressed storage for identity images, so bookings only keep a hash and metadata
+ * Drivers: local filesystem and MongoDB GridFS
+ *
+ * A blob store is { driver, put(buffer, { contentType }), openReadStream(hash), delete(hash) };
+ * put resolves to { hash, size, contentType, driver, created } where created is false when the
+ * same content was already stored (blobs can be shared by bookings).
+ */
+
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import { GridFSBucket } from 'mongodb'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// Blob Store Configuration
+// GridFS is the default because serverless deployments (Vercel) have no persistent filesystem
+const BLOB_STORE_DRIVER = process.env.BLOB_STORE_DRIVER || 'gridfs'
+const BLOB_STORE_DIR = process.env.BLOB_STORE_DIR || './storage/blobs'
+const BLOB_STORE_BUCKET = process.env.BLOB_STORE_BUCKET || 'identity_images'
+
+/**
+ * Compute the content hash used as a blob's key
+ * @param {Buffer} buffer - Blob content
+ * @returns {string} - SHA-256 hex digest
+ */
+export function hashContent(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('hex')
+}
+
+/**
+ * Check that a value looks like a content hash
+ * @param {string} hash - Value to check
+ * @returns {boolean} - True if hash is a SHA-256 hex digest
+ */
+export function isValidContentHash(hash) {
+  return typeof hash === 'string' && /^[a-f0-9]{64}$/.test(hash)
+}
+
+/**
+ * Create a local filesystem blob store
+ * Blobs are stored as <directory>/<first 2 hash chars>/<hash>
+ * @param {Object} options - Options
+ * @param {string} options.directory - Root directory
+ * @returns {Object} - Blob store
+ */
+export function createLocalBlobStore({ directory }) {
+  const root = path.resolve(directory)
+  const blobPath = hash => path.join(root, hash.slice(0, 2), hash)
+
+  return {
+    driver: 'local',
+
+    async put(buffer, { contentType }) {
+      const hash = hashContent(buffer)
+      const target = blobPath(hash)
+      const created = !fs.existsSync(target)
+
+      if (created) {
+        await fs.promises.mkdir(path.dirname(target), { recursive: true })
+        // Write to a temporary file first so readers never see a partial blob
+        const temporary = `${target}.${process.pid}.${Date.now()}.tmp`
+        await fs.promises.writeFile(temporary, buffer)
+        await fs.promises.rename(temporary, target)
+      }
+
+      return { hash, size: buffer.length, contentType, driver: 'local', created }
+    },
+
+    async delete(hash) {
+      if (!isValidContentHash(hash)) return
+      await fs.promises.rm(blobPath(hash), { force: true })
+    },
+
+    async openReadStream(hash) {
+      if (!isValidContentHash(hash)) return null
+      const target = blobPath(hash)
+      if (!fs.existsSync(target)) return null
+      return fs.createReadStream(target)
+    }
+  }
+}
+
+/**
+ * Create a MongoDB GridFS blob store
+ * Blobs are stored with the content hash as the GridFS filename
+ * @param {Object} options - Options
+ * @param {Function} options.getDb - Async function returning the MongoDB database
+ * @param {string} options.bucketName - GridFS bucket name
+ * @returns {Object} - Blob store
+ */
+export function createGridFSBlobStore({ getDb, bucketName }) {
+  const getBucket = async () => new GridFSBucket(await getDb(), { bucketName })
+
+  return {
+    driver: 'gridfs',
+
+    async put(buffer, { contentType }) {
+      const hash = hashContent(buffer)
+      const bucket = await getBucket()
+
+      const existing = await bucket.find({ filename: hash }).limit(1).toArray()
+      const created = existing.length === 0
+      if (created) {
+        await new Promise((resolve, reject) => {
+          const upload = bucket.openUploadStream(hash, { metadata: { contentType } })
+          upload.once('finish', resolve)
+          upload.once('error', reject)
+          upload.end(buffer)
+        })
+      }
+
+      return { hash, size: buffer.length, contentType, driver: 'gridfs', created }
+    },
+
+    async delete(hash) {
+      if (!isValidContentHash(hash)) return
+      const bucket = await getBucket()
+      for (const file of await bucket.find({ filename: hash }).toArray()) {
+        await bucket.delete(file._id)
+      }
+    },
+
+    async openReadStream(hash) {
+      if (!isValidContentHash(hash)) return null
+      const bucket = await getBucket()
+      const existing = await bucket.find({ filename: hash }).limit(1).toArray()
+      if (existing.length === 0) return null
+      return bucket.openDownloadStream(existing[0]._id)
+    }
+  }
+}
+
+/**
+ * Create the blob store selected by BLOB_STORE_DRIVER
+ * @param {Object} options - Options
+ * @param {Function} options.getDb - Async function returning the MongoDB database (GridFS driver)
+ * @returns {Object} - Blob store
+ */
+export function createBlobStore({ getDb }) {
+  switch (BLOB_STORE_DRIVER) {
+    case 'local':
+      return createLocalBlobStore({ directory: BLOB_STORE_DIR })
+    case 'gridfs':
+      return createGridFSBlobStore({ getDb, bucketName: BLOB_STORE_BUCKET })
+    default:
+      throw new Error(`Unknown BLOB_STORE_DRIVER: ${BLOB_STORE_DRIVER}`)
+  }
+}
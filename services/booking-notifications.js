@@ -0,0 +1,174 @@
+/**
+ * Booking Notifications
+ * Sends the booking confirmation (AWB, reference number, next steps and tracking link) to the sender,
+ * and a shipment notice to the receiver when asked for, by SMS and email
+ *
+ * Every delivery attempt is appended to the booking's notifications array:
+ * { type, recipient, channel, to, status ('sent' or 'failed'), provider, messageId, locale, error, attemptedAt }
+ * A failed delivery never fails the booking. Messages are sent before the HTTP response (work after
+ * the response may never run on serverless hosts), and each delivery is bounded by
+ * BOOKING_NOTIFICATION_TIMEOUT_MS so a slow provider only delays the response that long.
+ */
+
+import dotenv from 'dotenv'
+import { sendSMS } from './otp-service.js'
+import { getMailer, isValidEmailAddress } from './mailer.js'
+import { resolveLocale, renderTemplate } from './sms-templates.js'
+import { getTrackingUrl } from './booking-view.js'
+import { readIntegerSetting } from './settings.js'
+
+dotenv.config()
+
+export const NOTIFICATION_CHANNELS = ['sms', 'email']
+
+/**
+ * Read the enabled channels from BOOKING_NOTIFICATION_CHANNELS (comma separated, default: all)
+ * Unknown channels stop the server at startup instead of silently sending nothing
+ * @returns {string[]} - Enabled channels ([] when set to "none")
+ */
+function readChannelsSetting() {
+  const raw = process.env.BOOKING_NOTIFICATION_CHANNELS
+  if (raw === undefined || raw.trim() === '') return NOTIFICATION_CHANNELS
+  if (raw.trim().toLowerCase() === 'none') return []
+
+  const channels = raw.split(',').map(channel => channel.trim().toLowerCase()).filter(Boolean)
+  const unknown = channels.filter(channel => !NOTIFICATION_CHANNELS.includes(channel))
+  if (unknown.length > 0) {
+    throw new Error(`BOOKING_NOTIFICATION_CHANNELS must list ${NOTIFICATION_CHANNELS.join(', ')} or "none" (got "${raw}")`)
+  }
+  return [...new Set(channels)]
+}
+
+// Notification Configuration
+const BOOKING_NOTIFICATION_CHANNELS = readChannelsSetting()
+const BOOKING_NOTIFY_RECEIVER = process.env.BOOKING_NOTIFY_RECEIVER === 'true' // Default when the booking does not say
+const BOOKING_NOTIFICATION_TIMEOUT_MS = readIntegerSetting('BOOKING_NOTIFICATION_TIMEOUT_MS', 5000, 100, 60000)
+
+/**
+ * Get the display name of a booking party
+ */
+function partyName(party = {}) {
+  return party.fullName || [party.firstName, party.lastName].filter(Boolean).join(' ') || ''
+}
+
+/**
+ * Build the messages for one recipient of a booking
+ * @param {Object} booking - Booking document
+ * @param {Object} route - Route of the booking
+ * @param {string} recipient - 'sender' or 'receiver'
+ * @param {string} locale - Supported locale
+ * @returns {{sms: Object, emailSubject: Object, email: Object}} - Rendered templates
+ */
+function buildMessages(booking, route, recipient, locale) {
+  const variables = {
+    name: partyName(booking.sender) || 'customer',
+    awb: booking.awb,
+    referenceNumber: booking.referenceNumber,
+    route: route.label,
+    trackingUrl: getTrackingUrl(booking.awb)
+  }
+
+  // Receiver texts have no name placeholders (see bookingReceiverNotice)
+  if (recipient === 'receiver') {
+    return {
+      sms: renderTemplate('bookingReceiverNotice', locale, variables),
+      emailSubject: renderTemplate('bookingReceiverEmailSubject', locale, variables),
+      email: renderTemplate('bookingReceiverEmail', locale, variables)
+    }
+  }
+
+  const nextSteps = renderTemplate(
+    booking.sender?.deliveryOption === 'pickup' ? 'bookingNextStepsPickup' : 'bookingNextStepsWarehouse',
+    locale
+  ).text
+  return {
+    sms: renderTemplate('bookingConfirmation', locale, { ...variables, nextSteps }),
+    emailSubject: renderTemplate('bookingConfirmationEmailSubject', locale, variables),
+    email: renderTemplate('bookingConfirmationEmail', locale, { ...variables, nextSteps })
+  }
+}
+
+/**
+ * Deliver one message and describe the attempt
+ * A delivery still pending after timeoutMs is logged as failed (the provider may still deliver it)
+ * @param {Object} delivery - { recipient, channel, to, locale, messages }
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @returns {Promise<Object>} - Attempt record (never throws)
+ */
+async function deliver({ recipient, channel, to, locale, messages }, timeoutMs) {
+  const attempt = {
+    type: 'booking_confirmation',
+    recipient: recipient,
+    channel: channel,
+    to: to,
+    locale: locale,
+    attemptedAt: new Date()
+  }
+
+  let timer
+  try {
+    const sending = channel === 'sms'
+      ? sendSMS(to, messages.sms.text, { encoding: messages.sms.encoding })
+      : getMailer().send({ to: to, subject: messages.emailSubject.text, text: messages.email.text })
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs} ms`)), timeoutMs)
+    })
+    const result = await Promise.race([sending, timeout])
+    return { ...attempt, status: 'sent', provider: result.provider || null, messageId: result.messageId || null, error: null }
+  } catch (error) {
+    return { ...attempt, status: 'failed', provider: null, messageId: null, error: error.message }
+  } finally {
+    clearTimeout(timer)
+  }
+}
+
+/**
+ * Create the booking notifier
+ * @param {Object} options - Options
+ * @param {Function} options.getCollection - Async function returning the bookings collection
+ * @param {string[]} options.channels - Enabled channels (default: BOOKING_NOTIFICATION_CHANNELS)
+ * @param {number} options.timeoutMs - Time limit per delivery (default: BOOKING_NOTIFICATION_TIMEOUT_MS)
+ * @returns {Object} - { sendBookingConfirmation }
+ */
+export function createBookingNotifier({ getCollection, channels = BOOKING_NOTIFICATION_CHANNELS, timeoutMs = BOOKING_NOTIFICATION_TIMEOUT_MS }) {
+  return {
+    /**
+     * Send the booking confirmation and log the attempts on the booking
+     * SMS goes to the party's phoneNumber, email to its emailAddress when it has one
+     * @param {Object} booking - Booking document (as inserted)
+     * @param {Object} route - Route of the booking
+     * @param {Object} options - Options
+     * @param {string} options.locale - Language of the sender's messages from the request (default: by country code)
+     * @param {boolean} options.notifyReceiver - Also notify the receiver (default: BOOKING_NOTIFY_RECEIVER)
+     * @returns {Promise<Object[]>} - Attempt records
+     */
+    async sendBookingConfirmation(booking, route, { locale, notifyReceiver = BOOKING_NOTIFY_RECEIVER } = {}) {
+      const recipients = notifyReceiver ? ['sender', 'receiver'] : ['sender']
+      const deliveries = []
+
+      for (const recipient of recipients) {
+        const party = booking[recipient] || {}
+        // The request locale is the sender's language; the receiver gets the language of their country code
+        const recipientLocale = resolveLocale({
+          locale: recipient === 'sender' ? locale : null,
+          phoneNumber: party.phoneNumber
+        })
+        const messages = buildMessages(booking, route, recipient, recipientLocale)
+
+        if (channels.includes('sms') && party.phoneNumber) {
+          deliveries.push({ recipient, channel: 'sms', to: party.phoneNumber, locale: messages.sms.locale, messages })
+        }
+        if (channels.includes('email') && isValidEmailAddress(party.emailAddress)) {
+          deliveries.push({ recipient, channel: 'email', to: party.emailAddress.trim(), locale: messages.email.locale, messages })
+        }
+      }
+
+      const attempts = await Promise.all(deliveries.map(delivery => deliver(delivery, timeoutMs)))
+      if (attempts.length > 0) {
+        const collection = await getCollection()
+        await collection.updateOne({ awb: booking.awb }, { $push: { notifications: { $each: attempts } } })
+      }
+      return attempts
+    }
+  }
+}
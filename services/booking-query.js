@@ -0,0 +1,230 @@
+/**
+ * Booking Query Service
+ * Builds filters, projections and cursors for the admin booking list
+ */
+
+import { ObjectId } from 'mongodb'
+import { BOOKING_STATUSES } from './booking-status.js'
+import { getRoute } from './route-registry.js'
+
+export const DEFAULT_PAGE_SIZE = 25
+export const MAX_PAGE_SIZE = 100
+
+// Leave out the large base64 identity images and the OTP value
+export const BOOKING_LIST_PROJECTION = {
+  'identityDocuments.eidFrontImage': 0,
+  'identityDocuments.eidBackImage': 0,
+  'identityDocuments.philippinesIdFront': 0,
+  'identityDocuments.philippinesIdBack': 0,
+  'identityDocuments.customerImage': 0,
+  'identityDocuments.customerImages': 0,
+  'otpVerification.otp': 0
+}
+
+// Newest first; _id breaks ties between bookings submitted in the same millisecond
+export const BOOKING_LIST_SORT = { submittedAt: -1, _id: -1 }
+
+/**
+ * Escape a string for literal use inside a regular expression
+ * @param {string} value - Raw string
+ * @returns {string} - Escaped string
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Case-insensitive exact match regex
+ * @param {string} value - Value to match
+ * @returns {RegExp} - Anchored regex
+ */
+function exactInsensitive(value) {
+  return new RegExp(`^${escapeRegex(value.trim())}$`, 'i')
+}
+
+/**
+ * Encode a pagination cursor from the last booking of a page
+ * @param {Object} booking - Last booking returned
+ * @returns {string} - Opaque cursor
+ */
+export function encodeCursor(booking) {
+  return Buffer.from(JSON.stringify({
+    t: new Date(booking.submittedAt).toISOString(),
+    id: booking._id.toString()
+  })).toString('base64url')
+}
+
+/**
+ * Decode a pagination cursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {{submittedAt: Date, id: ObjectId}|null} - Decoded cursor or null if invalid
+ */
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+    const submittedAt = new Date(decoded.t)
+    if (Number.isNaN(submittedAt.getTime()) || !ObjectId.isValid(decoded.id)) {
+      return null
+    }
+    return { submittedAt, id: new ObjectId(decoded.id) }
+  } catch (error) {
+    return null
+  }
+}
+
+/**
+ * Parse a date query parameter
+ * @param {string} value - ISO date or date-time
+ * @returns {Date|null} - Parsed date or null if invalid
+ */
+function parseDateParam(value) {
+  if (typeof value !== 'string' || !value.trim()) return null
+  const date = new Date(value.trim())
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+/**
+ * Build the MongoDB filter for the admin booking list
+ * @param {Object} params - Query string parameters
+ * @param {string} params.service - Service name or alias (matches all names of the route)
+ * @param {string} params.status - Status or comma-separated statuses
+ * @param {string} params.from - submittedAt lower bound (inclusive)
+ * @param {string} params.to - submittedAt upper bound (inclusive)
+ * @param {string} params.agentName - sender.agentName (case-insensitive)
+ * @param {string} params.shipmentType - sender.shipmentType
+ * @param {string} params.requiresReview - 'true' or 'false' (EID verification or restricted goods flagged for manual review)
+ * @param {string} params.country - Sender or receiver country (case-insensitive)
+ * @param {string} params.q - Free-text search on names, AWB and reference number
+ * @param {string} params.cursor - Cursor from a previous page
+ * @param {string} params.limit - Page size
+ * @returns {{filter: Object, limit: number, errors: string[]}} - Filter, page size and validation errors
+ */
+export function buildBookingListQuery(params = {}) {
+  const conditions = []
+  const errors = []
+
+  const asString = value => (typeof value === 'string' ? value.trim() : '')
+
+  const service = asString(params.service)
+  if (service) {
+    // Bookings created before the route registry store the service name as it was sent
+    const route = getRoute(service)
+    conditions.push(route ? { service: { $in: [route.id, ...route.aliases] } } : { service: service })
+  }
+
+  const status = asString(params.status)
+  if (status) {
+    const statuses = status.split(',').map(s => s.trim()).filter(Boolean)
+    const unknown = statuses.filter(s => !BOOKING_STATUSES.includes(s))
+    if (unknown.length > 0) {
+      errors.push(`Unknown status: ${unknown.join(', ')}`)
+    } else {
+      conditions.push({ status: { $in: statuses } })
+    }
+  }
+
+  const from = asString(params.from)
+  const to = asString(params.to)
+  if (from || to) {
+    const range = {}
+    if (from) {
+      const fromDate = parseDateParam(from)
+      if (fromDate) range.$gte = fromDate
+      else errors.push('from must be a valid date')
+    }
+    if (to) {
+      const toDate = parseDateParam(to)
+      if (toDate) {
+        // A bare date (YYYY-MM-DD) covers the whole day
+        if (/^\d{4}-\d{2}-\d{2}$/.test(to)) toDate.setUTCHours(23, 59, 59, 999)
+        range.$lte = toDate
+      } else {
+        errors.push('to must be a valid date')
+      }
+    }
+    if (Object.keys(range).length > 0) {
+      conditions.push({ submittedAt: range })
+    }
+  }
+
+  const requiresReview = asString(params.requiresReview)
+  if (requiresReview) {
+    if (requiresReview !== 'true' && requiresReview !== 'false') {
+      errors.push('requiresReview must be "true" or "false"')
+    } else if (requiresReview === 'true') {
+      conditions.push({ $or: [{ 'eidVerification.requiresReview': true }, { 'commodityScreening.requiresReview': true }] })
+    } else {
+      conditions.push({ 'eidVerification.requiresReview': { $ne: true }, 'commodityScreening.requiresReview': { $ne: true } })
+    }
+  }
+
+  const agentName = asString(params.agentName)
+  if (agentName) {
+    conditions.push({ 'sender.agentName': exactInsensitive(agentName) })
+  }
+
+  const shipmentType = asString(params.shipmentType)
+  if (shipmentType) {
+    if (shipmentType !== 'document' && shipmentType !== 'non-document') {
+      errors.push('shipmentType must be "document" or "non-document"')
+    } else {
+      conditions.push({ 'sender.shipmentType': shipmentType })
+    }
+  }
+
+  const country = asString(params.country)
+  if (country) {
+    const countryRegex = exactInsensitive(country)
+    conditions.push({ $or: [{ 'sender.country': countryRegex }, { 'receiver.country': countryRegex }] })
+  }
+
+  const q = asString(params.q)
+  if (q) {
+    if (q.length > 100) {
+      errors.push('q must not exceed 100 characters')
+    } else {
+      const textRegex = new RegExp(escapeRegex(q), 'i')
+      conditions.push({
+        $or: [
+          { awb: textRegex },
+          { referenceNumber: textRegex },
+          { 'sender.fullName': textRegex },
+          { 'sender.firstName': textRegex },
+          { 'sender.lastName': textRegex },
+          { 'receiver.fullName': textRegex },
+          { 'receiver.firstName': textRegex },
+          { 'receiver.lastName': textRegex }
+        ]
+      })
+    }
+  }
+
+  const cursor = asString(params.cursor)
+  if (cursor) {
+    const decoded = decodeCursor(cursor)
+    if (!decoded) {
+      errors.push('cursor is invalid')
+    } else {
+      conditions.push({
+        $or: [
+          { submittedAt: { $lt: decoded.submittedAt } },
+          { submittedAt: decoded.submittedAt, _id: { $lt: decoded.id } }
+        ]
+      })
+    }
+  }
+
+  let limit = DEFAULT_PAGE_SIZE
+  const limitParam = asString(params.limit)
+  if (limitParam) {
+    const parsed = Number(limitParam)
+    if (!Number.isInteger(parsed) || parsed < 1 || parsed > MAX_PAGE_SIZE) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`)
+    } else {
+      limit = parsed
+    }
+  }
+
+  const filter = conditions.length === 0 ? {} : conditions.length === 1 ? conditions[0] : { $and: conditions }
+  return { filter, limit, errors }
+}
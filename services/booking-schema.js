@@ -0,0 +1,412 @@
+/**
+ * Booking Schema
+ * Declarative rules for POST /api/bookings, also served at GET /api/schema/booking so the
+ * frontend can apply the same rules before submitting
+ *
+ * Rules are plain objects (JSON-serializable):
+ * - type: 'object', 'array', 'string', 'number' or 'boolean'
+ * - required: the field must be present (null and empty strings count as missing)
+ * - when: { field, equals } - the rule only applies when another field has that value
+ * - label: field name used in messages
+ * - strings: minLength, maxLength, pattern (regular expression source), enum (caseInsensitive; valid
+ *   values are normalized in the body, see normalizeEnumValues), format ('email', 'phone' with
+ *   countries/defaultCountry, 'image')
+ * - numbers: minimum, exclusiveMinimum, maximum, integer (numeric strings are accepted)
+ * - objects: fields (a field's aliases are older names accepted in its place); arrays: items, minItems, maxItems
+ * - messages: { <code>: message } replaces the generated message for a violation code
+ *
+ * Route-specific rules (phone countries, shipment type and declared amount, required identity
+ * documents) come from the route registry, so each service has its own schema.
+ */
+
+import { listRoutes } from './route-registry.js'
+import { PHONE_COUNTRIES, normalizePhoneNumber } from './phone-number.js'
+import { IDENTITY_IMAGE_FIELDS, parseImageDataUrl } from './identity-documents.js'
+import { getImageLimits } from './image-validation.js'
+import { isValidEmailAddress } from './mailer.js'
+
+// Labels of the identity image fields
+const IMAGE_LABELS = {
+  eidFrontImage: 'Emirates ID front image',
+  eidBackImage: 'Emirates ID back image',
+  philippinesIdFront: 'Philippines ID front image',
+  philippinesIdBack: 'Philippines ID back image'
+}
+
+/**
+ * Build a phone number rule
+ * @param {string} label - Field label
+ * @param {string[]} countries - Accepted countries
+ * @param {string} defaultCountry - Country for numbers without country code (optional)
+ * @returns {Object} - Rule
+ */
+function phoneRule(label, countries, defaultCountry = null) {
+  return {
+    type: 'string',
+    format: 'phone',
+    label: label,
+    countries: countries,
+    defaultCountry: defaultCountry,
+    // E.164 patterns, for the frontend
+    patterns: Object.fromEntries(countries.map(code => [code, PHONE_COUNTRIES[code].mobilePattern.source]))
+  }
+}
+
+/**
+ * Build the rules of a booking party
+ * @param {string} party - 'sender' or 'receiver'
+ * @param {Object} route - Route, or null for rules shared by all routes
+ * @returns {Object} - Rule
+ */
+function partyRule(party, route) {
+  const title = party === 'sender' ? 'Sender' : 'Receiver'
+  const allCountries = Object.keys(PHONE_COUNTRIES)
+  const partyCountry = route ? (party === 'sender' ? route.origin.code : route.destination.code) : null
+
+  const fields = {
+    fullName: { type: 'string', label: `${title} full name`, maxLength: 200 },
+    firstName: { type: 'string', label: `${title} first name`, maxLength: 100 },
+    lastName: { type: 'string', required: true, label: `${title} last name`, maxLength: 100 },
+    emailAddress: { type: 'string', format: 'email', label: `${title} email address`, maxLength: 254 },
+    country: { type: 'string', required: true, label: `${title} country`, maxLength: 100 },
+    addressLine1: { type: 'string', label: `${title} address line 1`, maxLength: 200 },
+    phoneNumber: phoneRule(`${title} phone number`, partyCountry ? [partyCountry] : allCountries, partyCountry),
+    contactNo: phoneRule(`${title} contact number`, route ? route.contactCountries : allCountries, partyCountry),
+    deliveryOption: { type: 'string', label: `${title} delivery option`, maxLength: 50 }
+  }
+
+  if (party === 'sender') {
+    fields.agentName = { type: 'string', label: 'Agent name', maxLength: 100 }
+  }
+
+  // Shipment type and declared amount (insurance) only on routes with insurance rules
+  if (party === 'sender' && route && route.insurance) {
+    fields.shipmentType = {
+      type: 'string',
+      required: true,
+      label: 'sender.shipmentType',
+      enum: ['document', 'non-document'],
+      messages: {
+        required: 'sender.shipmentType must be "document" or "non-document"',
+        invalid_value: 'sender.shipmentType must be "document" or "non-document"'
+      }
+    }
+    fields.declaredAmount = {
+      type: 'number',
+      required: true,
+      label: 'sender.declaredAmount',
+      when: { field: 'sender.shipmentType', equals: 'non-document' },
+      exclusiveMinimum: 0,
+      maximum: route.insurance.maxDeclaredAmount,
+      currency: route.insurance.currency,
+      messages: {
+        required: 'sender.declaredAmount must be a number > 0 for non-document shipments',
+        invalid_type: 'sender.declaredAmount must be a number > 0 for non-document shipments',
+        too_small: 'sender.declaredAmount must be a number > 0 for non-document shipments',
+        too_large: `sender.declaredAmount cannot exceed ${route.insurance.maxDeclaredAmount.toLocaleString('en-US')} ${route.insurance.currency}`
+      }
+    }
+  }
+
+  return { type: 'object', required: true, label: title, fields: fields }
+}
+
+/**
+ * Build the rule for the parcels (physical pieces) of a shipment, used to quote a price
+ * @param {Object} options - Options
+ * @param {boolean} options.required - At least one parcel is required
+ * @returns {Object} - Rule
+ */
+export function getParcelsRule({ required = false } = {}) {
+  const dimension = label => ({ type: 'number', label: label, exclusiveMinimum: 0, maximum: 300 })
+
+  return {
+    type: 'array',
+    required: required,
+    label: 'Parcels',
+    minItems: required ? 1 : 0,
+    maxItems: 50,
+    messages: { required: 'At least one parcel is required', too_few_items: 'At least one parcel is required' },
+    items: {
+      type: 'object',
+      label: 'Parcel',
+      fields: {
+        weightKg: { type: 'number', required: true, label: 'Parcel weight (kg)', exclusiveMinimum: 0, maximum: 1000 },
+        lengthCm: dimension('Parcel length (cm)'),
+        widthCm: dimension('Parcel width (cm)'),
+        heightCm: dimension('Parcel height (cm)')
+      }
+    }
+  }
+}
+
+/**
+ * Build the rule for a booking item
+ * @returns {Object} - Rule
+ */
+function getItemRule() {
+  const dimension = label => ({ type: 'number', label: label, exclusiveMinimum: 0, maximum: 300 })
+
+  return {
+    type: 'object',
+    label: 'Item',
+    fields: {
+      id: { type: 'string', label: 'Item id', maxLength: 100 },
+      commodity: { type: 'string', required: true, label: 'Commodity', maxLength: 200 },
+      quantity: { type: 'number', required: true, label: 'Quantity', aliases: ['qty'], integer: true, minimum: 1, maximum: 10000 },
+      unitValue: { type: 'number', label: 'Unit value', minimum: 0 },
+      weightKg: { type: 'number', label: 'Weight (kg)', exclusiveMinimum: 0, maximum: 1000 },
+      lengthCm: dimension('Length (cm)'),
+      widthCm: dimension('Width (cm)'),
+      heightCm: dimension('Height (cm)'),
+      hsCode: {
+        type: 'string',
+        label: 'HS code',
+        pattern: '^\\d{4}(\\.?\\d{2}){0,3}$',
+        messages: { invalid_format: 'HS code must be 4 to 10 digits (e.g. 6109.10)' }
+      }
+    }
+  }
+}
+
+/**
+ * Build the stored form of validated booking items
+ * Numbers sent as strings are converted; qty (the older name of quantity) is kept for existing readers
+ * @param {Object[]} items - Booking items (validated against the item rule)
+ * @returns {Object[]} - Items
+ */
+export function normalizeItems(items) {
+  const toNumber = value => (value === undefined || value === null || value === '' ? null : Number(value))
+
+  return items.map(item => {
+    const quantity = toNumber(item.quantity ?? item.qty)
+    return {
+      id: item.id || null,
+      commodity: item.commodity.trim(),
+      quantity: quantity,
+      qty: quantity,
+      unitValue: toNumber(item.unitValue),
+      weightKg: toNumber(item.weightKg),
+      lengthCm: toNumber(item.lengthCm),
+      widthCm: toNumber(item.widthCm),
+      heightCm: toNumber(item.heightCm),
+      hsCode: item.hsCode ? item.hsCode.trim() : null
+    }
+  })
+}
+
+/**
+ * Build the booking schema of a route
+ * @param {Object} route - Route from the route registry, or null for the rules shared by all routes
+ * @returns {Object} - Schema (root rule)
+ */
+export function getBookingSchema(route = null) {
+  const { maxBytes, minDimension, maxDimension } = getImageLimits()
+  const imageRule = label => ({
+    type: 'string',
+    format: 'image',
+    label: label,
+    contentTypes: ['image/jpeg', 'image/png', 'image/webp'],
+    maxBytes: maxBytes,
+    minDimension: minDimension,
+    maxDimension: maxDimension
+  })
+
+  const requiredDocuments = route ? route.requiredDocuments : []
+  const identityImages = Object.fromEntries(IDENTITY_IMAGE_FIELDS.map(field => [
+    field,
+    { ...imageRule(IMAGE_LABELS[field] || field), required: requiredDocuments.includes(field) }
+  ]))
+
+  return {
+    type: 'object',
+    required: true,
+    label: 'Booking',
+    fields: {
+      service: {
+        type: 'string',
+        label: 'service',
+        enum: listRoutes().flatMap(knownRoute => [knownRoute.id, ...knownRoute.aliases]),
+        caseInsensitive: true,
+        messages: { invalid_value: `Unknown service. Supported services: ${listRoutes().map(knownRoute => knownRoute.id).join(', ')}` }
+      },
+      sender: partyRule('sender', route),
+      receiver: partyRule('receiver', route),
+      items: {
+        type: 'array',
+        required: true,
+        label: 'Items',
+        minItems: 1,
+        maxItems: 100,
+        messages: { required: 'At least one item is required', too_few_items: 'At least one item is required' },
+        items: getItemRule()
+      },
+      // Optional; when sent, the booking is quoted and the quote is stored on it
+      parcels: getParcelsRule(),
+      ...identityImages,
+      customerImage: imageRule('Customer image'),
+      customerImages: { type: 'array', label: 'Customer images', items: imageRule('Customer image') },
+      otpVerificationToken: {
+        type: 'string',
+        required: true,
+        label: 'OTP verification token',
+        messages: { required: 'OTP verification is required. Please verify your phone number first.' }
+      },
+      otpPhoneNumber: phoneRule('OTP phone number', Object.keys(PHONE_COUNTRIES)),
+      // Booking confirmation: language of the sender's messages (e.g., 'ar', 'fil-PH') and receiver opt-in
+      locale: { type: 'string', label: 'locale', maxLength: 35 },
+      notifyReceiver: { type: 'boolean', label: 'notifyReceiver' }
+    }
+  }
+}
+
+/**
+ * Read a dotted path (e.g., 'sender.shipmentType') from an object
+ */
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object)
+}
+
+/**
+ * Check if a value counts as missing
+ */
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '')
+}
+
+/**
+ * Normalize the enum values of a body in place: a string that matches an option once trimmed
+ * (and lowercased for caseInsensitive rules) is replaced by that option
+ * Runs before validation so when conditions, and whatever stores the body, see the same value
+ * the enum check accepted (' non-document ' needs a declared amount and is stored trimmed)
+ * @param {Object} rule - Rule
+ * @param {*} value - Value (objects and arrays are updated in place)
+ * @returns {*} - Normalized value
+ */
+export function normalizeEnumValues(rule, value) {
+  if (rule.type === 'object' && value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, fieldRule] of Object.entries(rule.fields || {})) {
+      for (const name of [key, ...(fieldRule.aliases || [])]) {
+        if (value[name] !== undefined) value[name] = normalizeEnumValues(fieldRule, value[name])
+      }
+    }
+    return value
+  }
+
+  if (rule.type === 'array' && rule.items && Array.isArray(value)) {
+    value.forEach((item, index) => { value[index] = normalizeEnumValues(rule.items, item) })
+    return value
+  }
+
+  if (rule.type === 'string' && rule.enum && typeof value === 'string') {
+    const option = rule.caseInsensitive ? value.trim().toLowerCase() : value.trim()
+    return rule.enum.includes(option) ? option : value
+  }
+
+  return value
+}
+
+/**
+ * Validate a value against a rule, appending violations
+ * @param {Object} rule - Rule
+ * @param {*} value - Value
+ * @param {string} path - Field path (e.g., 'sender.lastName', 'items[0].qty')
+ * @param {Object} root - Whole request body (for when conditions)
+ * @param {Object[]} errors - Violations
+ */
+function validateRule(rule, value, path, root, errors) {
+  if (rule.when && getPath(root, rule.when.field) !== rule.when.equals) return
+
+  const label = rule.label || path
+  const fail = (code, message) => {
+    errors.push({ field: path || '(body)', code: code, message: (rule.messages && rule.messages[code]) || message })
+  }
+
+  if (isMissing(value)) {
+    if (rule.required) fail('required', `${label} is required`)
+    return
+  }
+
+  switch (rule.type) {
+    case 'object': {
+      if (typeof value !== 'object' || Array.isArray(value)) return fail('invalid_type', `${label} must be an object`)
+      for (const [key, fieldRule] of Object.entries(rule.fields || {})) {
+        const name = isMissing(value[key]) ? (fieldRule.aliases || []).find(alias => !isMissing(value[alias])) || key : key
+        validateRule(fieldRule, value[name], path ? `${path}.${name}` : name, root, errors)
+      }
+      return
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return fail('invalid_type', `${label} must be a list`)
+      if (rule.minItems !== undefined && value.length < rule.minItems) return fail('too_few_items', `${label} must have at least ${rule.minItems} entries`)
+      if (rule.maxItems !== undefined && value.length > rule.maxItems) return fail('too_many_items', `${label} must have at most ${rule.maxItems} entries`)
+      if (rule.items) {
+        value.forEach((item, index) => validateRule(rule.items, item, `${path}[${index}]`, root, errors))
+      }
+      return
+    }
+
+    case 'number': {
+      const number = typeof value === 'string' ? Number(value.trim()) : value
+      if (typeof number !== 'number' || !Number.isFinite(number)) return fail('invalid_type', `${label} must be a number`)
+      if (rule.integer && !Number.isInteger(number)) return fail('not_integer', `${label} must be a whole number`)
+      if (rule.minimum !== undefined && number < rule.minimum) return fail('too_small', `${label} must be at least ${rule.minimum}`)
+      if (rule.exclusiveMinimum !== undefined && number <= rule.exclusiveMinimum) return fail('too_small', `${label} must be greater than ${rule.exclusiveMinimum}`)
+      if (rule.maximum !== undefined && number > rule.maximum) return fail('too_large', `${label} must not exceed ${rule.maximum}`)
+      return
+    }
+
+    case 'boolean': {
+      if (typeof value !== 'boolean') fail('invalid_type', `${label} must be true or false`)
+      return
+    }
+
+    case 'string': {
+      if (typeof value !== 'string') return fail('invalid_type', `${label} must be a string`)
+      const option = rule.caseInsensitive ? value.trim().toLowerCase() : value.trim()
+      if (rule.enum && !rule.enum.includes(option)) {
+        return fail('invalid_value', `${label} must be one of: ${rule.enum.map(allowed => `"${allowed}"`).join(', ')}`)
+      }
+      if (rule.minLength !== undefined && value.trim().length < rule.minLength) return fail('too_short', `${label} must be at least ${rule.minLength} characters`)
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return fail('too_long', `${label} must not exceed ${rule.maxLength} characters`)
+      if (rule.pattern && !new RegExp(rule.pattern).test(value.trim())) return fail('invalid_format', `${label} has an invalid format`)
+
+      if (rule.format === 'email' && !isValidEmailAddress(value)) {
+        return fail('invalid_email', `${label} must be a valid email address`)
+      }
+      if (rule.format === 'phone') {
+        const normalized = normalizePhoneNumber(value, { defaultCountry: rule.defaultCountry, allowedCountries: rule.countries })
+        if (!normalized.valid) return fail('invalid_phone', normalized.reason)
+      }
+      if (rule.format === 'image' && !parseImageDataUrl(value)) {
+        return fail('invalid_encoding', 'Image must be a base64 data URL')
+      }
+    }
+  }
+}
+
+/**
+ * Validate a request body against a schema
+ * Enum values are normalized in the body first (see normalizeEnumValues)
+ * @param {Object} schema - Root rule
+ * @param {Object} body - Request body
+ * @returns {Array<{field: string, code: string, message: string}>} - All violations (empty if valid)
+ */
+export function validateSchema(schema, body) {
+  const errors = []
+  normalizeEnumValues(schema, body)
+  validateRule(schema, body, '', body, errors)
+  return errors
+}
+
+/**
+ * Validate a booking request
+ * Image contents (type, size, dimensions) are checked separately when the images are prepared
+ * @param {Object} body - Booking request body
+ * @param {Object} route - Route of the booking's service, or null if the service is unknown
+ * @returns {Array<{field: string, code: string, message: string}>} - All violations (empty if valid)
+ */
+export function validateBooking(body, route) {
+  return validateSchema(getBookingSchema(route), body)
+}
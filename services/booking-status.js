@@ -0,0 +1,80 @@
+/**
+ * Booking Status Service
+ * Defines the shipment lifecycle and the transitions allowed between statuses
+ */
+
+// Lifecycle order: pending → confirmed → received-at-warehouse → in-transit →
+// customs → out-for-delivery → delivered (cancelled and returned are side exits)
+export const BOOKING_STATUSES = [
+  'pending',
+  'confirmed',
+  'received-at-warehouse',
+  'in-transit',
+  'customs',
+  'out-for-delivery',
+  'delivered',
+  'cancelled',
+  'returned'
+]
+
+export const INITIAL_BOOKING_STATUS = 'pending'
+
+// Allowed transitions: status → statuses it may move to
+const STATUS_TRANSITIONS = {
+  'pending': ['confirmed', 'cancelled'],
+  'confirmed': ['received-at-warehouse', 'cancelled'],
+  'received-at-warehouse': ['in-transit', 'returned'],
+  'in-transit': ['customs', 'out-for-delivery', 'returned'],
+  'customs': ['out-for-delivery', 'returned'],
+  'out-for-delivery': ['delivered', 'returned'],
+  'delivered': [],
+  'cancelled': [],
+  'returned': []
+}
+
+/**
+ * Check if a value is a known booking status
+ * @param {string} status - Status to check
+ * @returns {boolean} - True if status is known
+ */
+export function isValidStatus(status) {
+  return BOOKING_STATUSES.includes(status)
+}
+
+/**
+ * Get the statuses a booking may move to from its current status
+ * @param {string} currentStatus - Current booking status
+ * @returns {string[]} - Allowed next statuses
+ */
+export function getAllowedTransitions(currentStatus) {
+  return STATUS_TRANSITIONS[currentStatus] || []
+}
+
+/**
+ * Check if a status transition is allowed
+ * @param {string} fromStatus - Current booking status
+ * @param {string} toStatus - Requested booking status
+ * @returns {boolean} - True if the transition is allowed
+ */
+export function canTransition(fromStatus, toStatus) {
+  return getAllowedTransitions(fromStatus).includes(toStatus)
+}
+
+/**
+ * Build a status history entry
+ * @param {string} status - New status
+ * @param {Object} options - Entry details
+ * @param {string|null} options.from - Previous status (null for the initial entry)
+ * @param {string|null} options.note - Optional note
+ * @param {string|null} options.changedBy - Who made the change
+ * @returns {Object} - Status history entry
+ */
+export function buildStatusHistoryEntry(status, { from = null, note = null, changedBy = null } = {}) {
+  return {
+    status: status,
+    from: from,
+    note: note,
+    changedBy: changedBy,
+    changedAt: new Date()
+  }
+}
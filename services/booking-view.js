@@ -0,0 +1,162 @@
+/**
+ * Booking View Service
+ * Builds the read-only views of a booking returned by the public lookup endpoints:
+ * - tracking view: status and timeline only, for anyone who knows the AWB or reference number
+ * - owner view: parties and items too (no identity images, no OTP data, masked phones), once the
+ *   caller proves a second ownership factor (see isBookingOwner)
+ * Reference numbers are random so they can serve as that factor for AWB lookups.
+ */
+
+import crypto from 'crypto'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// Public tracking page; {awb} is replaced by the AWB
+const TRACKING_URL_TEMPLATE = process.env.TRACKING_URL_TEMPLATE || 'https://knexpress.ae/track?awb={awb}'
+
+/**
+ * Get the public tracking URL of a booking
+ * @param {string} awb - AWB number
+ * @returns {string} - Tracking URL
+ */
+export function getTrackingUrl(awb) {
+  return TRACKING_URL_TEMPLATE.replace('{awb}', encodeURIComponent(awb))
+}
+
+/**
+ * Generate a booking reference number: 'KNX' + 13 base-36 characters from 64 random bits
+ * @returns {string} - Reference number (e.g., KNX0A1B2C3D4E5F6)
+ */
+export function generateReferenceNumber() {
+  return 'KNX' + crypto.randomBytes(8).readBigUInt64BE().toString(36).toUpperCase().padStart(13, '0')
+}
+
+/**
+ * Get the UTC day of a date, without the time
+ * @param {Date|string} date - Date
+ * @returns {string|null} - Day (YYYY-MM-DD) or null
+ */
+function toDay(date) {
+  const day = date ? new Date(date) : null
+  return day && !isNaN(day.getTime()) ? day.toISOString().slice(0, 10) : null
+}
+
+/**
+ * Mask a phone number, keeping the country code and the last 3 digits
+ * @param {string} phoneNumber - Phone number (e.g., +971501234567)
+ * @returns {string|null} - Masked phone number (e.g., +971*******567) or null
+ */
+export function maskPhoneNumber(phoneNumber) {
+  if (!phoneNumber || typeof phoneNumber !== 'string') return null
+
+  const compact = phoneNumber.trim().replace(/\s+/g, '')
+  if (compact.length <= 4) return '*'.repeat(compact.length)
+
+  const hasPlus = compact.startsWith('+')
+  const digits = hasPlus ? compact.slice(1) : compact
+  const visiblePrefix = hasPlus ? Math.min(3, digits.length - 3) : 0
+  const visibleSuffix = 3
+  const maskedLength = Math.max(0, digits.length - visiblePrefix - visibleSuffix)
+
+  return (hasPlus ? '+' : '') +
+    digits.slice(0, visiblePrefix) +
+    '*'.repeat(maskedLength) +
+    digits.slice(digits.length - visibleSuffix)
+}
+
+/**
+ * Get the last 4 digits of a phone number
+ */
+function lastFourDigits(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '')
+  return digits.length >= 4 ? digits.slice(-4) : null
+}
+
+/**
+ * Check the second ownership factor of a lookup
+ * AWBs and reference numbers can be passed around (labels, screenshots), so on their own
+ * they only unlock the tracking view
+ * @param {Object} booking - Booking document
+ * @param {Object} factors - Factors from the request
+ * @param {string} factors.referenceNumber - Reference number of the booking (AWB lookups)
+ * @param {string} factors.phoneLast4 - Last 4 digits of the sender's or receiver's phone number
+ * @returns {boolean} - True if a factor matches the booking
+ */
+export function isBookingOwner(booking, { referenceNumber, phoneLast4 } = {}) {
+  if (referenceNumber && String(referenceNumber).trim().toUpperCase() === booking.referenceNumber) {
+    return true
+  }
+
+  const digits = /^\d{4}$/.test(String(phoneLast4 || '').trim()) ? String(phoneLast4).trim() : null
+  return Boolean(digits) && [booking.sender?.phoneNumber, booking.receiver?.phoneNumber]
+    .some(phoneNumber => lastFourDigits(phoneNumber) === digits)
+}
+
+/**
+ * Build the tracking view of a booking: status and timeline, no personal data
+ * Dates are rounded to the day so the view does not give away when the booking was submitted
+ * @param {Object} booking - Booking document from MongoDB
+ * @returns {Object} - Tracking view
+ */
+export function toTrackingView(booking) {
+  return {
+    awb: booking.awb,
+    service: booking.service,
+    status: booking.status,
+    statusHistory: Array.isArray(booking.statusHistory)
+      ? booking.statusHistory.map(entry => ({ status: entry.status, changedOn: toDay(entry.changedAt) }))
+      : [],
+    submittedOn: toDay(booking.submittedAt),
+    trackingUrl: getTrackingUrl(booking.awb)
+  }
+}
+
+/**
+ * Build the public view of a booking party (sender or receiver)
+ * @param {Object} party - Sender or receiver sub-document
+ * @returns {Object|null} - Sanitized party
+ */
+function toPublicParty(party) {
+  if (!party) return null
+
+  return {
+    fullName: party.fullName || '',
+    firstName: party.firstName || '',
+    lastName: party.lastName || '',
+    country: party.country || null,
+    addressLine1: party.addressLine1 || null,
+    dialCode: party.dialCode || null,
+    phoneNumber: maskPhoneNumber(party.phoneNumber),
+    contactNo: maskPhoneNumber(party.contactNo),
+    deliveryOption: party.deliveryOption || null,
+    ...(party.shipmentType !== undefined ? { shipmentType: party.shipmentType } : {}),
+    ...(party.insured !== undefined ? { insured: party.insured } : {}),
+    ...(party.declaredAmount !== undefined ? { declaredAmount: party.declaredAmount } : {})
+  }
+}
+
+/**
+ * Build the owner view of a booking document (see isBookingOwner)
+ * Identity documents, OTP verification data and internal identifiers are never included
+ * @param {Object} booking - Booking document from MongoDB
+ * @returns {Object} - Sanitized booking
+ */
+export function toPublicBooking(booking) {
+  return {
+    referenceNumber: booking.referenceNumber,
+    awb: booking.awb,
+    service: booking.service,
+    status: booking.status,
+    // Staff identities and notes stay internal; only the timeline is exposed
+    statusHistory: Array.isArray(booking.statusHistory)
+      ? booking.statusHistory.map(entry => ({ status: entry.status, changedAt: entry.changedAt }))
+      : [],
+    sender: toPublicParty(booking.sender),
+    receiver: toPublicParty(booking.receiver),
+    items: Array.isArray(booking.items) ? booking.items : [],
+    quote: booking.quote ? { currency: booking.quote.currency, total: booking.quote.total, charges: booking.quote.charges } : null,
+    submittedAt: booking.submittedAt,
+    source: booking.source
+  }
+}
@@ -0,0 +1,319 @@
+/**
+ * Card Detection Service
+ * Detects an ID card in a photo with OpenCV.js, returns its quadrilateral and a
+ * deskewed crop, and scores the capture for blur and glare
+ *
+ * Pipeline: grayscale → Gaussian blur → adaptive threshold + Canny edges →
+ * morphological close → contours → 4-point polygons filtered by area and the
+ * ID-1 card aspect ratio (85.6mm x 53.98mm ≈ 1.585) → perspective warp
+ */
+
+import sharp from 'sharp'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// ID-1 card (Emirates ID, Philippine IDs) aspect ratio
+const CARD_ASPECT_RATIO = 85.6 / 53.98
+const CARD_ASPECT_TOLERANCE = 0.2 // ±20%
+
+// Card must cover at least this fraction of the photo
+const MIN_CARD_AREA_RATIO = 0.1
+
+// Working resolution for detection (longest edge) - detection does not need full resolution
+const DETECTION_MAX_DIMENSION = 1200
+
+// Deskewed crop size (ID-1 at 300 DPI)
+const CROP_WIDTH = 1012
+const CROP_HEIGHT = 638
+
+// Quality thresholds
+const BLUR_VARIANCE_THRESHOLD = Number(process.env.CARD_BLUR_VARIANCE_THRESHOLD) || 100
+const GLARE_PIXEL_THRESHOLD = 245
+const GLARE_RATIO_THRESHOLD = Number(process.env.CARD_GLARE_RATIO_THRESHOLD) || 0.02
+
+let openCvPromise = null
+
+/**
+ * Load OpenCV.js once (the WASM runtime takes a few seconds to initialize)
+ * The module object is thenable, so it is wrapped to keep promises from trying to unwrap it
+ * @returns {Promise<{cv: Object}>} - Wrapper holding the initialized OpenCV module
+ */
+function loadOpenCv() {
+  if (!openCvPromise) {
+    openCvPromise = import('@techstark/opencv-js').then(module => new Promise(resolve => {
+      const cv = module.default
+      if (cv.Mat) {
+        resolve({ cv })
+      } else {
+        cv.onRuntimeInitialized = () => resolve({ cv })
+      }
+    }))
+  }
+  return openCvPromise
+}
+
+/**
+ * Euclidean distance between two points
+ */
+function distance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y)
+}
+
+/**
+ * Order 4 corner points as top-left, top-right, bottom-right, bottom-left
+ * with the long edge horizontal, so the crop is always landscape
+ * @param {Array<{x: number, y: number}>} points - Corner points in any order
+ * @returns {Array<{x: number, y: number}>} - Ordered corners
+ */
+function orderCorners(points) {
+  const bySum = [...points].sort((a, b) => (a.x + a.y) - (b.x + b.y))
+  const byDiff = [...points].sort((a, b) => (a.y - a.x) - (b.y - b.x))
+  const ordered = [bySum[0], byDiff[0], bySum[3], byDiff[3]]
+
+  const top = distance(ordered[0], ordered[1])
+  const left = distance(ordered[0], ordered[3])
+
+  // Portrait quadrilateral (card photographed sideways): rotate the order by one corner
+  return left > top ? [ordered[3], ordered[0], ordered[1], ordered[2]] : ordered
+}
+
+/**
+ * Measure a quadrilateral's average width, height and aspect ratio
+ * @param {Array<{x: number, y: number}>} corners - Ordered corners
+ * @returns {{width: number, height: number, aspectRatio: number}}
+ */
+function measureQuad(corners) {
+  const width = (distance(corners[0], corners[1]) + distance(corners[3], corners[2])) / 2
+  const height = (distance(corners[0], corners[3]) + distance(corners[1], corners[2])) / 2
+  return { width, height, aspectRatio: height > 0 ? width / height : 0 }
+}
+
+/**
+ * Median of 8-bit pixel values, via a histogram
+ * @param {Uint8Array} pixels - Grayscale pixel data
+ * @returns {number} - Median intensity (0-255)
+ */
+function medianIntensity(pixels) {
+  const histogram = new Uint32Array(256)
+  for (let i = 0; i < pixels.length; i++) histogram[pixels[i]]++
+
+  let count = 0
+  for (let value = 0; value < 256; value++) {
+    count += histogram[value]
+    if (count >= pixels.length / 2) return value
+  }
+  return 255
+}
+
+/**
+ * Find the best card-shaped quadrilateral in an edge map
+ * @param {Object} cv - OpenCV module
+ * @param {Object} edges - Binary edge Mat
+ * @param {number} imageArea - Area of the working image
+ * @returns {Object|null} - { corners, area, aspectRatio, confidence } or null
+ */
+function findCardQuad(cv, edges, imageArea) {
+  const contours = new cv.MatVector()
+  const hierarchy = new cv.Mat()
+  let best = null
+
+  try {
+    cv.findContours(edges, contours, hierarchy, cv.RETR_EXTERNAL, cv.CHAIN_APPROX_SIMPLE)
+
+    for (let i = 0; i < contours.size(); i++) {
+      const contour = contours.get(i)
+      const approx = new cv.Mat()
+
+      try {
+        const area = cv.contourArea(contour)
+        if (area < imageArea * MIN_CARD_AREA_RATIO) continue
+
+        cv.approxPolyDP(contour, approx, 0.02 * cv.arcLength(contour, true), true)
+
+        let points
+        let shapePenalty = 0
+        if (approx.rows === 4 && cv.isContourConvex(approx)) {
+          points = []
+          for (let j = 0; j < 4; j++) {
+            points.push({ x: approx.data32S[j * 2], y: approx.data32S[j * 2 + 1] })
+          }
+        } else {
+          // Rounded or partly occluded corners: fall back to the minimum-area rectangle
+          const rect = cv.minAreaRect(contour)
+          points = cv.RotatedRect.points(rect).map(p => ({ x: p.x, y: p.y }))
+          shapePenalty = 0.2
+        }
+
+        const corners = orderCorners(points)
+        const { aspectRatio } = measureQuad(corners)
+        const aspectError = Math.abs(aspectRatio - CARD_ASPECT_RATIO) / CARD_ASPECT_RATIO
+        if (aspectError > CARD_ASPECT_TOLERANCE) continue
+
+        const confidence = Math.max(0, 1 - aspectError / CARD_ASPECT_TOLERANCE * 0.5 - shapePenalty)
+        const score = area * confidence
+        if (!best || score > best.score) {
+          best = { corners, area, aspectRatio, confidence, score }
+        }
+      } finally {
+        approx.delete()
+        contour.delete()
+      }
+    }
+  } finally {
+    contours.delete()
+    hierarchy.delete()
+  }
+
+  return best
+}
+
+/**
+ * Score blur as the variance of the Laplacian (low variance = few sharp edges)
+ * @param {Object} cv - OpenCV module
+ * @param {Object} gray - Grayscale Mat
+ * @returns {{variance: number, score: number, isBlurry: boolean}} - score: 0 (sharp) to 1 (very blurry)
+ */
+function scoreBlur(cv, gray) {
+  const laplacian = new cv.Mat()
+  const mean = new cv.Mat()
+  const stdDev = new cv.Mat()
+
+  try {
+    cv.Laplacian(gray, laplacian, cv.CV_64F)
+    cv.meanStdDev(laplacian, mean, stdDev)
+    const variance = Math.pow(stdDev.data64F[0], 2)
+    return {
+      variance: Math.round(variance * 100) / 100,
+      score: Math.round(Math.min(1, Math.max(0, 1 - variance / (BLUR_VARIANCE_THRESHOLD * 2))) * 1000) / 1000,
+      isBlurry: variance < BLUR_VARIANCE_THRESHOLD
+    }
+  } finally {
+    laplacian.delete()
+    mean.delete()
+    stdDev.delete()
+  }
+}
+
+/**
+ * Score glare as the fraction of near-white (saturated) pixels
+ * @param {Object} cv - OpenCV module
+ * @param {Object} gray - Grayscale Mat
+ * @returns {{score: number, hasGlare: boolean}} - score: fraction of saturated pixels (0 to 1)
+ */
+function scoreGlare(cv, gray) {
+  const saturated = new cv.Mat()
+
+  try {
+    cv.threshold(gray, saturated, GLARE_PIXEL_THRESHOLD, 255, cv.THRESH_BINARY)
+    const ratio = cv.countNonZero(saturated) / (gray.rows * gray.cols)
+    return {
+      score: Math.round(ratio * 1000) / 1000,
+      hasGlare: ratio > GLARE_RATIO_THRESHOLD
+    }
+  } finally {
+    saturated.delete()
+  }
+}
+
+/**
+ * Detect an ID card in an image
+ * @param {Buffer} imageBuffer - Decoded image (JPEG, PNG or WebP)
+ * @returns {Promise<Object>} - {
+ *   detected, quadrilateral, confidence, aspectRatio, crop, quality: { blur, glare },
+ *   acceptable, issues, image: { width, height }
+ * }
+ */
+export async function detectCard(imageBuffer) {
+  const { cv } = await loadOpenCv()
+
+  // Apply EXIF orientation and downscale once; quadrilateral coordinates are scaled back
+  const { data, info } = await sharp(imageBuffer)
+    .rotate()
+    .resize({ width: DETECTION_MAX_DIMENSION, height: DETECTION_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true })
+
+  // EXIF orientations 5-8 swap width and height
+  const metadata = await sharp(imageBuffer).metadata()
+  const swapped = (metadata.orientation || 1) >= 5
+  const originalWidth = swapped ? metadata.height : metadata.width
+  const originalHeight = swapped ? metadata.width : metadata.height
+  const scale = originalWidth / info.width
+
+  const mats = []
+  const track = mat => { mats.push(mat); return mat }
+
+  try {
+    const src = track(cv.matFromArray(info.height, info.width, cv.CV_8UC4, data))
+    const gray = track(new cv.Mat())
+    const blurred = track(new cv.Mat())
+    const thresholded = track(new cv.Mat())
+    const canny = track(new cv.Mat())
+    const edges = track(new cv.Mat())
+
+    cv.cvtColor(src, gray, cv.COLOR_RGBA2GRAY)
+    cv.GaussianBlur(gray, blurred, new cv.Size(5, 5), 0)
+
+    // Adaptive threshold separates the card from backgrounds of similar brightness
+    cv.adaptiveThreshold(blurred, thresholded, 255, cv.ADAPTIVE_THRESH_GAUSSIAN_C, cv.THRESH_BINARY_INV, 11, 2)
+
+    // Canny thresholds derived from the median intensity
+    const median = medianIntensity(blurred.data)
+    cv.Canny(blurred, canny, Math.max(0, 0.66 * median), Math.min(255, 1.33 * median))
+
+    // Close gaps in the card outline
+    const kernel = track(cv.getStructuringElement(cv.MORPH_RECT, new cv.Size(5, 5)))
+    const closedCanny = track(new cv.Mat())
+    cv.morphologyEx(canny, closedCanny, cv.MORPH_CLOSE, kernel)
+    cv.morphologyEx(thresholded, edges, cv.MORPH_CLOSE, kernel)
+
+    const imageArea = info.width * info.height
+    const candidates = [findCardQuad(cv, closedCanny, imageArea), findCardQuad(cv, edges, imageArea)].filter(Boolean)
+    const card = candidates.sort((a, b) => b.score - a.score)[0] || null
+
+    let cropBuffer = null
+    let qualityGray = gray
+
+    if (card) {
+      const srcPoints = track(cv.matFromArray(4, 1, cv.CV_32FC2, card.corners.flatMap(p => [p.x, p.y])))
+      const dstPoints = track(cv.matFromArray(4, 1, cv.CV_32FC2, [0, 0, CROP_WIDTH, 0, CROP_WIDTH, CROP_HEIGHT, 0, CROP_HEIGHT]))
+      const transform = track(cv.getPerspectiveTransform(srcPoints, dstPoints))
+      const warped = track(new cv.Mat())
+      cv.warpPerspective(src, warped, transform, new cv.Size(CROP_WIDTH, CROP_HEIGHT), cv.INTER_LINEAR, cv.BORDER_REPLICATE)
+
+      cropBuffer = await sharp(Buffer.from(warped.data), {
+        raw: { width: CROP_WIDTH, height: CROP_HEIGHT, channels: 4 }
+      }).removeAlpha().jpeg({ quality: 90 }).toBuffer()
+
+      // Blur and glare are scored on the card itself, not the background
+      qualityGray = track(new cv.Mat())
+      cv.cvtColor(warped, qualityGray, cv.COLOR_RGBA2GRAY)
+    }
+
+    const blur = scoreBlur(cv, qualityGray)
+    const glare = scoreGlare(cv, qualityGray)
+
+    const issues = []
+    if (!card) issues.push('card_not_detected')
+    if (blur.isBlurry) issues.push('blurry')
+    if (glare.hasGlare) issues.push('glare')
+
+    return {
+      detected: Boolean(card),
+      quadrilateral: card
+        ? card.corners.map(p => ({ x: Math.round(p.x * scale), y: Math.round(p.y * scale) }))
+        : null,
+      confidence: card ? Math.round(card.confidence * 1000) / 1000 : 0,
+      aspectRatio: card ? Math.round(card.aspectRatio * 1000) / 1000 : null,
+      crop: cropBuffer ? `data:image/jpeg;base64,${cropBuffer.toString('base64')}` : null,
+      quality: { blur, glare },
+      acceptable: issues.length === 0,
+      issues: issues,
+      image: { width: originalWidth, height: originalHeight }
+    }
+  } finally {
+    mats.forEach(mat => mat.delete())
+  }
+}
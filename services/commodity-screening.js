@@ -0,0 +1,237 @@
+/**
+ * Commodity Screening
+ * Matches booking items against commodity categories (batteries, liquids, medicine, ...) by
+ * description and HS code, so each route can prohibit or restrict categories
+ *
+ * Routes list category ids in commodities.prohibited (booking rejected) and commodities.restricted
+ * (booking accepted and flagged for review). More categories can be added through registerCommodityCategory
+ * (commodityCategories in ROUTES_CONFIG_FILE).
+ *
+ * Descriptions are free text, so only strong matches reject a booking: an HS code or one of the
+ * category's unambiguous phrases. A keyword alone ("rifle", "wine") flags the item for review even
+ * when the category is prohibited on the route. Exclusions ("toy", "wine glass") cancel keyword
+ * matches that are known to be harmless; a phrase next to an exclusion ("handgun toy holster") is
+ * only downgraded to review, so an exclusion word cannot clear an unambiguous description.
+ */
+
+// Categories: phrases (unambiguous) and keywords (need review) match whole words of the commodity
+// description, plural forms included; exclude cancels keyword matches and downgrades phrase matches
+// to review; hsCodes match the start of the item's HS code
+export const COMMODITY_CATEGORIES = {
+  batteries: {
+    label: 'Batteries and power banks',
+    phrases: ['lithium battery', 'lithium batteries', 'power bank', 'powerbank', 'li-ion battery'],
+    keywords: ['battery', 'batteries', 'lithium', 'li-ion'],
+    exclude: [],
+    hsCodes: ['8506', '8507']
+  },
+  liquids: {
+    label: 'Liquids',
+    phrases: ['perfume', 'cologne', 'shampoo', 'lotion'],
+    keywords: ['liquid', 'oil', 'juice', 'sauce', 'syrup'],
+    exclude: ['canned', 'in oil', 'oil painting', 'oil filter', 'juice powder'],
+    hsCodes: ['3303', '1509', '1517', '2009']
+  },
+  aerosols: {
+    label: 'Aerosols',
+    phrases: ['aerosol', 'spray can', 'spray paint'],
+    keywords: ['spray'],
+    exclude: ['spray bottle'],
+    hsCodes: []
+  },
+  medicine: {
+    label: 'Medicine',
+    phrases: ['medicine', 'medication', 'antibiotic', 'prescription drug'],
+    keywords: ['drug', 'capsule', 'vitamin', 'supplement'],
+    exclude: ['coffee capsule', 'time capsule'],
+    hsCodes: ['3003', '3004']
+  },
+  alcohol: {
+    label: 'Alcoholic drinks',
+    phrases: ['whisky', 'whiskey', 'vodka', 'brandy', 'liquor', 'tequila', 'red wine', 'white wine', 'alcoholic drink', 'alcoholic beverage'],
+    keywords: ['alcohol', 'wine', 'beer', 'rum', 'gin'],
+    exclude: ['wine glass', 'wine opener', 'root beer', 'alcohol-free', 'non-alcoholic', 'rubbing alcohol', 'alcohol wipe'],
+    hsCodes: ['2203', '2204', '2205', '2206', '2208']
+  },
+  tobacco: {
+    label: 'Tobacco and vapes',
+    phrases: ['tobacco', 'cigarette', 'cigar', 'e-cigarette', 'vape'],
+    keywords: ['shisha'],
+    exclude: ['cigarette case', 'cigar box', 'candy cigarette'],
+    hsCodes: ['2401', '2402', '2403', '2404']
+  },
+  flammables: {
+    label: 'Flammable goods',
+    phrases: ['gasoline', 'petrol', 'kerosene', 'paint thinner', 'fireworks', 'lighter fluid'],
+    keywords: ['lighter', 'fuel', 'thinner', 'flammable'],
+    exclude: [],
+    hsCodes: ['2710', '3604', '3605', '9613']
+  },
+  weapons: {
+    label: 'Weapons and ammunition',
+    phrases: ['firearm', 'handgun', 'shotgun', 'ammunition'],
+    keywords: ['pistol', 'rifle', 'ammo', 'bullet', 'sword', 'airsoft', 'taser'],
+    exclude: ['toy', 'water pistol', 'water gun', 'nerf', 'bullet journal', 'bullet blender'],
+    hsCodes: ['93']
+  },
+  narcotics: {
+    label: 'Narcotics',
+    phrases: ['cannabis', 'marijuana', 'narcotic'],
+    keywords: ['cbd', 'hemp oil'],
+    exclude: [],
+    hsCodes: []
+  },
+  currency: {
+    label: 'Cash and valuables',
+    phrases: ['banknote', 'gold bar', 'bullion'],
+    keywords: ['currency', 'gold coin'],
+    exclude: ['currency counter', 'currency detector'],
+    hsCodes: ['7108', '4907', '7118']
+  }
+}
+
+/**
+ * Read a list of words or phrases of a category definition
+ */
+function readPhraseList(id, category, field) {
+  const list = category[field] === undefined ? [] : category[field]
+  if (!Array.isArray(list)) {
+    throw new Error(`Invalid commodity category ${id}: ${field} must be a list`)
+  }
+  return list.map(phrase => String(phrase).toLowerCase())
+}
+
+/**
+ * Add or replace a commodity category (used by the route registry)
+ * @param {string} id - Category id (lowercase letters, digits and dashes)
+ * @param {Object} category - Category
+ * @param {string} category.label - Name shown in errors
+ * @param {string[]} category.phrases - Unambiguous words or phrases: can reject a booking (optional)
+ * @param {string[]} category.keywords - Words or phrases that flag an item for review (optional)
+ * @param {string[]} category.exclude - Words or phrases that cancel description matches (optional)
+ * @param {string[]} category.hsCodes - HS code prefixes: can reject a booking (optional)
+ */
+export function registerCommodityCategory(id, category) {
+  if (!/^[a-z0-9-]+$/.test(id) || !category || typeof category !== 'object') {
+    throw new Error(`Invalid commodity category ${id}`)
+  }
+  const hsCodes = category.hsCodes === undefined ? [] : category.hsCodes
+  if (!Array.isArray(hsCodes) || hsCodes.some(hsCode => !/^\d{2,10}$/.test(String(hsCode)))) {
+    throw new Error(`Invalid commodity category ${id}: hsCodes must be a list of 2 to 10 digits`)
+  }
+
+  const phrases = readPhraseList(id, category, 'phrases')
+  const keywords = readPhraseList(id, category, 'keywords')
+  if (phrases.length === 0 && keywords.length === 0 && hsCodes.length === 0) {
+    throw new Error(`Invalid commodity category ${id}: phrases, keywords or hsCodes are required`)
+  }
+
+  COMMODITY_CATEGORIES[id] = {
+    label: category.label || id,
+    phrases: phrases,
+    keywords: keywords,
+    exclude: readPhraseList(id, category, 'exclude'),
+    hsCodes: hsCodes.map(String)
+  }
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Check if a description contains a word or phrase (whole words, plural forms included)
+ */
+function containsPhrase(description, phrase) {
+  return new RegExp(`(^|[^a-z0-9])${escapeRegex(phrase)}(s|es)?($|[^a-z0-9])`).test(description)
+}
+
+/**
+ * Match an item against a category
+ * @param {Object} category - Category
+ * @param {Object} item - Booking item ({ commodity, hsCode })
+ * @returns {{matchedBy: string, strong: boolean}|null} - 'HS code ...', 'phrase "..."' or 'keyword "..."',
+ *          strong for HS codes and phrases without an exclusion; null if the item is not in the category
+ */
+function matchCategory(category, item) {
+  const hsCode = String(item.hsCode || '').replace(/\D/g, '')
+  const hsPrefix = hsCode ? category.hsCodes.find(prefix => hsCode.startsWith(prefix)) : null
+  if (hsPrefix) return { matchedBy: `HS code ${hsPrefix}`, strong: true }
+
+  const description = String(item.commodity || '').toLowerCase()
+  const exclusion = category.exclude.find(candidate => containsPhrase(description, candidate))
+
+  const phrase = category.phrases.find(candidate => containsPhrase(description, candidate))
+  if (phrase) {
+    return exclusion
+      ? { matchedBy: `phrase "${phrase}" (with exclusion "${exclusion}")`, strong: false }
+      : { matchedBy: `phrase "${phrase}"`, strong: true }
+  }
+  if (exclusion) return null
+
+  const keyword = category.keywords.find(candidate => containsPhrase(description, candidate))
+  return keyword ? { matchedBy: `keyword "${keyword}"`, strong: false } : null
+}
+
+/**
+ * Find the first category of a list that matches an item
+ * @param {string[]} ids - Category ids
+ * @param {Object} item - Booking item
+ * @param {boolean} strongOnly - Ignore keyword matches
+ * @returns {Object|null} - { id, matchedBy, strong } or null
+ */
+function findMatch(ids, item, strongOnly = false) {
+  for (const id of ids) {
+    const match = matchCategory(COMMODITY_CATEGORIES[id], item)
+    if (match && (match.strong || !strongOnly)) return { id, ...match }
+  }
+  return null
+}
+
+/**
+ * Screen booking items against the route's prohibited and restricted categories
+ * A prohibited category matched by a keyword only flags the item for review (possiblyProhibited)
+ * @param {Object[]} items - Booking items
+ * @param {Object} route - Route from the route registry
+ * @returns {{prohibited: Object[], restricted: Object[]}} - Matches: { index, commodity, category, label, matchedBy },
+ *          restricted ones with possiblyProhibited
+ */
+export function screenItems(items, route) {
+  const result = { prohibited: [], restricted: [] }
+
+  items.forEach((item, index) => {
+    const toResult = (match, extra = {}) => ({
+      index: index,
+      commodity: item.commodity,
+      category: match.id,
+      label: COMMODITY_CATEGORIES[match.id].label,
+      matchedBy: match.matchedBy,
+      ...extra
+    })
+
+    // Strong matches of prohibited categories first, so a keyword of one category cannot hide
+    // an HS code of another; a prohibited item is not also reported as restricted
+    const prohibitedIds = route.commodities.prohibited
+    const prohibited = findMatch(prohibitedIds, item, true)
+    if (prohibited) {
+      result.prohibited.push(toResult(prohibited))
+      return
+    }
+
+    const possiblyProhibited = findMatch(prohibitedIds, item)
+    if (possiblyProhibited) {
+      result.restricted.push(toResult(possiblyProhibited, { possiblyProhibited: true }))
+      return
+    }
+
+    const restricted = findMatch(route.commodities.restricted, item)
+    if (restricted) {
+      result.restricted.push(toResult(restricted, { possiblyProhibited: false }))
+    }
+  })
+
+  return result
+}
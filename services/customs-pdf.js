@@ -0,0 +1,167 @@
+/**
+ * Customs PDF
+ * Renders the documents from customs.js as a printable A4 PDF:
+ * page 1 the customs declaration, page 2 the commercial invoice
+ */
+
+import PDFDocument from 'pdfkit'
+
+const MARGIN = 40
+const PAGE_WIDTH = 595.28 // A4 in points
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN
+
+const TREATMENT_LABELS = {
+  document: 'Documents - no duties',
+  de_minimis: 'De minimis - duty and tax free',
+  balikbayan: 'Balikbayan box - duty free',
+  formal_entry: 'Formal entry - duties and taxes assessed by customs'
+}
+
+/**
+ * Collect a PDF document into a buffer
+ * @param {PDFDocument} doc - Document (ended by this function)
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+    doc.end()
+  })
+}
+
+/**
+ * Format an amount with 2 decimals, or a dash when unknown
+ */
+function formatAmount(amount) {
+  return typeof amount === 'number' ? amount.toFixed(2) : '-'
+}
+
+/**
+ * Draw the page title with the AWB and reference number
+ */
+function drawHeader(doc, title, documents) {
+  doc.font('Helvetica-Bold').fontSize(16).text(title, MARGIN, MARGIN)
+  doc.font('Helvetica').fontSize(9)
+    .text(`AWB: ${documents.awb}    Reference: ${documents.referenceNumber || '-'}    Service: ${documents.service}`)
+  doc.moveDown(0.8)
+}
+
+/**
+ * Draw two party blocks side by side
+ */
+function drawParties(doc, [leftTitle, left], [rightTitle, right]) {
+  const top = doc.y
+  const columnWidth = CONTENT_WIDTH / 2 - 10
+  const drawParty = (title, party, x) => {
+    doc.font('Helvetica-Bold').fontSize(9).text(title, x, top, { width: columnWidth })
+    doc.font('Helvetica').fontSize(9)
+      .text(party.name || '-', { width: columnWidth })
+      .text(party.address || '-', { width: columnWidth })
+      .text(`${party.country} (${party.countryCode})`, { width: columnWidth })
+      .text(party.phone || '', { width: columnWidth })
+    return doc.y
+  }
+
+  const bottom = Math.max(drawParty(leftTitle, left, MARGIN), drawParty(rightTitle, right, MARGIN + CONTENT_WIDTH / 2 + 10))
+  doc.y = bottom + 12
+}
+
+/**
+ * Draw a table of item lines
+ * @param {PDFDocument} doc - Document
+ * @param {Array<{header: string, width: number, value: Function, align: string}>} columns - Columns
+ * @param {Object[]} rows - Rows
+ */
+function drawTable(doc, columns, rows) {
+  const drawRow = (cells, font) => {
+    const top = doc.y
+    let x = MARGIN
+    let bottom = top
+    doc.font(font).fontSize(8)
+    columns.forEach((column, index) => {
+      doc.text(cells[index], x + 2, top, { width: column.width - 4, align: column.align || 'left' })
+      bottom = Math.max(bottom, doc.y)
+      x += column.width
+    })
+    doc.moveTo(MARGIN, bottom + 2).lineTo(MARGIN + CONTENT_WIDTH, bottom + 2).lineWidth(0.5).stroke()
+    doc.y = bottom + 5
+  }
+
+  drawRow(columns.map(column => column.header), 'Helvetica-Bold')
+  rows.forEach(row => {
+    if (doc.y > doc.page.height - MARGIN - 60) doc.addPage()
+    drawRow(columns.map(column => String(column.value(row))), 'Helvetica')
+  })
+}
+
+/**
+ * Render the customs declaration and commercial invoice
+ * @param {Object} documents - Result of buildCustomsDocuments
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+export function renderCustomsPdf(documents) {
+  const { declaration, invoice } = documents
+  const doc = new PDFDocument({ size: 'A4', margin: MARGIN, info: { Title: `Customs documents ${documents.awb}` } })
+
+  // Page 1: customs declaration
+  drawHeader(doc, 'Customs Declaration', documents)
+  drawParties(doc, ['Exporter / Sender', declaration.exporter], ['Consignee / Receiver', declaration.consignee])
+  doc.font('Helvetica').fontSize(9)
+    .text(`Origin: ${declaration.originCountry}    Destination: ${declaration.destinationCountry}    Shipment type: ${declaration.shipmentType || '-'}`, MARGIN)
+  doc.moveDown(0.8)
+
+  drawTable(doc, [
+    { header: '#', width: 25, value: item => item.line },
+    { header: 'Description', width: 170, value: item => item.description },
+    { header: 'HS code', width: 70, value: item => item.hsCode || '-' },
+    { header: 'Qty', width: 40, value: item => item.quantity, align: 'right' },
+    { header: 'Weight (kg)', width: 60, value: item => formatAmount(item.weightKg), align: 'right' },
+    { header: `Value (${declaration.totals.currency})`, width: 75, value: item => formatAmount(item.totalValue), align: 'right' },
+    { header: 'Origin', width: CONTENT_WIDTH - 440, value: item => item.originCountry }
+  ], declaration.items)
+
+  const totals = declaration.totals
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(9)
+    .text(`Total: ${totals.quantity} pieces, ${totals.weightKg === null ? '-' : totals.weightKg} kg, ` +
+      `${formatAmount(totals.value)} ${totals.currency} = ${formatAmount(totals.customsValue)} ${totals.customsCurrency} ` +
+      `(rate ${totals.exchangeRate})`, MARGIN)
+  doc.moveDown(0.8)
+  doc.fontSize(11).text(`Treatment: ${TREATMENT_LABELS[declaration.treatment] || declaration.treatment}`)
+  doc.moveDown(0.3).font('Helvetica').fontSize(8)
+  declaration.checks.forEach(check => doc.text(`[${check.passed ? 'PASS' : 'FAIL'}] ${check.message}`))
+  if (declaration.warnings.length > 0) {
+    doc.moveDown(0.5).font('Helvetica-Bold').text('Warnings').font('Helvetica')
+    declaration.warnings.forEach(warning => doc.text(`- ${warning}`))
+  }
+
+  doc.moveDown(2).fontSize(9)
+    .text('I declare that the information above is true and correct and that the shipment contains no prohibited goods.')
+    .moveDown(2)
+    .text('Signature: ______________________________        Date: ________________')
+
+  // Page 2: commercial invoice
+  doc.addPage()
+  drawHeader(doc, 'Commercial Invoice', documents)
+  doc.font('Helvetica').fontSize(9)
+    .text(`Invoice number: ${invoice.invoiceNumber}    Date: ${new Date(invoice.invoiceDate).toISOString().slice(0, 10)}    Terms: ${invoice.incoterm}`)
+    .text(`Reason for export: ${invoice.reasonForExport}`)
+  doc.moveDown(0.8)
+  drawParties(doc, ['Seller / Shipper', invoice.seller], ['Buyer / Consignee', invoice.buyer])
+
+  drawTable(doc, [
+    { header: '#', width: 25, value: item => item.line },
+    { header: 'Description', width: 190, value: item => item.description },
+    { header: 'HS code', width: 70, value: item => item.hsCode || '-' },
+    { header: 'Qty', width: 40, value: item => item.quantity, align: 'right' },
+    { header: `Unit (${invoice.currency})`, width: 70, value: item => formatAmount(item.unitValue), align: 'right' },
+    { header: `Total (${invoice.currency})`, width: CONTENT_WIDTH - 395, value: item => formatAmount(item.totalValue), align: 'right' }
+  ], invoice.items)
+
+  doc.moveDown(0.5).font('Helvetica-Bold').fontSize(10)
+    .text(`Invoice total: ${formatAmount(invoice.total)} ${invoice.currency}`, MARGIN, doc.y, { width: CONTENT_WIDTH, align: 'right' })
+
+  return toBuffer(doc)
+}
@@ -0,0 +1,190 @@
+/**
+ * Customs Documents
+ * Builds the customs declaration and commercial invoice of a booking from its parties, items
+ * and declared value, and applies the route's customs rules (route.customs):
+ *
+ * - document: document shipments carry no duties
+ * - de_minimis: value (converted to the customs currency) up to deMinimis is duty and tax free
+ * - balikbayan: personal effects up to balikbayan.maxValue, no item above maxQuantityPerItem
+ *   (commercial quantities), no restricted goods, and at most maxPerYear boxes per sender each year
+ * - formal_entry: anything else; duties and taxes are assessed by customs
+ *
+ * The result is plain JSON; customs-pdf.js renders it for printing.
+ */
+
+/**
+ * Round an amount to 2 decimals
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Build a party block (exporter or consignee) from a booking party
+ * @param {Object} party - Booking sender or receiver
+ * @param {Object} country - Route country ({ code, name })
+ * @returns {Object} - { name, address, country, countryCode, phone, email }
+ */
+function toCustomsParty(party = {}, country) {
+  const name = party.fullName || [party.firstName, party.lastName].filter(Boolean).join(' ')
+
+  return {
+    name: name,
+    address: party.addressLine1 || party.completeAddress || '',
+    country: party.country || country.name,
+    countryCode: country.code,
+    phone: party.phoneNumber || party.contactNo || '',
+    email: party.emailAddress || ''
+  }
+}
+
+/**
+ * Build the customs declaration and commercial invoice of a booking
+ * @param {Object} booking - Booking document
+ * @param {Object} route - Route of the booking (must have customs rules)
+ * @param {Object} options - Options
+ * @param {number} options.balikbayanCount - The sender's boxes on the route this calendar year, this one included
+ * @param {Date} options.date - Generation date (default: now)
+ * @returns {Object} - { awb, referenceNumber, service, generatedAt, declaration, invoice }
+ */
+export function buildCustomsDocuments(booking, route, { balikbayanCount = 1, date = new Date() } = {}) {
+  const rules = route.customs
+  const warnings = []
+  const isDocument = booking.sender?.shipmentType === 'document'
+
+  // Item lines; values are in the booking currency (valueCurrency)
+  const items = (Array.isArray(booking.items) ? booking.items : []).map((item, index) => {
+    const quantity = Number(item.quantity ?? item.qty) || 1
+    const unitValue = typeof item.unitValue === 'number' ? item.unitValue : null
+    if (unitValue === null) warnings.push(`Line ${index + 1} (${item.commodity}) has no unit value`)
+    if (!item.hsCode && !isDocument) warnings.push(`Line ${index + 1} (${item.commodity}) has no HS code`)
+
+    return {
+      line: index + 1,
+      description: item.commodity || '',
+      hsCode: item.hsCode || null,
+      quantity: quantity,
+      unitValue: unitValue,
+      totalValue: unitValue === null ? null : roundMoney(unitValue * quantity),
+      weightKg: typeof item.weightKg === 'number' ? roundMoney(item.weightKg * quantity) : null,
+      originCountry: route.origin.code
+    }
+  })
+
+  // Declared value: the item values when every line has one, otherwise the sender's declared amount
+  const itemsValue = items.every(item => item.totalValue !== null) && items.length > 0
+    ? roundMoney(items.reduce((total, item) => total + item.totalValue, 0))
+    : null
+  const declaredAmount = Number(booking.sender?.declaredAmount) || 0
+  let value = itemsValue
+  if (value === null) {
+    value = declaredAmount
+    if (!isDocument) warnings.push(`Item values are incomplete; the declared amount (${declaredAmount} ${rules.valueCurrency}) is used`)
+  } else if (declaredAmount > 0 && Math.abs(itemsValue - declaredAmount) >= 0.01) {
+    warnings.push(`Item values (${itemsValue} ${rules.valueCurrency}) differ from the declared amount (${declaredAmount} ${rules.valueCurrency})`)
+  }
+  const customsValue = roundMoney(value * rules.exchangeRate)
+
+  const knownWeights = items.filter(item => item.weightKg !== null)
+  const totals = {
+    quantity: items.reduce((total, item) => total + item.quantity, 0),
+    weightKg: knownWeights.length === items.length && items.length > 0
+      ? roundMoney(knownWeights.reduce((total, item) => total + item.weightKg, 0))
+      : (booking.quote ? roundMoney(booking.quote.parcels.reduce((total, parcel) => total + parcel.weightKg, 0)) : null),
+    value: value,
+    currency: rules.valueCurrency,
+    customsValue: customsValue,
+    customsCurrency: rules.currency,
+    exchangeRate: rules.exchangeRate
+  }
+
+  // Customs rules
+  const checks = []
+  const balikbayan = rules.balikbayan
+  checks.push({
+    rule: 'de_minimis',
+    passed: customsValue <= rules.deMinimis,
+    message: `Value ${customsValue.toLocaleString('en-US')} ${rules.currency} ${customsValue <= rules.deMinimis ? 'within' : 'above'} de minimis ${rules.deMinimis.toLocaleString('en-US')} ${rules.currency}`
+  })
+  if (balikbayan) {
+    const commercialLines = items.filter(item => item.quantity > balikbayan.maxQuantityPerItem)
+    const restricted = booking.commodityScreening?.restricted || []
+    checks.push({
+      rule: 'balikbayan_value',
+      passed: customsValue <= balikbayan.maxValue,
+      message: `Value ${customsValue <= balikbayan.maxValue ? 'within' : 'above'} the balikbayan limit of ${balikbayan.maxValue.toLocaleString('en-US')} ${rules.currency}`
+    })
+    checks.push({
+      rule: 'balikbayan_frequency',
+      passed: balikbayanCount <= balikbayan.maxPerYear,
+      message: `Box ${balikbayanCount} of ${balikbayan.maxPerYear} duty-free boxes allowed per sender this year`
+    })
+    checks.push({
+      rule: 'balikbayan_quantities',
+      passed: commercialLines.length === 0,
+      message: commercialLines.length === 0
+        ? `No line above ${balikbayan.maxQuantityPerItem} pieces`
+        : `Commercial quantities on line ${commercialLines.map(item => item.line).join(', ')} (more than ${balikbayan.maxQuantityPerItem} pieces)`
+    })
+    checks.push({
+      rule: 'balikbayan_restricted_goods',
+      passed: restricted.length === 0,
+      message: restricted.length === 0
+        ? 'No restricted goods'
+        : `Restricted goods: ${restricted.map(match => `${match.commodity} (${match.label})`).join(', ')}`
+    })
+  }
+
+  const passed = rule => checks.filter(check => check.rule.startsWith(rule)).every(check => check.passed)
+  let treatment = 'formal_entry'
+  if (isDocument) {
+    treatment = 'document'
+  } else if (passed('de_minimis')) {
+    treatment = 'de_minimis'
+  } else if (balikbayan && passed('balikbayan')) {
+    treatment = 'balikbayan'
+  }
+
+  const exporter = toCustomsParty(booking.sender, route.origin)
+  const consignee = toCustomsParty(booking.receiver, route.destination)
+
+  return {
+    awb: booking.awb,
+    referenceNumber: booking.referenceNumber,
+    service: route.id,
+    generatedAt: date,
+    declaration: {
+      exporter: exporter,
+      consignee: consignee,
+      originCountry: route.origin.code,
+      destinationCountry: route.destination.code,
+      shipmentType: booking.sender?.shipmentType || null,
+      items: items,
+      totals: totals,
+      treatment: treatment,
+      dutyFree: treatment !== 'formal_entry',
+      checks: checks,
+      warnings: warnings
+    },
+    invoice: {
+      invoiceNumber: `CI-${booking.awb}`,
+      invoiceDate: booking.submittedAt || date,
+      seller: exporter,
+      buyer: consignee,
+      // Balikbayan boxes and gifts are not sold; the invoice states the value for customs only
+      reasonForExport: isDocument ? 'Documents' : (treatment === 'balikbayan' ? 'Personal effects (balikbayan box)' : 'Gift / personal use'),
+      incoterm: 'DAP',
+      currency: rules.valueCurrency,
+      items: items.map(item => ({
+        line: item.line,
+        description: item.description,
+        hsCode: item.hsCode,
+        quantity: item.quantity,
+        unitValue: item.unitValue,
+        totalValue: item.totalValue,
+        originCountry: item.originCountry
+      })),
+      total: value
+    }
+  }
+}
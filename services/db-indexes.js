@@ -0,0 +1,56 @@
+/**
+ * Database Indexes
+ * Creates the indexes the API relies on. createIndex is a no-op when an index
+ * with the same definition exists, so this runs on every cold start.
+ */
+
+/**
+ * Build the index definitions
+ * @param {Object} collections - Collection names
+ * @param {string} collections.bookings - Bookings collection
+ * @param {string} collections.otps - OTP collection
+ * @param {string} collections.rateLimits - OTP rate limit collection
+ * @param {string} collections.awbCounters - AWB counter collection
+ * @param {string} collections.rateCards - Rate card collection
+ * @param {string} collections.staff - Staff users collection
+ * @returns {Array<{collection: string, key: Object, options: Object}>} - Index definitions
+ */
+export function getIndexDefinitions({ bookings, otps, rateLimits, awbCounters, rateCards, staff }) {
+  return [
+    // Backstop for the AWB allocator; lookups by AWB use it too
+    { collection: bookings, key: { awb: 1 }, options: { name: 'awb_unique', unique: true } },
+    // Admin booking list: newest first, paged by the (submittedAt, _id) cursor
+    { collection: bookings, key: { submittedAt: -1, _id: -1 }, options: { name: 'submittedAt_id' } },
+    // Duty-free balikbayan box count per sender and year (customs documents)
+    { collection: bookings, key: { 'sender.phoneNumber': 1, submittedAt: 1 }, options: { name: 'senderPhone_submittedAt' } },
+    // OTP documents are removed by MongoDB once expired (verified ones once their token expires)
+    { collection: otps, key: { expiresAt: 1 }, options: { name: 'expiresAt_ttl', expireAfterSeconds: 0 } },
+    { collection: otps, key: { phoneNumber: 1, verified: 1 }, options: { name: 'phoneNumber_verified' } },
+    { collection: rateLimits, key: { expiresAt: 1 }, options: { name: 'expiresAt_ttl', expireAfterSeconds: 0 } },
+    { collection: awbCounters, key: { expiresAt: 1 }, options: { name: 'expiresAt_ttl', expireAfterSeconds: 0 } },
+    // Rate card in effect for a service
+    { collection: rateCards, key: { service: 1, effectiveFrom: -1 }, options: { name: 'service_effectiveFrom' } },
+    { collection: staff, key: { email: 1 }, options: { unique: true } }
+  ]
+}
+
+/**
+ * Ensure all indexes exist
+ * A failing index is reported and does not stop the others
+ * @param {Db} db - MongoDB database
+ * @param {Object} collections - Collection names (see getIndexDefinitions)
+ * @returns {Promise<Array<{collection: string, name: string, error: string}>>} - Indexes that could not be created
+ */
+export async function ensureIndexes(db, collections) {
+  const failures = []
+
+  for (const { collection, key, options } of getIndexDefinitions(collections)) {
+    try {
+      await db.collection(collection).createIndex(key, options)
+    } catch (error) {
+      failures.push({ collection, name: options.name || Object.keys(key).join('_'), error: error.message })
+    }
+  }
+
+  return failures
+}
@@ -0,0 +1,164 @@
+/**
+ * Emirates ID Verification
+ * Reads the Emirates ID images of a booking and checks the holder's name against
+ * the party in the UAE (the route's eidHolder: sender for UAE to PH, receiver for PH to UAE)
+ *
+ * Policies:
+ * - off: no verification, images are stored as uploaded
+ * - flag: mismatches are recorded and the booking is flagged for manual review
+ * - reject: bookings are rejected when the images are not an Emirates ID or the name does not match
+ */
+
+import dotenv from 'dotenv'
+import { getOcrProvider } from './ocr-providers.js'
+import { identifyEmiratesID } from './longcat-ocr.js'
+import { parseEmiratesIdText } from './emirates-id.js'
+import { compareNames } from './name-match.js'
+
+dotenv.config()
+
+export const EID_VERIFICATION_POLICIES = ['off', 'flag', 'reject']
+
+// Opt-in: set EID_OCR_ENABLED=true to read Emirates ID images on booking submission (an OCR call per booking)
+const EID_OCR_ENABLED = process.env.EID_OCR_ENABLED === 'true'
+
+// Default policy; routes can override it (eidVerificationPolicy in the route registry)
+const EID_VERIFICATION_POLICY = process.env.EID_VERIFICATION_POLICY || 'off'
+
+// Below this compareNames confidence neither first nor last name matched
+const NAME_MISMATCH_CONFIDENCE = 0.5
+
+/**
+ * Check if Emirates ID images are read on booking submission
+ */
+export function isEmiratesIdOcrEnabled() {
+  return EID_OCR_ENABLED
+}
+
+/**
+ * Get the verification policy for a route
+ * Unknown values fall back to 'flag' so a typo never silently disables verification
+ * @param {Object} route - Route from the route registry
+ * @returns {string} - 'off', 'flag' or 'reject'
+ */
+export function getEidVerificationPolicy(route) {
+  const policy = (route && route.eidVerificationPolicy) || EID_VERIFICATION_POLICY
+  if (!EID_VERIFICATION_POLICIES.includes(policy)) {
+    console.warn(`⚠️  Unknown EID verification policy "${policy}" - using "flag"`)
+    return 'flag'
+  }
+  return policy
+}
+
+/**
+ * OCR the Emirates ID images once, identify each side and parse the combined text
+ * Front and back are parsed together because the ID number and expiry may be on either side
+ * @param {Object[]} images - Normalized images ({ field, buffer, contentType }) for eidFrontImage/eidBackImage
+ * @param {Object} options - Options
+ * @param {Object} options.provider - OCR provider (default: OCR_PROVIDER)
+ * @returns {Promise<Object>} - Parsed fields plus { provider, front, back }, where
+ *          front/back are the side identification results (null if the image was not provided)
+ */
+export async function readEmiratesId(images, { provider = getOcrProvider() } = {}) {
+  const sides = { front: null, back: null }
+  const texts = []
+  let providerName = null
+
+  for (const image of images) {
+    const dataUrl = `data:${image.contentType};base64,${image.buffer.toString('base64')}`
+    const ocrResult = await provider.recognize(dataUrl)
+    texts.push(ocrResult.text || '')
+
+    const identification = identifyEmiratesID(ocrResult.text || '', ocrResult.identification || null)
+    const side = image.field === 'eidBackImage' ? 'back' : 'front'
+    sides[side] = identification
+
+    // Vision providers return the name directly; it is used when the text pattern finds none
+    if (!providerName && ocrResult.extractedName) providerName = ocrResult.extractedName
+  }
+
+  const fields = parseEmiratesIdText(texts.join('\n'))
+  return {
+    ...fields,
+    name: fields.name || providerName,
+    provider: provider.name,
+    front: sides.front,
+    back: sides.back
+  }
+}
+
+/**
+ * Verify Emirates ID images and holder name under a policy
+ * @param {Object} emiratesId - Result of readEmiratesId
+ * @param {Object} holder - Booking party expected on the card ({ firstName, lastName })
+ * @param {string} policy - 'flag' or 'reject'
+ * @returns {Object} - {
+ *   policy, isEmiratesId, isFrontValid, isFrontSide, isBackValid, isBackSide,
+ *   nameMatch, requiresReview, reviewReasons, rejectReason, verificationMessage
+ * } (isFront and isBack fields are null when that image was not provided)
+ */
+export function verifyEmiratesId(emiratesId, holder, policy) {
+  const { front, back } = emiratesId
+  const reviewReasons = []
+
+  const isFrontValid = front ? front.isEmiratesID : null
+  const isBackValid = back ? back.isEmiratesID : null
+  const isFrontSide = front ? front.isEmiratesID && front.side === 'front' : null
+  const isBackSide = back ? back.isEmiratesID && back.side === 'back' : null
+
+  if (isFrontValid === false) reviewReasons.push('Front image is not recognized as an Emirates ID')
+  if (isBackValid === false) reviewReasons.push('Back image is not recognized as an Emirates ID')
+  if (isFrontValid && !isFrontSide) reviewReasons.push('Front image may not be the front side')
+  if (isBackValid && !isBackSide) reviewReasons.push('Back image may not be the back side')
+
+  const nameMatch = compareNames(emiratesId.name, holder?.firstName, holder?.lastName)
+  const nameMismatch = !!emiratesId.name && !nameMatch.matches && nameMatch.confidence < NAME_MISMATCH_CONFIDENCE
+  if (!nameMatch.matches) reviewReasons.push(nameMatch.message)
+
+  if (emiratesId.idNumber && !emiratesId.idNumberValid) reviewReasons.push(emiratesId.idNumberReason)
+
+  // Only clear failures are rejected; partial matches and unreadable fields go to manual review
+  let rejectReason = null
+  if (policy === 'reject') {
+    if (isFrontValid === false) rejectReason = 'front_not_eid'
+    else if (isBackValid === false) rejectReason = 'back_not_eid'
+    else if (nameMismatch) rejectReason = 'name_mismatch'
+  }
+
+  return {
+    policy: policy,
+    isEmiratesId: isFrontValid !== false && isBackValid !== false,
+    isFrontValid: isFrontValid,
+    isFrontSide: isFrontSide,
+    isBackValid: isBackValid,
+    isBackSide: isBackSide,
+    nameMatch: nameMatch,
+    requiresReview: reviewReasons.length > 0,
+    reviewReasons: reviewReasons,
+    rejectReason: rejectReason,
+    verificationMessage: reviewReasons.length > 0 ? reviewReasons.join('; ') : nameMatch.message
+  }
+}
+
+/**
+ * Verification result for Emirates ID images that could not be read
+ * The booking is never rejected for this; it is flagged for manual review instead
+ * @param {string} policy - 'flag' or 'reject'
+ * @param {string} reason - Why the images could not be read
+ * @returns {Object} - Same shape as verifyEmiratesId
+ */
+export function unreadableEmiratesId(policy, reason) {
+  return {
+    policy: policy,
+    isEmiratesId: null,
+    isFrontValid: null,
+    isFrontSide: null,
+    isBackValid: null,
+    isBackSide: null,
+    nameMatch: null,
+    requiresReview: true,
+    reviewReasons: [reason],
+    rejectReason: null,
+    verificationMessage: reason
+  }
+}
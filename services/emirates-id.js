@@ -0,0 +1,200 @@
+/**
+ * Emirates ID Parser
+ * Extracts structured fields from Emirates ID OCR text and validates the ID number
+ *
+ * ID number format: 784-YYYY-NNNNNNN-C (15 digits)
+ * - 784: ISO 3166 numeric code of the UAE
+ * - YYYY: holder's year of birth
+ * - C: Luhn check digit over the first 14 digits
+ */
+
+import { extractNameFromText } from './name-match.js'
+
+const UAE_COUNTRY_PREFIX = '784'
+
+// Characters OCR engines commonly read in place of digits
+const OCR_DIGIT_FIXES = { O: '0', o: '0', D: '0', Q: '0', I: '1', l: '1', '|': '1', Z: '2', S: '5', s: '5', B: '8', G: '6' }
+
+/**
+ * Check a digit string with the Luhn (mod 10) algorithm
+ * @param {string} digits - Digits including the check digit
+ * @returns {boolean} - True if the check digit is correct
+ */
+export function isLuhnValid(digits) {
+  if (!/^\d+$/.test(digits)) return false
+
+  let sum = 0
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i])
+    if (i % 2 === 1) {
+      digit *= 2
+      if (digit > 9) digit -= 9
+    }
+    sum += digit
+  }
+  return sum % 10 === 0
+}
+
+/**
+ * Validate an Emirates ID number
+ * @param {string} idNumber - ID number, with or without dashes
+ * @returns {{valid: boolean, reason: string|null}} - Validation result
+ */
+export function validateEmiratesIdNumber(idNumber) {
+  const digits = String(idNumber || '').replace(/[\s-]/g, '')
+
+  if (!/^\d{15}$/.test(digits)) {
+    return { valid: false, reason: 'ID number must have 15 digits' }
+  }
+  if (!digits.startsWith(UAE_COUNTRY_PREFIX)) {
+    return { valid: false, reason: 'ID number must start with 784' }
+  }
+
+  const birthYear = Number(digits.slice(3, 7))
+  if (birthYear < 1900 || birthYear > new Date().getFullYear()) {
+    return { valid: false, reason: 'ID number contains an invalid year of birth' }
+  }
+
+  if (!isLuhnValid(digits)) {
+    return { valid: false, reason: 'ID number check digit is invalid' }
+  }
+
+  return { valid: true, reason: null }
+}
+
+/**
+ * Format 15 digits as 784-YYYY-NNNNNNN-C
+ * @param {string} digits - 15-digit ID number
+ * @returns {string} - Formatted ID number
+ */
+export function formatEmiratesIdNumber(digits) {
+  return `${digits.slice(0, 3)}-${digits.slice(3, 7)}-${digits.slice(7, 14)}-${digits.slice(14)}`
+}
+
+/**
+ * Find the ID number in OCR text
+ * Candidates that pass validation are preferred over ones that only look like an ID number
+ * @param {string} text - OCR text
+ * @returns {{idNumber: string, valid: boolean, reason: string|null}|null} - Best candidate or null
+ */
+function findIdNumber(text) {
+  // 15 digit-like characters, optionally grouped 3-4-7-1 with dashes or spaces
+  const pattern = /[0-9OoDQIl|ZSsBG]{3}[\s-]?[0-9OoDQIl|ZSsBG]{4}[\s-]?[0-9OoDQIl|ZSsBG]{7}[\s-]?[0-9OoDQIl|ZSsBG]/g
+  const candidates = []
+
+  for (const match of text.matchAll(pattern)) {
+    const digits = match[0]
+      .replace(/[\s-]/g, '')
+      .split('')
+      .map(c => OCR_DIGIT_FIXES[c] || c)
+      .join('')
+
+    // Require mostly real digits so ordinary words are not mistaken for ID numbers
+    const realDigits = match[0].replace(/[^0-9]/g, '').length
+    if (!/^\d{15}$/.test(digits) || realDigits < 12) continue
+
+    candidates.push({ digits, ...validateEmiratesIdNumber(digits) })
+
+    // One misread prefix digit (e.g. 184 for 784) is corrected only when the check digit confirms it
+    const prefixErrors = [...digits.slice(0, 3)].filter((d, i) => d !== UAE_COUNTRY_PREFIX[i]).length
+    if (prefixErrors === 1) {
+      const corrected = UAE_COUNTRY_PREFIX + digits.slice(3)
+      const result = validateEmiratesIdNumber(corrected)
+      if (result.valid) candidates.push({ digits: corrected, ...result })
+    }
+  }
+
+  if (candidates.length === 0) return null
+
+  const best = candidates.find(c => c.valid) || candidates[0]
+  return { idNumber: formatEmiratesIdNumber(best.digits), valid: best.valid, reason: best.reason }
+}
+
+/**
+ * Parse a date as written on an Emirates ID
+ * @param {string} value - dd/mm/yyyy, dd-mm-yyyy, dd.mm.yyyy or yyyy-mm-dd
+ * @returns {string|null} - ISO date (YYYY-MM-DD) or null
+ */
+function parseCardDate(value) {
+  let day, month, year
+  let match = value.match(/(\d{4})[/.-](\d{1,2})[/.-](\d{1,2})/)
+  if (match) {
+    [, year, month, day] = match
+  } else {
+    match = value.match(/(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})/)
+    if (!match) return null
+    ;[, day, month, year] = match
+  }
+
+  const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)))
+  if (date.getUTCDate() !== Number(day) || date.getUTCMonth() !== Number(month) - 1) {
+    return null
+  }
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * Find a date that follows one of the given labels
+ * @param {string} text - OCR text
+ * @param {RegExp[]} labels - Label patterns
+ * @returns {string|null} - ISO date or null
+ */
+function findLabelledDate(text, labels) {
+  for (const label of labels) {
+    const match = text.match(new RegExp(`${label.source}[^0-9]{0,20}([0-9]{1,4}[/.-][0-9]{1,2}[/.-][0-9]{1,4})`, 'i'))
+    if (match) {
+      const date = parseCardDate(match[1])
+      if (date) return date
+    }
+  }
+  return null
+}
+
+/**
+ * Find the nationality field
+ * @param {string} text - OCR text
+ * @returns {string|null} - Nationality in uppercase or null
+ */
+function findNationality(text) {
+  const match = text.match(/nationality\s*[:.]?\s*([A-Za-z][A-Za-z ]{2,40})/i)
+  if (!match) return null
+  const nationality = match[1].split(/\s{2,}|\n/)[0].trim().toUpperCase()
+  return nationality || null
+}
+
+/**
+ * Check if an expiry date is in the past
+ * @param {string} expiryDate - ISO date (YYYY-MM-DD)
+ * @param {Date} now - Reference time
+ * @returns {boolean} - True if the card expired before today
+ */
+export function isEmiratesIdExpired(expiryDate, now = new Date()) {
+  if (!expiryDate) return false
+  return expiryDate < now.toISOString().slice(0, 10)
+}
+
+/**
+ * Extract structured fields from Emirates ID OCR text (front and/or back)
+ * @param {string} text - OCR text
+ * @returns {Object} - {
+ *   idNumber, idNumberValid, idNumberReason, name, nationality, dateOfBirth, expiryDate, expired
+ * } (fields that could not be read are null)
+ */
+export function parseEmiratesIdText(text) {
+  const source = typeof text === 'string' ? text : ''
+
+  const id = findIdNumber(source)
+  const dateOfBirth = findLabelledDate(source, [/date\s+of\s+birth/, /birth\s+date/, /\bdob\b/])
+  const expiryDate = findLabelledDate(source, [/date\s+of\s+expiry/, /expiry\s+date/, /expiry/, /valid\s+until/])
+
+  return {
+    idNumber: id ? id.idNumber : null,
+    idNumberValid: id ? id.valid : false,
+    idNumberReason: id ? id.reason : 'ID number not found',
+    name: extractNameFromText(source),
+    nationality: findNationality(source),
+    dateOfBirth: dateOfBirth,
+    expiryDate: expiryDate,
+    expired: isEmiratesIdExpired(expiryDate)
+  }
+}
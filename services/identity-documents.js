@@ -0,0 +1,197 @@
+/**
+ * Identity Documents Service
+ * Validates identity images from the booking request, moves them into the blob store
+ * and builds the identityDocuments sub-document (content hashes and metadata only)
+ */
+
+import { validateAndNormalizeImage } from './image-validation.js'
+
+// Single-image fields on the booking request
+export const IDENTITY_IMAGE_FIELDS = ['eidFrontImage', 'eidBackImage', 'philippinesIdFront', 'philippinesIdBack']
+
+/**
+ * Decode an image data URL (or bare base64 string)
+ * @param {string} value - Data URL (data:image/jpeg;base64,...) or base64 string
+ * @returns {{buffer: Buffer, contentType: string}|null} - Decoded image or null if not decodable
+ */
+export function parseImageDataUrl(value) {
+  if (!value || typeof value !== 'string') return null
+
+  const match = value.match(/^data:(image\/[a-z+.-]+);base64,/i)
+  const contentType = match ? match[1].toLowerCase() : 'image/jpeg'
+  const base64Data = match ? value.slice(match[0].length) : value
+
+  if (!/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(base64Data)) return null
+
+  const buffer = Buffer.from(base64Data, 'base64')
+  if (buffer.length === 0) return null
+
+  return { buffer, contentType }
+}
+
+/**
+ * Collect the identity images present on a booking request
+ * @param {Object} bookingData - Booking request body
+ * @returns {Array<{field: string, value: string}>} - Images with their request field path
+ */
+export function collectIdentityImages(bookingData) {
+  const images = []
+
+  for (const field of IDENTITY_IMAGE_FIELDS) {
+    if (bookingData[field]) {
+      images.push({ field, value: bookingData[field] })
+    }
+  }
+
+  // customerImage is the single-image form kept for backward compatibility
+  const customerImages = Array.isArray(bookingData.customerImages) && bookingData.customerImages.length > 0
+    ? bookingData.customerImages
+    : (bookingData.customerImage ? [bookingData.customerImage] : [])
+  customerImages.forEach((value, index) => {
+    images.push({ field: `customerImages[${index}]`, value })
+  })
+
+  return images
+}
+
+/**
+ * Decode, validate and normalize every identity image of a booking request
+ * @param {Object} bookingData - Booking request body
+ * @returns {Promise<{images: Object[], errors: Object[]}>} - Normalized images, and
+ *          { field, code, message } for every image that was rejected
+ */
+export async function prepareIdentityImages(bookingData) {
+  const images = []
+  const errors = []
+
+  for (const { field, value } of collectIdentityImages(bookingData)) {
+    const decoded = parseImageDataUrl(value)
+    if (!decoded) {
+      errors.push({ field, code: 'invalid_encoding', message: 'Image must be a base64 data URL' })
+      continue
+    }
+
+    // Processed one at a time to keep memory bounded on large submissions
+    const result = await validateAndNormalizeImage(decoded.buffer)
+    if (!result.valid) {
+      errors.push({ field, code: result.code, message: result.message })
+      continue
+    }
+
+    images.push({
+      field,
+      buffer: result.buffer,
+      contentType: result.contentType,
+      width: result.width,
+      height: result.height
+    })
+  }
+
+  return { images, errors }
+}
+
+/**
+ * Store prepared identity images in the blob store
+ * @param {Object[]} images - Images from prepareIdentityImages
+ * @param {Object} blobStore - Blob store from createBlobStore
+ * @returns {Promise<{identityDocuments: Object, createdHashes: string[]}>} - identityDocuments fields holding
+ *          blob references, and the hashes of blobs this call created (see deleteUnreferencedImages)
+ */
+export async function storeIdentityImages(images, blobStore) {
+  const storedAt = new Date()
+  const documents = {}
+  const customerImages = []
+  const createdHashes = []
+
+  for (const { field, buffer, contentType, width, height } of images) {
+    const { created, ...stored } = await blobStore.put(buffer, { contentType })
+    const ref = { ...stored, width, height, storedAt }
+    if (created) createdHashes.push(ref.hash)
+
+    if (field.startsWith('customerImages[')) {
+      customerImages.push(ref)
+    } else {
+      documents[field] = ref
+    }
+  }
+
+  return {
+    identityDocuments: {
+      eidFrontImage: documents.eidFrontImage || null,
+      eidBackImage: documents.eidBackImage || null,
+      // Philippines ID documents are only included when provided
+      ...(documents.philippinesIdFront && { philippinesIdFront: documents.philippinesIdFront }),
+      ...(documents.philippinesIdBack && { philippinesIdBack: documents.philippinesIdBack }),
+      customerImage: customerImages[0] || null, // Single image for backward compatibility
+      customerImages: customerImages
+    },
+    createdHashes: [...new Set(createdHashes)]
+  }
+}
+
+/**
+ * Delete blobs that no booking references, after a booking could not be saved
+ * Blobs are shared by content, so only blobs created for the failed booking are candidates,
+ * and a blob another booking has since referenced is kept
+ * @param {string[]} hashes - Hashes from storeIdentityImages (createdHashes)
+ * @param {Object} blobStore - Blob store from createBlobStore
+ * @param {Collection} bookings - Bookings collection
+ * @returns {Promise<string[]>} - Deleted hashes
+ */
+export async function deleteUnreferencedImages(hashes, blobStore, bookings) {
+  const deleted = []
+
+  for (const hash of hashes) {
+    const referenced = await bookings.countDocuments({
+      $or: [
+        ...[...IDENTITY_IMAGE_FIELDS, 'customerImage'].map(field => ({ [`identityDocuments.${field}.hash`]: hash })),
+        { 'identityDocuments.customerImages.hash': hash }
+      ]
+    }, { limit: 1 })
+    if (referenced === 0) {
+      await blobStore.delete(hash)
+      deleted.push(hash)
+    }
+  }
+
+  return deleted
+}
+
+/**
+ * List every blob reference held by a booking's identityDocuments
+ * Legacy bookings hold inline base64 strings, which are skipped
+ * @param {Object} identityDocuments - Booking identityDocuments sub-document
+ * @returns {Object[]} - Blob references
+ */
+export function listImageRefs(identityDocuments) {
+  if (!identityDocuments) return []
+
+  const candidates = [
+    ...IDENTITY_IMAGE_FIELDS.map(field => identityDocuments[field]),
+    identityDocuments.customerImage,
+    ...(Array.isArray(identityDocuments.customerImages) ? identityDocuments.customerImages : [])
+  ]
+
+  return candidates.filter(ref => ref && typeof ref === 'object' && typeof ref.hash === 'string')
+}
+
+/**
+ * Replace legacy inline base64 images with a placeholder for staff views
+ * Blob references are kept so images can be fetched from the image endpoint
+ * @param {Object} identityDocuments - Booking identityDocuments sub-document
+ * @returns {Object|null} - identityDocuments without inline image data
+ */
+export function withoutInlineImages(identityDocuments) {
+  if (!identityDocuments) return null
+
+  const strip = value => (typeof value === 'string' ? { inline: true, length: value.length } : value)
+
+  const result = { ...identityDocuments }
+  for (const field of [...IDENTITY_IMAGE_FIELDS, 'customerImage']) {
+    if (field in result) result[field] = strip(result[field])
+  }
+  if (Array.isArray(result.customerImages)) {
+    result.customerImages = result.customerImages.map(strip)
+  }
+  return result
+}
@@ -0,0 +1,135 @@
+/**
+ * Image Validation Service
+ * Validates uploaded ID photos (magic bytes, size, dimensions) and re-encodes them
+ * to a bounded resolution and quality with EXIF metadata stripped
+ */
+
+import sharp from 'sharp'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// Image Limits Configuration
+const IMAGE_MAX_BYTES = Number(process.env.IMAGE_MAX_BYTES) || 10 * 1024 * 1024 // Decoded size
+const IMAGE_MIN_DIMENSION = Number(process.env.IMAGE_MIN_DIMENSION) || 200
+const IMAGE_MAX_DIMENSION = Number(process.env.IMAGE_MAX_DIMENSION) || 8000
+const IMAGE_OUTPUT_MAX_DIMENSION = Number(process.env.IMAGE_OUTPUT_MAX_DIMENSION) || 2000
+const IMAGE_OUTPUT_QUALITY = Number(process.env.IMAGE_OUTPUT_QUALITY) || 85
+
+// Accepted formats, identified by their leading bytes
+const IMAGE_SIGNATURES = [
+  { type: 'jpeg', contentType: 'image/jpeg', matches: b => b.length >= 3 && b[0] === 0xFF && b[1] === 0xD8 && b[2] === 0xFF },
+  {
+    type: 'png',
+    contentType: 'image/png',
+    matches: b => b.length >= 8 && b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]))
+  },
+  {
+    type: 'webp',
+    contentType: 'image/webp',
+    matches: b => b.length >= 12 && b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WEBP'
+  }
+]
+
+/**
+ * Identify an image format from its magic bytes
+ * @param {Buffer} buffer - Decoded image bytes
+ * @returns {{type: string, contentType: string}|null} - Detected format or null if not an accepted image
+ */
+export function detectImageType(buffer) {
+  const signature = IMAGE_SIGNATURES.find(s => s.matches(buffer))
+  return signature ? { type: signature.type, contentType: signature.contentType } : null
+}
+
+/**
+ * Get the configured image limits
+ */
+export function getImageLimits() {
+  return {
+    maxBytes: IMAGE_MAX_BYTES,
+    minDimension: IMAGE_MIN_DIMENSION,
+    maxDimension: IMAGE_MAX_DIMENSION,
+    outputMaxDimension: IMAGE_OUTPUT_MAX_DIMENSION,
+    outputQuality: IMAGE_OUTPUT_QUALITY
+  }
+}
+
+/**
+ * Validate a decoded image and re-encode it as a bounded, metadata-free JPEG
+ * @param {Buffer} buffer - Decoded image bytes
+ * @returns {Promise<Object>} - { valid: true, buffer, contentType, width, height, sourceType }
+ *                              or { valid: false, code, message }
+ */
+export async function validateAndNormalizeImage(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    return { valid: false, code: 'empty', message: 'Image is empty' }
+  }
+
+  if (buffer.length > IMAGE_MAX_BYTES) {
+    return {
+      valid: false,
+      code: 'too_large',
+      message: `Image must not exceed ${Math.floor(IMAGE_MAX_BYTES / (1024 * 1024))} MB`
+    }
+  }
+
+  const detected = detectImageType(buffer)
+  if (!detected) {
+    return { valid: false, code: 'unsupported_type', message: 'Image must be a JPEG, PNG or WebP file' }
+  }
+
+  let metadata
+  try {
+    // limitInputPixels guards against decompression bombs before any pixels are decoded
+    metadata = await sharp(buffer, { limitInputPixels: IMAGE_MAX_DIMENSION * IMAGE_MAX_DIMENSION }).metadata()
+  } catch (error) {
+    return { valid: false, code: 'corrupt', message: 'Image could not be decoded' }
+  }
+
+  const { width, height } = metadata
+  if (!width || !height) {
+    return { valid: false, code: 'corrupt', message: 'Image could not be decoded' }
+  }
+
+  if (width > IMAGE_MAX_DIMENSION || height > IMAGE_MAX_DIMENSION) {
+    return {
+      valid: false,
+      code: 'dimensions_too_large',
+      message: `Image dimensions must not exceed ${IMAGE_MAX_DIMENSION}x${IMAGE_MAX_DIMENSION} pixels`
+    }
+  }
+
+  if (width < IMAGE_MIN_DIMENSION || height < IMAGE_MIN_DIMENSION) {
+    return {
+      valid: false,
+      code: 'dimensions_too_small',
+      message: `Image must be at least ${IMAGE_MIN_DIMENSION}x${IMAGE_MIN_DIMENSION} pixels`
+    }
+  }
+
+  try {
+    // rotate() applies the EXIF orientation; metadata (EXIF, GPS, ICC) is not copied to the output
+    const { data, info } = await sharp(buffer, { limitInputPixels: IMAGE_MAX_DIMENSION * IMAGE_MAX_DIMENSION })
+      .rotate()
+      .resize({
+        width: IMAGE_OUTPUT_MAX_DIMENSION,
+        height: IMAGE_OUTPUT_MAX_DIMENSION,
+        fit: 'inside',
+        withoutEnlargement: true
+      })
+      .flatten({ background: '#ffffff' })
+      .jpeg({ quality: IMAGE_OUTPUT_QUALITY, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true })
+
+    return {
+      valid: true,
+      buffer: data,
+      contentType: 'image/jpeg',
+      width: info.width,
+      height: info.height,
+      sourceType: detected.type
+    }
+  } catch (error) {
+    return { valid: false, code: 'corrupt', message: 'Image could not be decoded' }
+  }
+}
@@ -1,63 +1,48 @@
 /**
  * OCR Service
- * Handles image OCR processing using OpenAI Vision API (ChatGPT)
+ * Handles image OCR processing through the configured OCR provider
+ * (local Tesseract by default, OpenAI Vision optional - see ocr-providers.js)
  * Identifies Emirates ID front/back sides
  */
 
-import { extractTextAndIdentify as openaiExtract } from './openai-ocr.js'
-
-// Re-export for use in processEmiratesID
-export { openaiExtract }
-import dotenv from 'dotenv'
-
-dotenv.config()
-
-console.log(`🤖 Using OpenAI Vision API for OCR and Emirates ID identification`)
+import { getOcrProvider } from './ocr-providers.js'
+import { parseEmiratesIdText } from './emirates-id.js'
 
 /**
- * Extract text from image using OpenAI Vision
+ * Extract text from image using the configured OCR provider
  * @param {string} imageBase64 - Base64 encoded image (with or without data URL prefix)
+ * @param {Object} options - Options
+ * @param {Object} options.provider - OCR provider (default: OCR_PROVIDER)
  * @returns {Promise<string>} - Extracted text from the image
  */
-export async function extractTextFromImage(imageBase64) {
+export async function extractTextFromImage(imageBase64, { provider = getOcrProvider() } = {}) {
   try {
-    console.log('🔍 Starting OpenAI Vision OCR extraction...')
-    
-    // Extract text and get identification using OpenAI
-    const result = await openaiExtract(imageBase64)
-    
-    console.log(`✅ OCR extraction completed (${result.text.length} characters)`)
+    const result = await provider.recognize(imageBase64)
     return result.text
-
   } catch (error) {
-    console.error('❌ OpenAI Vision OCR error:', error.message)
-    console.error('\n💡 Troubleshooting:')
-    console.error('   1. Ensure OPENAI_API_KEY is set in .env file')
-    console.error('   2. Check your OpenAI API key is valid and has credits')
-    console.error('   3. Verify you have access to GPT-4 Vision models')
     throw new Error(`OCR extraction failed: ${error.message}`)
   }
 }
 
 /**
  * Identify if the extracted text is from an Emirates ID
- * Uses OpenAI's identification if available, otherwise falls back to pattern matching
+ * Uses the provider's identification if available (OpenAI Vision), otherwise pattern matching
  * @param {string} extractedText - Text extracted from the image
- * @param {Object} openaiResult - Result from OpenAI if available
+ * @param {Object} providerIdentification - Identification from the OCR provider, if any
  * @returns {Object} - { isEmiratesID: boolean, side: 'front' | 'back' | 'unknown', confidence: number }
  */
-export function identifyEmiratesID(extractedText, openaiResult = null) {
-  // If OpenAI already identified it, use that result
-  if (openaiResult && openaiResult.isEmiratesID !== undefined) {
+export function identifyEmiratesID(extractedText, providerIdentification = null) {
+  // If the OCR provider already identified it, use that result
+  if (providerIdentification && providerIdentification.isEmiratesID !== undefined) {
     return {
-      isEmiratesID: openaiResult.isEmiratesID,
-      side: openaiResult.side || 'unknown',
-      confidence: openaiResult.confidence || 0.8,
-      reason: openaiResult.reason || 'Identified by OpenAI Vision'
+      isEmiratesID: providerIdentification.isEmiratesID,
+      side: providerIdentification.side || 'unknown',
+      confidence: providerIdentification.confidence || 0.8,
+      reason: providerIdentification.reason || 'Identified by OCR provider'
     }
   }
   
-  // Fallback to pattern matching if OpenAI result not available
+  // Keyword and pattern matching on the OCR text (local providers)
   if (!extractedText || typeof extractedText !== 'string') {
     return {
       isEmiratesID: false,
@@ -101,9 +86,8 @@ export function identifyEmiratesID(extractedText, openaiResult = null) {
     text.includes(indicator)
   )
 
-  // Check for UAE-specific patterns (15-digit ID number)
-  const hasUAEIdPattern = /\b\d{15}\b/.test(extractedText) || 
-                          /\b\d{3}-\d{4}-\d{7}-\d{1}\b/.test(extractedText)
+  // Check for a UAE ID number (784 prefix and valid check digit)
+  const hasUAEIdPattern = parseEmiratesIdText(extractedText).idNumberValid
 
   // Check for Arabic text indicators (Emirates ID has Arabic text)
   const hasArabicIndicators = /[\u0600-\u06FF]/.test(extractedText)
@@ -175,31 +159,30 @@ export function identifyEmiratesID(extractedText, openaiResult = null) {
 }
 
 /**
- * Process image and identify Emirates ID using OpenAI Vision
+ * Process image and identify Emirates ID using the configured OCR provider
  * @param {string} imageBase64 - Base64 encoded image
+ * @param {Object} options - Options
+ * @param {Object} options.provider - OCR provider (default: OCR_PROVIDER)
  * @returns {Promise<Object>} - OCR result with identification
  */
-export async function processEmiratesID(imageBase64) {
+export async function processEmiratesID(imageBase64, { provider = getOcrProvider() } = {}) {
   try {
-    console.log('🔍 Processing image for Emirates ID identification...')
-    
-    // Extract text and identify using OpenAI Vision (does both in one call)
-    const openaiResult = await openaiExtract(imageBase64)
+    const ocrResult = await provider.recognize(imageBase64)
     
-    // Use OpenAI's identification result
-    const identification = identifyEmiratesID(openaiResult.text, openaiResult)
+    const identification = identifyEmiratesID(ocrResult.text, ocrResult.identification || null)
     
     return {
       success: true,
-      extractedText: openaiResult.text,
-      extractedName: openaiResult.extractedName || null, // Pass through extracted name
+      provider: provider.name,
+      extractedText: ocrResult.text,
+      extractedName: ocrResult.extractedName || null, // Only set by providers that extract names
       identification: identification,
       requiresBackSide: identification.isEmiratesID && identification.side === 'front'
     }
   } catch (error) {
-    console.error('❌ Error processing Emirates ID:', error.message)
     return {
       success: false,
+      provider: provider.name,
       error: error.message,
       extractedName: null,
       identification: {
@@ -0,0 +1,133 @@
+/**
+ * Mailer
+ * Common interface for sending email (OTPs and notifications)
+ *
+ * A mailer is { name, send({ to, subject, text }) } where send resolves to
+ * { provider, messageId } once the message was accepted, and throws otherwise.
+ *
+ * Mailers (MAIL_PROVIDER):
+ * - smtp: any SMTP server via nodemailer (default, requires SMTP_HOST)
+ * - outbox: appends messages to a local JSON Lines file instead of sending them (development and tests)
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import nodemailer from 'nodemailer'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// Mail Configuration
+const MAIL_PROVIDER = process.env.MAIL_PROVIDER || 'smtp'
+const MAIL_FROM = process.env.MAIL_FROM || 'KN Express <no-reply@knexpress.ae>'
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || './storage/outbox'
+
+// SMTP Configuration
+const SMTP_HOST = process.env.SMTP_HOST
+const SMTP_PORT = Number(process.env.SMTP_PORT) || 587
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true' // true for port 465
+const SMTP_USER = process.env.SMTP_USER
+const SMTP_PASSWORD = process.env.SMTP_PASSWORD
+
+/**
+ * Create the SMTP mailer
+ * @param {Object} options - Options
+ * @param {string} options.host - SMTP host
+ * @param {number} options.port - SMTP port
+ * @param {boolean} options.secure - Use TLS from the start (port 465)
+ * @param {string} options.user - SMTP user (optional)
+ * @param {string} options.password - SMTP password (optional)
+ * @param {string} options.from - From address
+ * @returns {Object} - Mailer
+ */
+export function createSmtpMailer({ host, port, secure, user, password, from }) {
+  let transport = null
+
+  return {
+    name: 'smtp',
+
+    async send({ to, subject, text }) {
+      if (!host) {
+        throw new Error('SMTP_HOST is not configured')
+      }
+      if (!transport) {
+        transport = nodemailer.createTransport({
+          host: host,
+          port: port,
+          secure: secure,
+          auth: user ? { user: user, pass: password } : undefined,
+          connectionTimeout: 10000 // 10 second timeout
+        })
+      }
+
+      const info = await transport.sendMail({ from: from, to: to, subject: subject, text: text })
+      return { provider: 'smtp', messageId: info.messageId || null }
+    }
+  }
+}
+
+/**
+ * Create the outbox mailer
+ * Messages are appended to <directory>/mail-outbox.jsonl so email flows can be run without an SMTP server
+ * @param {Object} options - Options
+ * @param {string} options.directory - Outbox directory
+ * @param {string} options.from - From address
+ * @returns {Object} - Mailer
+ */
+export function createOutboxMailer({ directory, from }) {
+  const outboxFile = path.join(directory, 'mail-outbox.jsonl')
+
+  return {
+    name: 'outbox',
+
+    async send({ to, subject, text }) {
+      const messageId = `outbox-${crypto.randomUUID()}`
+      await fs.mkdir(directory, { recursive: true })
+      await fs.appendFile(outboxFile, JSON.stringify({ messageId, from, to, subject, text, sentAt: new Date().toISOString() }) + '\n')
+      return { provider: 'outbox', messageId }
+    }
+  }
+}
+
+let defaultMailer = null
+
+/**
+ * Get the mailer selected by MAIL_PROVIDER
+ * @returns {Object} - Mailer
+ */
+export function getMailer() {
+  if (!defaultMailer) {
+    switch (MAIL_PROVIDER) {
+      case 'smtp':
+        defaultMailer = createSmtpMailer({
+          host: SMTP_HOST,
+          port: SMTP_PORT,
+          secure: SMTP_SECURE,
+          user: SMTP_USER,
+          password: SMTP_PASSWORD,
+          from: MAIL_FROM
+        })
+        break
+      case 'outbox':
+        // The outbox holds OTPs in plain text and must never replace real delivery in production
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error('The outbox mailer cannot be used in production')
+        }
+        defaultMailer = createOutboxMailer({ directory: MAIL_OUTBOX_DIR, from: MAIL_FROM })
+        break
+      default:
+        throw new Error(`Unknown MAIL_PROVIDER: ${MAIL_PROVIDER}`)
+    }
+  }
+  return defaultMailer
+}
+
+/**
+ * Check an email address format
+ * @param {string} email - Email address
+ * @returns {boolean} - True if the address looks deliverable
+ */
+export function isValidEmailAddress(email) {
+  return typeof email === 'string' && email.length <= 254 && /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(email.trim())
+}
@@ -0,0 +1,235 @@
+/**
+ * Name Matching
+ * Fuzzy comparison of names read from identity documents with the names
+ * entered on a booking (tolerates OCR errors and middle names)
+ */
+
+/**
+ * Calculate Levenshtein distance between two strings
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {number} - Edit distance
+ */
+function levenshteinDistance(str1, str2) {
+  const len1 = str1.length
+  const len2 = str2.length
+  const matrix = Array(len1 + 1).fill(null).map(() => Array(len2 + 1).fill(0))
+  
+  for (let i = 0; i <= len1; i++) matrix[i][0] = i
+  for (let j = 0; j <= len2; j++) matrix[0][j] = j
+  
+  for (let i = 1; i <= len1; i++) {
+    for (let j = 1; j <= len2; j++) {
+      const cost = str1[i - 1] === str2[j - 1] ? 0 : 1
+      matrix[i][j] = Math.min(
+        matrix[i - 1][j] + 1,      // deletion
+        matrix[i][j - 1] + 1,      // insertion
+        matrix[i - 1][j - 1] + cost // substitution
+      )
+    }
+  }
+  
+  return matrix[len1][len2]
+}
+
+/**
+ * Check if two strings are similar enough (fuzzy match) to account for OCR errors
+ * @param {string} str1 - First string
+ * @param {string} str2 - Second string
+ * @returns {boolean} - True if strings are similar enough
+ */
+export function isSimilarName(str1, str2) {
+  if (!str1 || !str2) return false
+  
+  // Exact match
+  if (str1 === str2) return true
+  
+  const len1 = str1.length
+  const len2 = str2.length
+  
+  // If lengths are very different, not similar
+  if (Math.abs(len1 - len2) > 2) return false
+  
+  // Calculate edit distance
+  const distance = levenshteinDistance(str1, str2)
+  
+  // For short names (1-5 chars), allow 1 character difference
+  if (len1 <= 5 || len2 <= 5) {
+    return distance <= 1
+  }
+  
+  // For medium names (6-10 chars), allow 1-2 character differences
+  if (len1 <= 10 || len2 <= 10) {
+    return distance <= 2
+  }
+  
+  // For longer names, use similarity percentage (at least 85% similar)
+  const maxLen = Math.max(len1, len2)
+  const similarity = 1 - (distance / maxLen)
+  return similarity >= 0.85
+}
+
+/**
+ * Normalize name for comparison
+ * @param {string} name - Name to normalize
+ * @returns {string} - Normalized name
+ */
+export function normalizeName(name) {
+  if (!name || typeof name !== 'string') return ''
+  return name
+    .toUpperCase()
+    .trim()
+    .replace(/\s+/g, ' ')
+    .replace(/[^\w\s]/g, '') // Remove special characters
+}
+
+/**
+ * Extract name from OCR text if not already extracted
+ * @param {string} extractedText - Full OCR text
+ * @returns {string|null} - Extracted name or null
+ */
+export function extractNameFromText(extractedText) {
+  if (!extractedText || typeof extractedText !== 'string') return null
+  
+  // Look for name patterns
+  // Names stay on one line so the next field's label is not captured
+  const namePatterns = [
+    /name[ \t]+of[ \t]+holder[:\s]+([A-Z][A-Z \t]+)/i,
+    /name[:\s]+([A-Z][A-Z \t]+)/i,
+    /holder[:\s]+([A-Z][A-Z \t]+)/i,
+    /(?:^|\n)([A-Z]{2,}(?:\s+[A-Z]{2,}){1,3})(?:\n|$)/ // Standalone name lines
+  ]
+  
+  for (const pattern of namePatterns) {
+    const match = extractedText.match(pattern)
+    if (match && match[1]) {
+      const name = match[1].trim().toUpperCase()
+      // Validate it looks like a name (at least 2 words, reasonable length)
+      const parts = name.split(/\s+/).filter(p => p.length > 1)
+      if (parts.length >= 2 && name.length >= 4 && name.length <= 100) {
+        return name
+      }
+    }
+  }
+  
+  return null
+}
+
+/**
+ * Compare extracted name with provided first and last name
+ * @param {string} extractedName - Name extracted from OCR
+ * @param {string} providedFirstName - Provided first name
+ * @param {string} providedLastName - Provided last name
+ * @returns {Object} - Match result with confidence and message
+ */
+export function compareNames(extractedName, providedFirstName, providedLastName) {
+  if (!extractedName || !providedFirstName || !providedLastName) {
+    return {
+      matches: false,
+      confidence: 0,
+      message: 'Missing name information for comparison'
+    }
+  }
+  
+  // Normalize names
+  const normalizedExtracted = normalizeName(extractedName)
+  const normalizedProvidedFirst = normalizeName(providedFirstName)
+  const normalizedProvidedLast = normalizeName(providedLastName)
+  const normalizedProvidedFull = normalizeName(`${providedFirstName} ${providedLastName}`)
+  
+  // Split extracted name into parts
+  const extractedParts = normalizedExtracted.split(' ').filter(p => p.length > 0)
+  
+  if (extractedParts.length === 0) {
+    return {
+      matches: false,
+      confidence: 0,
+      message: 'Could not parse extracted name'
+    }
+  }
+  
+  // Check for exact match
+  if (normalizedExtracted === normalizedProvidedFull) {
+    return {
+      matches: true,
+      confidence: 1.0,
+      message: 'Name matches Emirates ID exactly'
+    }
+  }
+  
+  // Check first name match (first part) - using fuzzy matching for OCR errors
+  const extractedFirst = extractedParts[0]
+  const firstNameMatches = extractedFirst === normalizedProvidedFirst || 
+                           isSimilarName(extractedFirst, normalizedProvidedFirst)
+  
+  // Check last name match (last part is always the primary check)
+  // For names with multiple parts, the last part is typically the family name
+  const extractedLast = extractedParts[extractedParts.length - 1]
+  const lastNameMatches = extractedLast === normalizedProvidedLast || 
+                         isSimilarName(extractedLast, normalizedProvidedLast)
+  
+  // Calculate confidence
+  let confidence = 0
+  let matches = false
+  let message = ''
+  
+  if (firstNameMatches && lastNameMatches) {
+    matches = true
+    confidence = 0.95 // High confidence - both first and last match
+    message = 'Name matches Emirates ID'
+  } else if (firstNameMatches) {
+    matches = false
+    confidence = 0.65 // Medium confidence - only first name matches
+    message = 'First name matches but last name differs. Manual review recommended.'
+  } else if (lastNameMatches) {
+    matches = false
+    confidence = 0.65 // Medium confidence - only last name matches
+    message = 'Last name matches but first name differs. Manual review recommended.'
+  } else {
+    // Check for partial matches (e.g., "AHMED MOHAMMED ALI" vs "AHMED ALI")
+    // This handles cases where the extracted name has middle names
+    const extractedFirst = extractedParts[0]
+    const extractedLast = extractedParts[extractedParts.length - 1]
+    
+    // Check if provided first name matches the first part (with fuzzy matching)
+    const firstInExtracted = extractedParts[0] === normalizedProvidedFirst ||
+                            isSimilarName(extractedParts[0], normalizedProvidedFirst) ||
+                            extractedParts.some(part => isSimilarName(part, normalizedProvidedFirst))
+    
+    // Check if provided last name matches the last part (most common case)
+    // OR appears anywhere in the extracted name (for edge cases) - with fuzzy matching
+    const lastInExtracted = 
+      extractedParts[extractedParts.length - 1] === normalizedProvidedLast ||
+      isSimilarName(extractedParts[extractedParts.length - 1], normalizedProvidedLast) ||
+      extractedParts.some(part => isSimilarName(part, normalizedProvidedLast))
+    
+    if (firstInExtracted && lastInExtracted) {
+      // First name matches first part AND last name matches last part or appears in name
+      matches = true
+      confidence = 0.85 // High confidence - first and last match, middle names present
+      message = 'Name matches Emirates ID (with middle names)'
+    } else if (firstInExtracted) {
+      // Only first name matches
+      matches = false
+      confidence = 0.65 // Medium confidence - first matches but last differs
+      message = 'First name matches but last name differs. Manual review recommended.'
+    } else if (lastInExtracted) {
+      // Only last name matches
+      matches = false
+      confidence = 0.65 // Medium confidence - last matches but first differs
+      message = 'Last name matches but first name differs. Manual review recommended.'
+    } else {
+      // No match at all
+      matches = false
+      confidence = 0.2 // Low confidence - no match
+      message = 'Name on Emirates ID does not match provided name. Manual review required.'
+    }
+  }
+  
+  return {
+    matches,
+    confidence,
+    message
+  }
+}
+
@@ -0,0 +1,128 @@
+/**
+ * OCR Providers
+ * Common interface for OCR engines used for identity documents
+ *
+ * A provider is { name, recognize(imageBase64) } where recognize resolves to
+ * { text, confidence, identification?, extractedName? }. identification is only
+ * present when the engine classifies the document itself (OpenAI Vision); otherwise
+ * callers fall back to keyword and pattern matching on the text.
+ *
+ * Providers:
+ * - tesseract: Tesseract (WASM) running locally, no network required (default)
+ * - openai: OpenAI Vision (requires the openai package and OPENAI_API_KEY)
+ */
+
+import path from 'path'
+import { createRequire } from 'module'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+const require = createRequire(import.meta.url)
+
+// OCR Configuration
+const OCR_PROVIDER = process.env.OCR_PROVIDER || 'tesseract'
+const OCR_LANGUAGES = process.env.OCR_LANGUAGES || 'eng'
+// Bundled English traineddata (@tesseract.js-data/eng); set TESSERACT_LANG_PATH for other languages
+const TESSERACT_LANG_PATH = process.env.TESSERACT_LANG_PATH ||
+  path.join(path.dirname(require.resolve('@tesseract.js-data/eng/package.json')), '4.0.0_best_int')
+
+/**
+ * Strip a data URL prefix and decode the image
+ * @param {string} imageBase64 - Base64 image with or without data URL prefix
+ * @returns {Buffer} - Image bytes
+ */
+function decodeImage(imageBase64) {
+  return Buffer.from(imageBase64.replace(/^data:image\/[a-z+.-]+;base64,/i, ''), 'base64')
+}
+
+/**
+ * Create the local Tesseract provider
+ * The worker is created on first use and reused for later requests
+ * @param {Object} options - Options
+ * @param {string} options.languages - Tesseract language codes (e.g., 'eng' or 'eng+ara')
+ * @param {string} options.langPath - Directory containing <lang>.traineddata.gz
+ * @returns {Object} - OCR provider
+ */
+export function createTesseractProvider({ languages, langPath }) {
+  let workerPromise = null
+
+  const getWorker = () => {
+    if (!workerPromise) {
+      workerPromise = import('tesseract.js')
+        .then(({ createWorker }) => createWorker(languages, 1, {
+          langPath: langPath,
+          gzip: true,
+          // Serverless filesystems are read-only; keep traineddata in memory only
+          cacheMethod: 'none'
+        }))
+        .catch(error => {
+          workerPromise = null
+          throw error
+        })
+    }
+    return workerPromise
+  }
+
+  return {
+    name: 'tesseract',
+
+    async recognize(imageBase64) {
+      const worker = await getWorker()
+      const { data } = await worker.recognize(decodeImage(imageBase64))
+      return {
+        text: data.text || '',
+        confidence: typeof data.confidence === 'number' ? data.confidence / 100 : 0
+      }
+    }
+  }
+}
+
+/**
+ * Create the OpenAI Vision provider
+ * openai-ocr.js is loaded on first use so the openai package stays optional
+ * @returns {Object} - OCR provider
+ */
+export function createOpenAIProvider() {
+  return {
+    name: 'openai',
+
+    async recognize(imageBase64) {
+      const { extractTextAndIdentify } = await import('./openai-ocr.js')
+      const result = await extractTextAndIdentify(imageBase64)
+      return {
+        text: result.text,
+        confidence: result.confidence,
+        extractedName: result.extractedName || null,
+        identification: {
+          isEmiratesID: result.isEmiratesID,
+          side: result.side,
+          confidence: result.confidence,
+          reason: result.reason
+        }
+      }
+    }
+  }
+}
+
+let defaultProvider = null
+
+/**
+ * Get the OCR provider selected by OCR_PROVIDER
+ * @returns {Object} - OCR provider
+ */
+export function getOcrProvider() {
+  if (!defaultProvider) {
+    switch (OCR_PROVIDER) {
+      case 'tesseract':
+        defaultProvider = createTesseractProvider({ languages: OCR_LANGUAGES, langPath: TESSERACT_LANG_PATH })
+        break
+      case 'openai':
+        defaultProvider = createOpenAIProvider()
+        break
+      default:
+        throw new Error(`Unknown OCR_PROVIDER: ${OCR_PROVIDER}`)
+    }
+  }
+  return defaultProvider
+}
@@ -0,0 +1,221 @@
+/**
+ * OTP Rate Limiting
+ * Limits OTP generation per phone number, per client IP and per country calling code,
+ * and locks a phone number out after repeated failed verifications
+ *
+ * State is kept in MongoDB so limits hold across serverless instances:
+ * - cooldown:<channel>:<phone>  resend cooldown per delivery channel ({ until })
+ * - <scope>:<key>:<window>:<n>  fixed-window counters ({ count }) for the phone, ip and prefix
+ *                               limits, and for OTPs that ran out of verification attempts (failures)
+ * - lockout:<phone>             temporary lockout ({ until })
+ * Every document has an expiresAt so a TTL index can remove it.
+ *
+ * The cooldown is per channel so a customer whose SMS did not arrive can switch to a voice
+ * call or email right away; the counters are shared by all channels and resends.
+ * A request denied by a counter releases the cooldown it claimed, as no OTP is sent. All counters
+ * are checked before any is incremented, so a client denied by its IP limit cannot use up the
+ * quota of the phone number it asked for.
+ */
+
+import dotenv from 'dotenv'
+import { getCountryCallingCode } from './phone-number.js'
+import { readIntegerSetting } from './settings.js'
+
+dotenv.config()
+
+// Rate Limit Configuration
+const OTP_RESEND_COOLDOWN_SECONDS = readIntegerSetting('OTP_RESEND_COOLDOWN_SECONDS', 60, 0, 3600)
+const OTP_PHONE_HOURLY_LIMIT = readIntegerSetting('OTP_PHONE_HOURLY_LIMIT', 5, 1, 1000)
+const OTP_PHONE_DAILY_LIMIT = readIntegerSetting('OTP_PHONE_DAILY_LIMIT', 10, 1, 1000)
+const OTP_IP_HOURLY_LIMIT = readIntegerSetting('OTP_IP_HOURLY_LIMIT', 20, 1, 100000)
+const OTP_IP_DAILY_LIMIT = readIntegerSetting('OTP_IP_DAILY_LIMIT', 50, 1, 100000)
+const OTP_PREFIX_HOURLY_LIMIT = readIntegerSetting('OTP_PREFIX_HOURLY_LIMIT', 200, 1, 1000000)
+const OTP_PREFIX_DAILY_LIMIT = readIntegerSetting('OTP_PREFIX_DAILY_LIMIT', 1000, 1, 1000000)
+const OTP_LOCKOUT_THRESHOLD = readIntegerSetting('OTP_LOCKOUT_THRESHOLD', 3, 1, 100) // Failed OTPs per day
+const OTP_LOCKOUT_MINUTES = readIntegerSetting('OTP_LOCKOUT_MINUTES', 60, 1, 7 * 24 * 60)
+
+const HOUR_MS = 60 * 60 * 1000
+const DAY_MS = 24 * HOUR_MS
+
+/**
+ * Seconds until a date, rounded up (at least 1)
+ * @param {Date} date - Future date
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Seconds
+ */
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((date.getTime() - now) / 1000))
+}
+
+/**
+ * Check if an error is a MongoDB duplicate key error
+ */
+function isDuplicateKeyError(error) {
+  return error && error.code === 11000
+}
+
+/**
+ * Create the OTP rate limiter
+ * @param {Object} options - Options
+ * @param {Function} options.getCollection - Async function returning the rate limit collection
+ * @returns {Object} - { checkGenerate, recordFailedVerification, getLimits }
+ */
+export function createOtpRateLimiter({ getCollection }) {
+  /**
+   * Get the id and end of the current window of a fixed-window counter
+   */
+  const counterWindow = (scope, key, windowMs, now) => {
+    const windowIndex = Math.floor(now / windowMs)
+    return { _id: `${scope}:${key}:${windowMs}:${windowIndex}`, resetAt: new Date((windowIndex + 1) * windowMs) }
+  }
+
+  /**
+   * Read a fixed-window counter without changing it
+   * @returns {Promise<{count: number, resetAt: Date}>} - Current count and window end
+   */
+  const readCounter = async (collection, scope, key, windowMs, now) => {
+    const { _id, resetAt } = counterWindow(scope, key, windowMs, now)
+    const counter = await collection.findOne({ _id: _id })
+    return { count: counter ? counter.count : 0, resetAt }
+  }
+
+  /**
+   * Increment a fixed-window counter
+   * @returns {Promise<{count: number, resetAt: Date}>} - Count after the increment and window end
+   */
+  const increment = async (collection, scope, key, windowMs, now) => {
+    const { _id, resetAt } = counterWindow(scope, key, windowMs, now)
+    const counter = await collection.findOneAndUpdate(
+      { _id: _id },
+      { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+      { upsert: true, returnDocument: 'after' }
+    )
+    return { count: counter.count, resetAt }
+  }
+
+  /**
+   * Claim the resend cooldown for a phone number on a channel
+   * The conditional upsert fails with a duplicate key error while the cooldown is active
+   * @returns {Promise<{claimed: boolean, until: Date}>} - Whether it was claimed, and the end of the cooldown
+   */
+  const claimCooldown = async (collection, phoneNumber, channel, now) => {
+    const cooldownId = `cooldown:${channel}:${phoneNumber}`
+    const until = new Date(now + OTP_RESEND_COOLDOWN_SECONDS * 1000)
+    try {
+      await collection.updateOne(
+        { _id: cooldownId, until: { $lte: new Date(now) } },
+        { $set: { until: until, expiresAt: until } },
+        { upsert: true }
+      )
+      return { claimed: true, until: until }
+    } catch (error) {
+      if (!isDuplicateKeyError(error)) throw error
+      const active = await collection.findOne({ _id: cooldownId })
+      return { claimed: false, until: active ? active.until : until }
+    }
+  }
+
+  /**
+   * Release a cooldown claimed by a request that was then denied, so no OTP was sent
+   * Only removes this request's claim (matched by its end), never a later one
+   */
+  const releaseCooldown = async (collection, phoneNumber, channel, until) => {
+    await collection.deleteOne({ _id: `cooldown:${channel}:${phoneNumber}`, until: until })
+  }
+
+  return {
+    /**
+     * Check and count an OTP generation or resend request
+     * @param {Object} request - Request details
+     * @param {string} request.phoneNumber - Destination phone number
+     * @param {string} request.ip - Client IP address
+     * @param {string} request.channel - Delivery channel ('sms', 'voice' or 'email', default: 'sms')
+     * @returns {Promise<Object>} - { allowed: true } or
+     *          { allowed: false, scope, reason, retryAfter (seconds), retryAt (Date) }
+     */
+    async checkGenerate({ phoneNumber, ip, channel = 'sms' }) {
+      const collection = await getCollection()
+      const now = Date.now()
+      const deny = (scope, reason, until) => ({
+        allowed: false,
+        scope: scope,
+        reason: reason,
+        retryAfter: secondsUntil(until, now),
+        retryAt: until
+      })
+
+      const lockout = await collection.findOne({ _id: `lockout:${phoneNumber}`, until: { $gt: new Date(now) } })
+      if (lockout) {
+        return deny('phone', 'Too many failed verification attempts. Please try again later.', lockout.until)
+      }
+
+      const cooldown = await claimCooldown(collection, phoneNumber, channel, now)
+      if (!cooldown.claimed) {
+        return deny('phone', 'Please wait before requesting another OTP.', cooldown.until)
+      }
+
+      const countryCode = getCountryCallingCode(phoneNumber)
+      const limits = [
+        { scope: 'phone', key: phoneNumber, windowMs: HOUR_MS, limit: OTP_PHONE_HOURLY_LIMIT },
+        { scope: 'phone', key: phoneNumber, windowMs: DAY_MS, limit: OTP_PHONE_DAILY_LIMIT },
+        { scope: 'ip', key: ip, windowMs: HOUR_MS, limit: OTP_IP_HOURLY_LIMIT },
+        { scope: 'ip', key: ip, windowMs: DAY_MS, limit: OTP_IP_DAILY_LIMIT },
+        { scope: 'prefix', key: countryCode, windowMs: HOUR_MS, limit: OTP_PREFIX_HOURLY_LIMIT },
+        { scope: 'prefix', key: countryCode, windowMs: DAY_MS, limit: OTP_PREFIX_DAILY_LIMIT }
+      ].filter(({ key }) => key)
+
+      // Check every counter first; a denied request counts against none of them
+      for (const { scope, key, windowMs, limit } of limits) {
+        const { count, resetAt } = await readCounter(collection, scope, key, windowMs, now)
+        if (count >= limit) {
+          await releaseCooldown(collection, phoneNumber, channel, cooldown.until)
+          const subject = scope === 'phone' ? 'this phone number' : (scope === 'ip' ? 'this network' : 'this country')
+          return deny(scope, `Too many OTP requests for ${subject}. Please try again later.`, resetAt)
+        }
+      }
+
+      for (const { scope, key, windowMs } of limits) {
+        await increment(collection, scope, key, windowMs, now)
+      }
+
+      return { allowed: true }
+    },
+
+    /**
+     * Record an OTP that ran out of verification attempts
+     * The phone number is locked out once OTP_LOCKOUT_THRESHOLD OTPs failed in a day
+     * @param {string} phoneNumber - Phone number
+     * @returns {Promise<{lockedOut: boolean, until: Date|null}>} - Lockout status
+     */
+    async recordFailedVerification(phoneNumber) {
+      const collection = await getCollection()
+      const now = Date.now()
+      const { count } = await increment(collection, 'failures', phoneNumber, DAY_MS, now)
+
+      if (count < OTP_LOCKOUT_THRESHOLD) {
+        return { lockedOut: false, until: null }
+      }
+
+      const until = new Date(now + OTP_LOCKOUT_MINUTES * 60 * 1000)
+      await collection.updateOne(
+        { _id: `lockout:${phoneNumber}` },
+        { $set: { until: until, expiresAt: until } },
+        { upsert: true }
+      )
+      return { lockedOut: true, until: until }
+    },
+
+    /**
+     * Get the configured limits
+     */
+    getLimits() {
+      return {
+        resendCooldownSeconds: OTP_RESEND_COOLDOWN_SECONDS,
+        phone: { hourly: OTP_PHONE_HOURLY_LIMIT, daily: OTP_PHONE_DAILY_LIMIT },
+        ip: { hourly: OTP_IP_HOURLY_LIMIT, daily: OTP_IP_DAILY_LIMIT },
+        prefix: { hourly: OTP_PREFIX_HOURLY_LIMIT, daily: OTP_PREFIX_DAILY_LIMIT },
+        lockout: { threshold: OTP_LOCKOUT_THRESHOLD, minutes: OTP_LOCKOUT_MINUTES }
+      }
+    }
+  }
+}
@@ -1,12 +1,17 @@
 /**
  * OTP Service
- * Handles OTP generation, SMS sending via SMSALA, and verification
+ * Handles OTP generation, delivery by SMS, voice call or email through the configured providers, and verification
  * 
  * ISO 27001/27002 Compliance: All console logging disabled for security
  */
 
-import axios from 'axios'
+import crypto from 'crypto'
 import dotenv from 'dotenv'
+import { getSmsProvider } from './sms-providers.js'
+import { getVoiceProvider } from './voice-providers.js'
+import { getMailer } from './mailer.js'
+import { resolveLocale, renderTemplate } from './sms-templates.js'
+import { readIntegerSetting } from './settings.js'
 
 dotenv.config()
 
@@ -17,15 +22,17 @@ console.warn = () => {}
 console.info = () => {}
 console.debug = () => {}
 
-// SMSALA Configuration
-const SMSALA_API_TOKEN = process.env.SMSALA_API_TOKEN
-const SMSALA_SOURCE_ADDRESS = process.env.SMSALA_SOURCE_ADDRESS || 'KN EXPRESS'
-const SMSALA_API_URL = 'https://api2.smsala.com/SendSmsV2'
-
 // OTP Configuration
-const OTP_LENGTH = 6
-const OTP_EXPIRY_MINUTES = 5
-const OTP_MAX_ATTEMPTS = 3
+const OTP_LENGTH = readIntegerSetting('OTP_LENGTH', 6, 4, 10)
+const OTP_EXPIRY_MINUTES = readIntegerSetting('OTP_EXPIRY_MINUTES', 5, 1, 60)
+const OTP_MAX_ATTEMPTS = readIntegerSetting('OTP_MAX_ATTEMPTS', 3, 1, 10)
+
+// Delivery channels, in the order offered to the customer when one fails
+export const OTP_CHANNELS = ['sms', 'voice', 'email']
+
+// OTPs are stored as HMAC-SHA256(secret, salt + otp); the secret falls back to the token secrets
+const OTP_HASH_SECRET = process.env.OTP_HASH_SECRET || process.env.OTP_TOKEN_SECRET || process.env.AUTH_TOKEN_SECRET
+const OTP_SALT_BYTES = 16
 
 /**
  * Generate a random OTP
@@ -36,87 +43,157 @@ export function generateOTP(length = OTP_LENGTH) {
   const digits = '0123456789'
   let otp = ''
   for (let i = 0; i < length; i++) {
-    otp += digits.charAt(Math.floor(Math.random() * digits.length))
+    otp += digits.charAt(crypto.randomInt(digits.length))
   }
   return otp
 }
 
 /**
- * Send OTP via SMSALA
+ * Send an SMS through the configured provider (see sms-providers.js)
  * @param {string} phoneNumber - Phone number with country code (e.g., +971501234567)
- * @param {string} otp - OTP to send
- * @returns {Promise<Object>} - SMS sending result
+ * @param {string} message - Message text
+ * @param {Object} options - Options
+ * @param {Object} options.provider - SMS provider (default: SMS_PROVIDER)
+ * @param {string} options.encoding - 'ascii' or 'unicode' (required for Arabic text)
+ * @returns {Promise<Object>} - { success, provider, messageId }
  */
-export async function sendOTP(phoneNumber, otp) {
+export async function sendSMS(phoneNumber, message, { provider = getSmsProvider(), encoding = 'ascii' } = {}) {
   try {
-    if (!SMSALA_API_TOKEN) {
-      throw new Error('SMSALA_API_TOKEN is not configured')
+    const result = await provider.send({ to: phoneNumber, message: message, encoding: encoding })
+    return {
+      success: true,
+      provider: result.provider,
+      messageId: result.messageId || null
     }
+  } catch (error) {
+    throw new Error(`Failed to send SMS: ${error.message}`)
+  }
+}
 
-    // Format phone number (remove + and spaces for SMSALA - they use format without +)
-    let formattedPhone = phoneNumber.trim().replace(/\s+/g, '').replace(/^\+/, '')
-    
-    // Validate phone number has country code
-    if (formattedPhone.length < 10) {
-      throw new Error('Invalid phone number format')
-    }
+/**
+ * Send OTP via the configured SMS provider
+ * @param {string} phoneNumber - Phone number with country code (e.g., +971501234567)
+ * @param {string} otp - OTP to send
+ * @param {Object} options - Options
+ * @param {string} options.locale - Message language from the request (default: by country code)
+ * @returns {Promise<Object>} - { success, provider, messageId, locale, message }
+ */
+export async function sendOTP(phoneNumber, otp, { locale } = {}) {
+  // OTP message in the customer's language
+  const sms = renderTemplate('otp', resolveLocale({ locale, phoneNumber }), { otp: otp, minutes: OTP_EXPIRY_MINUTES })
 
-    // OTP message
-    const message = `Your OTP is ${otp}. Valid for ${OTP_EXPIRY_MINUTES} minutes.`
-
-    console.log(`📤 Sending OTP via SMSALA...`)
-    console.log(`   Phone: ${formattedPhone}`)
-    console.log(`   Source: ${SMSALA_SOURCE_ADDRESS}`)
-    console.log(`   Message Type: 3 (OTP)`)
-
-    // SMSALA API Request - POST requires an array of objects
-    const requestData = [{
-      apiToken: SMSALA_API_TOKEN,
-      messageType: "3", // OTP type (as string)
-      messageEncoding: "1", // ASCII encoding
-      destinationAddress: formattedPhone, // Without + prefix
-      sourceAddress: SMSALA_SOURCE_ADDRESS,
-      messageText: message
-    }]
-
-    console.log(`📤 Request Payload:`, JSON.stringify(requestData, null, 2))
-
-    const response = await axios.post(SMSALA_API_URL, requestData, {
-      headers: {
-        'Content-Type': 'application/json'
-      },
-      timeout: 10000 // 10 second timeout
-    })
-
-    console.log(`✅ SMSALA Response:`, JSON.stringify(response.data, null, 2))
-
-    // SMSALA returns an array of responses
-    if (Array.isArray(response.data) && response.data.length > 0) {
-      const smsResult = response.data[0]
-      
-      // Check if SMS was sent successfully
-      if (smsResult.Status === 'Success' || smsResult.OperationCode === 0) {
-        return {
-          success: true,
-          messageId: smsResult.MessageId || null,
-          message: 'OTP sent successfully',
-          smsalaResponse: smsResult
-        }
-      } else {
-        throw new Error(smsResult.Remarks || 'Failed to send OTP via SMSALA')
-      }
-    } else {
-      throw new Error('Invalid response format from SMSALA')
-    }
+  const result = await sendSMS(phoneNumber, sms.text, { encoding: sms.encoding })
+  return { ...result, locale: sms.locale, message: 'OTP sent successfully' }
+}
 
+/**
+ * Read an OTP to the customer by voice call through the configured voice provider
+ * @param {string} phoneNumber - Phone number with country code (e.g., +971501234567)
+ * @param {string} otp - OTP to read out
+ * @param {Object} options - Options
+ * @param {string} options.locale - Call language from the request (default: by country code)
+ * @returns {Promise<Object>} - { success, provider, messageId, locale, message }
+ */
+export async function sendOTPVoice(phoneNumber, otp, { locale } = {}) {
+  const speech = renderTemplate('otpVoice', resolveLocale({ locale, phoneNumber }), { digits: otp.split('').join(' ') })
+
+  try {
+    const result = await getVoiceProvider().call({ to: phoneNumber, message: speech.text, language: speech.locale })
+    return { success: true, provider: result.provider, messageId: result.messageId || null, locale: speech.locale, message: 'OTP call placed successfully' }
   } catch (error) {
-    console.error('❌ SMSALA Error:', error.message)
-    if (error.response) {
-      console.error('   Status:', error.response.status)
-      console.error('   Data:', error.response.data)
-    }
-    throw new Error(`Failed to send OTP: ${error.message}`)
+    throw new Error(`Failed to place OTP call: ${error.message}`)
+  }
+}
+
+/**
+ * Send an OTP by email through the configured mailer
+ * @param {string} email - Email address
+ * @param {string} otp - OTP to send
+ * @param {Object} options - Options
+ * @param {string} options.locale - Email language from the request
+ * @param {string} options.phoneNumber - Phone number the OTP belongs to (picks the language when no locale is given)
+ * @returns {Promise<Object>} - { success, provider, messageId, locale, message }
+ */
+export async function sendOTPEmail(email, otp, { locale, phoneNumber } = {}) {
+  const resolvedLocale = resolveLocale({ locale, phoneNumber })
+  const subject = renderTemplate('otpEmailSubject', resolvedLocale)
+  const body = renderTemplate('otpEmail', resolvedLocale, { otp: otp, minutes: OTP_EXPIRY_MINUTES })
+
+  try {
+    const result = await getMailer().send({ to: email, subject: subject.text, text: body.text })
+    return { success: true, provider: result.provider, messageId: result.messageId || null, locale: body.locale, message: 'OTP email sent successfully' }
+  } catch (error) {
+    throw new Error(`Failed to send OTP email: ${error.message}`)
+  }
+}
+
+/**
+ * Deliver an OTP over a channel
+ * @param {string} channel - 'sms', 'voice' or 'email'
+ * @param {Object} recipient - Recipient
+ * @param {string} recipient.phoneNumber - Phone number with country code
+ * @param {string} recipient.email - Email address (email channel only)
+ * @param {string} otp - OTP to deliver
+ * @param {Object} options - Options
+ * @param {string} options.locale - Message language from the request
+ * @returns {Promise<Object>} - { success, provider, messageId, locale, message }
+ */
+export async function deliverOTP(channel, { phoneNumber, email }, otp, { locale } = {}) {
+  switch (channel) {
+    case 'sms':
+      return sendOTP(phoneNumber, otp, { locale })
+    case 'voice':
+      return sendOTPVoice(phoneNumber, otp, { locale })
+    case 'email':
+      return sendOTPEmail(email, otp, { locale, phoneNumber })
+    default:
+      throw new Error(`Unknown OTP channel: ${channel}`)
+  }
+}
+
+/**
+ * Check if OTP hashing is configured
+ * @returns {boolean} - True if a hashing secret is set
+ */
+export function isOTPHashConfigured() {
+  return Boolean(OTP_HASH_SECRET) && OTP_HASH_SECRET.length >= 32
+}
+
+/**
+ * Compute the salted HMAC of an OTP
+ * @param {string} otp - OTP
+ * @param {string} salt - Base64 salt
+ * @returns {Buffer} - HMAC digest
+ */
+function computeOTPHash(otp, salt) {
+  return crypto.createHmac('sha256', OTP_HASH_SECRET).update(`${salt}:${otp}`).digest()
+}
+
+/**
+ * Hash an OTP for storage
+ * @param {string} otp - OTP
+ * @returns {{otpHash: string, otpSalt: string}} - Base64 hash and salt
+ */
+export function hashOTP(otp) {
+  if (!isOTPHashConfigured()) {
+    throw new Error('OTP hashing secret is not configured')
   }
+  const otpSalt = crypto.randomBytes(OTP_SALT_BYTES).toString('base64')
+  return { otpHash: computeOTPHash(otp, otpSalt).toString('base64'), otpSalt }
+}
+
+/**
+ * Check a provided OTP against a stored hash in constant time
+ * @param {string} providedOTP - OTP entered by the customer
+ * @param {Object} otpRecord - OTP document ({ otpHash, otpSalt })
+ * @returns {boolean} - True if the OTP matches
+ */
+export function verifyOTPHash(providedOTP, otpRecord) {
+  if (!isOTPHashConfigured() || !otpRecord || !otpRecord.otpHash || !otpRecord.otpSalt) return false
+
+  const expected = Buffer.from(otpRecord.otpHash, 'base64')
+  const actual = computeOTPHash(String(providedOTP), otpRecord.otpSalt)
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual)
 }
 
 /**
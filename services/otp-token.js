@@ -0,0 +1,89 @@
+/**
+ * OTP Verification Token Service
+ * Issues a short-lived signed token when an OTP is verified, so the booking
+ * submission does not need the OTP a second time. The token is bound to the phone
+ * number and the OTP record, and is single-use: the booking consumes it atomically.
+ */
+
+import crypto from 'crypto'
+import dotenv from 'dotenv'
+import { ObjectId } from 'mongodb'
+import { signToken, verifyToken } from './signed-token.js'
+
+dotenv.config()
+
+// OTP Token Configuration (falls back to the admin token secret)
+const OTP_TOKEN_SECRET = process.env.OTP_TOKEN_SECRET || process.env.AUTH_TOKEN_SECRET
+const OTP_TOKEN_TTL_MINUTES = Number(process.env.OTP_TOKEN_TTL_MINUTES) || 30
+
+/**
+ * Check if OTP verification tokens can be issued
+ * @returns {boolean} - True if a token secret is set
+ */
+export function isOtpTokenConfigured() {
+  return Boolean(OTP_TOKEN_SECRET) && OTP_TOKEN_SECRET.length >= 32
+}
+
+/**
+ * Issue a verification token for a verified OTP record
+ * @param {Object} otpRecord - OTP document ({ _id, phoneNumber })
+ * @returns {{token: string, tokenId: string, expiresAt: Date}} - Signed token, its id and expiry
+ */
+export function issueOtpVerificationToken(otpRecord) {
+  const expiresInSeconds = OTP_TOKEN_TTL_MINUTES * 60
+  const tokenId = crypto.randomBytes(16).toString('hex')
+  const token = signToken(
+    { sub: otpRecord.phoneNumber, otp: otpRecord._id.toString(), jti: tokenId, typ: 'otp' },
+    { secret: OTP_TOKEN_SECRET, expiresInSeconds }
+  )
+  return { token, tokenId, expiresAt: new Date(Date.now() + expiresInSeconds * 1000) }
+}
+
+/**
+ * Verify a verification token's signature and expiry
+ * @param {string} token - Token from /api/otp/verify
+ * @returns {{phoneNumber: string, otpId: ObjectId, tokenId: string}|null} - Token claims or null if invalid
+ */
+export function verifyOtpVerificationToken(token) {
+  const claims = verifyToken(token, { secret: OTP_TOKEN_SECRET })
+  if (!claims || claims.typ !== 'otp' || !claims.sub || !claims.jti || !ObjectId.isValid(claims.otp)) {
+    return null
+  }
+  return { phoneNumber: claims.sub, otpId: new ObjectId(claims.otp), tokenId: claims.jti }
+}
+
+/**
+ * Consume a verification token (single use)
+ * The OTP record is marked consumed in one update, so concurrent submissions
+ * with the same token cannot both succeed
+ * @param {Collection} otpCollection - OTP collection
+ * @param {Object} claims - Result of verifyOtpVerificationToken
+ * @param {string} referenceNumber - Booking that consumed the token
+ * @returns {Promise<Object|null>} - OTP record, or null if the token was already used or revoked
+ */
+export async function consumeOtpVerificationToken(otpCollection, claims, referenceNumber) {
+  return otpCollection.findOneAndUpdate(
+    {
+      _id: claims.otpId,
+      phoneNumber: claims.phoneNumber,
+      tokenId: claims.tokenId,
+      verified: true,
+      consumedAt: null
+    },
+    { $set: { consumedAt: new Date(), consumedBy: referenceNumber } }
+  )
+}
+
+/**
+ * Release a consumed token when the booking could not be saved, so the customer can retry
+ * @param {Collection} otpCollection - OTP collection
+ * @param {Object} claims - Result of verifyOtpVerificationToken
+ * @param {string} referenceNumber - Booking that consumed the token
+ * @returns {Promise<void>}
+ */
+export async function releaseOtpVerificationToken(otpCollection, claims, referenceNumber) {
+  await otpCollection.updateOne(
+    { _id: claims.otpId, tokenId: claims.tokenId, consumedBy: referenceNumber },
+    { $set: { consumedAt: null }, $unset: { consumedBy: '' } }
+  )
+}
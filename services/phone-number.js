@@ -0,0 +1,120 @@
+/**
+ * Phone Numbers
+ * Normalizes customer phone numbers to E.164 and validates mobile numbers of the route countries
+ * (UAE and Philippines built in, more through registerPhoneCountry)
+ *
+ * Accepted input forms (spaces, dashes, dots and brackets are ignored):
+ * - E.164: +971501234567, +639171234567
+ * - International prefix: 00971501234567, 00639171234567
+ * - Country code without +: 971501234567, 639171234567
+ * - Local with trunk prefix 0: 0501234567 (UAE), 09171234567 (PH)
+ * - National without trunk prefix, when the country is known: 501234567, 9171234567
+ */
+
+// Mobile numbering plans by ISO country code
+export const PHONE_COUNTRIES = {
+  AE: { dialCode: '+971', mobilePattern: /^\+9715\d{8}$/, example: '+971501234567', name: 'UAE' },
+  PH: { dialCode: '+63', mobilePattern: /^\+639\d{9}$/, example: '+639171234567', name: 'Philippines' }
+}
+
+// Country calling codes with one or two digits; all others have three (ITU-T E.164)
+const ONE_DIGIT_CODES = ['1', '7']
+const TWO_DIGIT_CODES = [
+  '20', '27', '30', '31', '32', '33', '34', '36', '39', '40', '41', '43', '44', '45', '46', '47', '48', '49',
+  '51', '52', '53', '54', '55', '56', '57', '58', '60', '61', '62', '63', '64', '65', '66',
+  '81', '82', '84', '86', '90', '91', '92', '93', '94', '95', '98'
+]
+
+/**
+ * Get the country calling code of a phone number
+ * @param {string} phoneNumber - Phone number in +<country code><number> form
+ * @returns {string|null} - Calling code with + (e.g., +971) or null
+ */
+export function getCountryCallingCode(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/^\+/, '')
+  if (!/^\d{4,}$/.test(digits)) return null
+
+  if (ONE_DIGIT_CODES.includes(digits[0])) return `+${digits[0]}`
+  if (TWO_DIGIT_CODES.includes(digits.slice(0, 2))) return `+${digits.slice(0, 2)}`
+  return `+${digits.slice(0, 3)}`
+}
+
+/**
+ * Add or replace a mobile numbering plan (used by the route registry for new corridors)
+ * @param {string} code - ISO country code (e.g., 'IN')
+ * @param {Object} plan - Numbering plan
+ * @param {string} plan.dialCode - Country calling code with + (e.g., '+91')
+ * @param {RegExp} plan.mobilePattern - E.164 mobile number pattern
+ * @param {string} plan.example - Example E.164 number shown in errors
+ * @param {string} plan.name - Country name shown in errors
+ */
+export function registerPhoneCountry(code, { dialCode, mobilePattern, example, name }) {
+  if (!/^\+\d{1,3}$/.test(dialCode || '') || !(mobilePattern instanceof RegExp)) {
+    throw new Error(`Invalid numbering plan for ${code}: dialCode and mobilePattern are required`)
+  }
+  PHONE_COUNTRIES[code] = { dialCode, mobilePattern, example: example || dialCode, name: name || code }
+}
+
+/**
+ * Convert a phone number to E.164 form
+ * Forms without a country code are tried against the default country first, then the other countries
+ * @param {string} input - Phone number as entered
+ * @param {string} defaultCountry - Country used first, and for national numbers without trunk prefix
+ * @returns {string|null} - +<digits> or null if the input is not a phone number
+ */
+function toE164(input, defaultCountry) {
+  let value = String(input).trim().replace(/[\s\-.()]/g, '')
+  if (value.startsWith('00')) value = `+${value.slice(2)}`
+  if (!/^\+?\d+$/.test(value)) return null
+  if (value.startsWith('+')) return value
+
+  const countries = Object.keys(PHONE_COUNTRIES)
+  const ordered = defaultCountry && PHONE_COUNTRIES[defaultCountry]
+    ? [defaultCountry, ...countries.filter(code => code !== defaultCountry)]
+    : countries
+  const matches = (code, candidate) => PHONE_COUNTRIES[code].mobilePattern.test(candidate)
+
+  // Country code without +
+  const international = `+${value}`
+  if (ordered.some(code => matches(code, international))) return international
+
+  // Local format with trunk prefix 0
+  if (value.startsWith('0')) {
+    const country = ordered.find(code => matches(code, `${PHONE_COUNTRIES[code].dialCode}${value.slice(1)}`))
+    if (country) return `${PHONE_COUNTRIES[country].dialCode}${value.slice(1)}`
+  }
+
+  // National number without trunk prefix
+  if (defaultCountry && PHONE_COUNTRIES[defaultCountry] && matches(defaultCountry, `${PHONE_COUNTRIES[defaultCountry].dialCode}${value}`)) {
+    return `${PHONE_COUNTRIES[defaultCountry].dialCode}${value}`
+  }
+
+  return null
+}
+
+/**
+ * Normalize and validate a mobile number
+ * @param {string} input - Phone number as entered
+ * @param {Object} options - Options
+ * @param {string} options.defaultCountry - Country for numbers without country code (e.g., 'AE')
+ * @param {string[]} options.allowedCountries - Countries accepted (default: all registered countries)
+ * @returns {Object} - { valid: true, e164, country, dialCode } or { valid: false, reason }
+ */
+export function normalizePhoneNumber(input, { defaultCountry = null, allowedCountries = Object.keys(PHONE_COUNTRIES) } = {}) {
+  if (input === undefined || input === null || String(input).trim() === '') {
+    return { valid: false, reason: 'Phone number is required' }
+  }
+
+  const allowedNames = allowedCountries.map(code => `${PHONE_COUNTRIES[code].name} (${PHONE_COUNTRIES[code].example})`).join(' or ')
+  const e164 = toE164(input, defaultCountry)
+  if (!e164) {
+    return { valid: false, reason: `Phone number must be a ${allowedNames} mobile number` }
+  }
+
+  const country = allowedCountries.find(code => PHONE_COUNTRIES[code].mobilePattern.test(e164))
+  if (!country) {
+    return { valid: false, reason: `Phone number must be a ${allowedNames} mobile number` }
+  }
+
+  return { valid: true, e164: e164, country: country, dialCode: PHONE_COUNTRIES[country].dialCode }
+}
@@ -0,0 +1,275 @@
+/**
+ * Rate Engine
+ * Prices a shipment from the rate card of its route (rate_cards collection)
+ *
+ * Rate card document (one or more per service; the active card with the latest effectiveFrom applies):
+ *
+ * {
+ *   "service": "uae-to-pinas",
+ *   "version": "2026-10",
+ *   "effectiveFrom": ISODate("2026-10-01"),
+ *   "active": true,
+ *   "currency": "AED",
+ *   "volumetricDivisor": 5000,
+ *   "weightStepKg": 0.5,
+ *   "weightBreaks": [{ "upToKg": 5, "perKg": 25 }, { "upToKg": 20, "perKg": 18 }, { "upToKg": null, "perKg": 15 }],
+ *   "minimumCharge": 60,
+ *   "deliveryOptions": { "sender": { "warehouse": 0, "pickup": 20 }, "receiver": { "delivery": 35, "warehouse": 0 } },
+ *   "insurance": { "rate": 0.015, "minimumPremium": 10 }
+ * }
+ *
+ * - Chargeable weight: per parcel, the greater of the actual weight and the volumetric weight
+ *   (length x width x height in cm / volumetricDivisor), summed and rounded up to weightStepKg
+ * - Freight: chargeable weight x perKg of the first weight break it fits in, at least minimumCharge
+ * - Delivery options: surcharge per sender/receiver deliveryOption (options not listed are not offered)
+ * - Insurance: declaredAmount x rate (at least minimumPremium) for non-document shipments on
+ *   routes with insurance rules
+ */
+
+import { getParcelsRule, validateSchema } from './booking-schema.js'
+
+// Delivery options used when a party does not choose one (same defaults as stored bookings)
+export const DEFAULT_DELIVERY_OPTIONS = { sender: 'warehouse', receiver: 'delivery' }
+
+const DEFAULT_WEIGHT_STEP_KG = 0.5
+
+/**
+ * Round an amount to 2 decimals
+ */
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100
+}
+
+/**
+ * Round a weight up to a step (e.g. 0.5 kg), ignoring floating point noise
+ */
+function roundUpWeight(weightKg, stepKg) {
+  return roundMoney(Math.ceil(Math.round(weightKg / stepKg * 1e6) / 1e6) * stepKg)
+}
+
+/**
+ * Check a rate card loaded from the database
+ * @param {Object} card - Rate card document
+ * @returns {string|null} - Problem with the card, or null if it can be used
+ */
+export function checkRateCard(card) {
+  const isAmount = value => typeof value === 'number' && Number.isFinite(value) && value >= 0
+
+  if (!card.currency || typeof card.currency !== 'string') return 'currency is missing'
+  if (!(card.volumetricDivisor > 0)) return 'volumetricDivisor must be > 0'
+  if (card.weightStepKg !== undefined && !(card.weightStepKg > 0)) return 'weightStepKg must be > 0'
+  if (!Array.isArray(card.weightBreaks) || card.weightBreaks.length === 0) return 'weightBreaks are missing'
+
+  let previousUpToKg = 0
+  for (const [index, weightBreak] of card.weightBreaks.entries()) {
+    if (!isAmount(weightBreak.perKg)) return `weightBreaks[${index}].perKg must be a number >= 0`
+    if (weightBreak.upToKg === null || weightBreak.upToKg === undefined) {
+      if (index !== card.weightBreaks.length - 1) return `weightBreaks[${index}] has no upToKg but is not the last break`
+    } else if (!(weightBreak.upToKg > previousUpToKg)) {
+      return 'weightBreaks must be in increasing upToKg order'
+    } else {
+      previousUpToKg = weightBreak.upToKg
+    }
+  }
+
+  if (card.minimumCharge !== undefined && !isAmount(card.minimumCharge)) return 'minimumCharge must be a number >= 0'
+
+  for (const party of ['sender', 'receiver']) {
+    const invalid = Object.entries(card.deliveryOptions?.[party] || {}).find(([, surcharge]) => !isAmount(surcharge))
+    if (invalid) return `deliveryOptions.${party}.${invalid[0]} must be a number >= 0`
+  }
+
+  if (card.insurance) {
+    if (!isAmount(card.insurance.rate)) return 'insurance.rate must be a number >= 0'
+    if (card.insurance.minimumPremium !== undefined && !isAmount(card.insurance.minimumPremium)) {
+      return 'insurance.minimumPremium must be a number >= 0'
+    }
+  }
+
+  return null
+}
+
+/**
+ * Build the schema of a quote request (POST /api/quotes)
+ * @returns {Object} - Schema
+ */
+export function getQuoteSchema() {
+  return {
+    type: 'object',
+    required: true,
+    label: 'Quote request',
+    fields: {
+      service: { type: 'string', label: 'service' },
+      parcels: getParcelsRule({ required: true }),
+      sender: {
+        type: 'object',
+        label: 'Sender',
+        fields: {
+          deliveryOption: { type: 'string', label: 'Sender delivery option', maxLength: 50 },
+          shipmentType: { type: 'string', label: 'sender.shipmentType', enum: ['document', 'non-document'] },
+          declaredAmount: { type: 'number', label: 'sender.declaredAmount', minimum: 0 }
+        }
+      },
+      receiver: {
+        type: 'object',
+        label: 'Receiver',
+        fields: {
+          deliveryOption: { type: 'string', label: 'Receiver delivery option', maxLength: 50 }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Price a shipment with a rate card
+ * @param {Object} card - Rate card (see checkRateCard)
+ * @param {Object} route - Route from the route registry
+ * @param {Object} request - { parcels, sender: { deliveryOption, shipmentType, declaredAmount }, receiver: { deliveryOption } }
+ * @param {Date} date - Quote date (default: now)
+ * @returns {{valid: boolean, errors?: Object[], quote?: Object}} - Quote, or { field, code, message } errors
+ */
+export function computeQuote(card, route, request, date = new Date()) {
+  const errors = []
+  const charges = []
+
+  // Chargeable weight
+  const parcels = request.parcels.map(parcel => {
+    const weightKg = Number(parcel.weightKg)
+    const hasDimensions = [parcel.lengthCm, parcel.widthCm, parcel.heightCm].every(value => Number(value) > 0)
+    const volumetricWeightKg = hasDimensions
+      ? Number(parcel.lengthCm) * Number(parcel.widthCm) * Number(parcel.heightCm) / card.volumetricDivisor
+      : 0
+    return {
+      weightKg: weightKg,
+      volumetricWeightKg: Math.round(volumetricWeightKg * 1000) / 1000,
+      chargeableWeightKg: Math.round(Math.max(weightKg, volumetricWeightKg) * 1000) / 1000
+    }
+  })
+  const chargeableWeightKg = roundUpWeight(
+    parcels.reduce((total, parcel) => total + parcel.chargeableWeightKg, 0),
+    card.weightStepKg || DEFAULT_WEIGHT_STEP_KG
+  )
+
+  // Freight from the weight break, with the minimum charge
+  const weightBreak = card.weightBreaks.find(candidate => candidate.upToKg === null || candidate.upToKg === undefined || chargeableWeightKg <= candidate.upToKg)
+  if (!weightBreak) {
+    const maxKg = card.weightBreaks[card.weightBreaks.length - 1].upToKg
+    errors.push({ field: 'parcels', code: 'too_heavy', message: `Shipments over ${maxKg} kg cannot be quoted online` })
+  } else {
+    const freight = roundMoney(chargeableWeightKg * weightBreak.perKg)
+    charges.push({ code: 'freight', description: `${chargeableWeightKg} kg x ${weightBreak.perKg} ${card.currency}/kg`, amount: freight })
+    if (card.minimumCharge && freight < card.minimumCharge) {
+      charges.push({ code: 'minimum_charge', description: `Minimum charge ${card.minimumCharge} ${card.currency}`, amount: roundMoney(card.minimumCharge - freight) })
+    }
+  }
+
+  // Delivery option surcharges
+  const deliveryOptions = {}
+  for (const party of ['sender', 'receiver']) {
+    const option = request[party]?.deliveryOption || DEFAULT_DELIVERY_OPTIONS[party]
+    const offered = card.deliveryOptions?.[party] || {}
+    deliveryOptions[party] = option
+
+    if (offered[option] === undefined) {
+      const allowed = Object.keys(offered)
+      errors.push({
+        field: `${party}.deliveryOption`,
+        code: 'invalid_value',
+        message: allowed.length > 0
+          ? `${party}.deliveryOption must be one of: ${allowed.map(allowedOption => `"${allowedOption}"`).join(', ')}`
+          : `${party}.deliveryOption "${option}" is not offered on ${route.label}`
+      })
+    } else if (offered[option] > 0) {
+      charges.push({ code: `${party}_${option}`, description: `${party === 'sender' ? 'Sender' : 'Receiver'} ${option}`, amount: roundMoney(offered[option]) })
+    }
+  }
+
+  // Insurance premium on the declared amount (non-document shipments on insured routes)
+  const declaredAmount = Number(request.sender?.declaredAmount) || 0
+  const insured = Boolean(route.insurance) && request.sender?.shipmentType === 'non-document' && declaredAmount > 0
+  if (insured && card.insurance) {
+    const premium = roundMoney(Math.max(declaredAmount * card.insurance.rate, card.insurance.minimumPremium || 0))
+    charges.push({ code: 'insurance', description: `Insurance on ${declaredAmount} ${route.insurance.currency} declared`, amount: premium })
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors }
+  }
+
+  return {
+    valid: true,
+    quote: {
+      service: route.id,
+      currency: card.currency,
+      rateCard: { id: card._id ? String(card._id) : null, version: card.version || null, effectiveFrom: card.effectiveFrom || null },
+      parcels: parcels,
+      chargeableWeightKg: chargeableWeightKg,
+      deliveryOptions: deliveryOptions,
+      declaredAmount: insured ? declaredAmount : 0,
+      charges: charges,
+      total: roundMoney(charges.reduce((total, charge) => total + charge.amount, 0)),
+      quotedAt: date
+    }
+  }
+}
+
+/**
+ * Create the rate engine
+ * @param {Object} options - Options
+ * @param {Function} options.getCollection - Async function returning the rate card collection
+ * @returns {Object} - { getRateCard, quote }
+ */
+export function createRateEngine({ getCollection }) {
+  /**
+   * Get the rate card in effect for a route
+   * @param {Object} route - Route from the route registry
+   * @param {Date} date - Date the rates apply to (default: now)
+   * @returns {Promise<Object|null>} - Rate card, or null if none is published for the route
+   */
+  const getRateCard = async (route, date = new Date()) => {
+    const collection = await getCollection()
+    const card = await collection.findOne(
+      { service: route.id, active: { $ne: false }, effectiveFrom: { $lte: date } },
+      { sort: { effectiveFrom: -1 } }
+    )
+    if (!card) return null
+
+    const problem = checkRateCard(card)
+    if (problem) {
+      throw new Error(`Rate card ${card._id} for ${route.id} is invalid: ${problem}`)
+    }
+    return card
+  }
+
+  return {
+    getRateCard,
+
+    /**
+     * Validate a quote request and price it with the route's rate card
+     * @param {Object} route - Route from the route registry
+     * @param {Object} request - Quote request (see getQuoteSchema)
+     * @param {Date} date - Quote date (default: now)
+     * @returns {Promise<{valid: boolean, code?: string, errors?: Object[], quote?: Object}>} - Quote, or errors
+     *          (code 'no_rate_card' when no rates are published for the route)
+     */
+    async quote(route, request, date = new Date()) {
+      const errors = validateSchema(getQuoteSchema(), request)
+      if (errors.length > 0) {
+        return { valid: false, code: 'invalid_request', errors }
+      }
+
+      const card = await getRateCard(route, date)
+      if (!card) {
+        return {
+          valid: false,
+          code: 'no_rate_card',
+          errors: [{ field: 'service', code: 'no_rate_card', message: `No rates are published for ${route.label}` }]
+        }
+      }
+
+      const result = computeQuote(card, route, request, date)
+      return result.valid ? result : { ...result, code: 'invalid_request' }
+    }
+  }
+}
@@ -0,0 +1,112 @@
+/**
+ * Request Rate Limiting
+ * Fixed-window counters for endpoints without a phone number to limit on (booking lookups, image uploads)
+ *
+ * Counters share the OTP rate limit collection and its TTL index:
+ * - <name>:<scope>:<key>:<window>:<n>  fixed-window counter ({ count, expiresAt })
+ *
+ * Every limit is checked before any counter is incremented, so a request denied by one
+ * limit (e.g. its IP) does not use up the quota of another key (e.g. a booking).
+ */
+
+export const HOUR_MS = 60 * 60 * 1000
+export const DAY_MS = 24 * HOUR_MS
+
+/**
+ * Seconds until a date, rounded up (at least 1)
+ * @param {Date} date - Future date
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Seconds
+ */
+function secondsUntil(date, now) {
+  return Math.max(1, Math.ceil((date.getTime() - now) / 1000))
+}
+
+/**
+ * Create a request rate limiter
+ * @param {Object} options - Options
+ * @param {Function} options.getCollection - Async function returning the rate limit collection
+ * @param {string} options.name - Counter name prefix (e.g., 'lookup')
+ * @param {Array<Object>} options.limits - Limits: { scope, windowMs, limit, reason }; the request keys are
+ *        given per scope (e.g., { ip: req.ip })
+ * @returns {Object} - { check, record, consume, getLimits }
+ */
+export function createRequestRateLimiter({ getCollection, name, limits }) {
+  const counterWindow = (scope, key, windowMs, now) => {
+    const windowIndex = Math.floor(now / windowMs)
+    return {
+      _id: `${name}:${scope}:${key}:${windowMs}:${windowIndex}`,
+      resetAt: new Date((windowIndex + 1) * windowMs)
+    }
+  }
+
+  const applicableLimits = (keys) => limits.filter(({ scope }) => keys[scope])
+
+  /**
+   * Check every limit without counting the request
+   * @param {Object} keys - Key per scope (e.g., { booking: awb, ip: req.ip }); missing scopes are skipped
+   * @returns {Promise<Object>} - { allowed: true } or
+   *          { allowed: false, scope, reason, retryAfter (seconds), retryAt (Date) }
+   */
+  const check = async (keys) => {
+    const collection = await getCollection()
+    const now = Date.now()
+
+    for (const { scope, windowMs, limit, reason } of applicableLimits(keys)) {
+      const { _id, resetAt } = counterWindow(scope, keys[scope], windowMs, now)
+      const counter = await collection.findOne({ _id: _id })
+      if (counter && counter.count >= limit) {
+        return {
+          allowed: false,
+          scope: scope,
+          reason: reason,
+          retryAfter: secondsUntil(resetAt, now),
+          retryAt: resetAt
+        }
+      }
+    }
+
+    return { allowed: true }
+  }
+
+  /**
+   * Count a request against every limit
+   * @param {Object} keys - Key per scope; missing scopes are skipped
+   */
+  const record = async (keys) => {
+    const collection = await getCollection()
+    const now = Date.now()
+
+    for (const { scope, windowMs } of applicableLimits(keys)) {
+      const { _id, resetAt } = counterWindow(scope, keys[scope], windowMs, now)
+      await collection.updateOne(
+        { _id: _id },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: resetAt } },
+        { upsert: true }
+      )
+    }
+  }
+
+  return {
+    check,
+    record,
+
+    /**
+     * Check every limit, then count the request if it is allowed
+     * @param {Object} keys - Key per scope; missing scopes are skipped
+     * @returns {Promise<Object>} - Result of check
+     */
+    async consume(keys) {
+      const result = await check(keys)
+      if (result.allowed) await record(keys)
+      return result
+    },
+
+    /**
+     * Get the configured limits
+     */
+    getLimits() {
+      return limits.map(({ scope, windowMs, limit }) => ({ scope, windowMs, limit }))
+    }
+  }
+}
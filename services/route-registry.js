@@ -0,0 +1,299 @@
+/**
+ * Route Registry
+ * Shipping corridors (services) with their countries, AWB prefix, contact numbers,
+ * identity documents, insurance rules, commodity rules, customs rules and Emirates ID verification policy
+ *
+ * UAE to Philippines and Philippines to UAE are built in. More routes (e.g. UAE to India),
+ * countries and overrides of the built-in routes are read from the JSON file in ROUTES_CONFIG_FILE:
+ *
+ * {
+ *   "countries": {
+ *     "IN": { "name": "INDIA", "label": "India", "dialCode": "+91", "mobilePattern": "^\\+91[6-9]\\d{9}$", "example": "+919812345678" }
+ *   },
+ *   "commodityCategories": {
+ *     "spices": { "label": "Spices", "phrases": ["chili powder"], "keywords": ["chili", "masala"], "hsCodes": ["0904", "0910"] }
+ *   },
+ *   "routes": {
+ *     "uae-to-india": { "label": "UAE to India", "origin": "AE", "destination": "IN", "awbPrefix": "AI" }
+ *   }
+ * }
+ *
+ * An invalid configuration stops the server at startup.
+ */
+
+import fs from 'fs'
+import dotenv from 'dotenv'
+import { PHONE_COUNTRIES, registerPhoneCountry } from './phone-number.js'
+import { EID_VERIFICATION_POLICIES } from './eid-verification.js'
+import { IDENTITY_IMAGE_FIELDS } from './identity-documents.js'
+import { COMMODITY_CATEGORIES, registerCommodityCategory } from './commodity-screening.js'
+
+dotenv.config()
+
+const ROUTES_CONFIG_FILE = process.env.ROUTES_CONFIG_FILE
+
+// Service used when a booking does not name one
+export const DEFAULT_SERVICE = 'uae-to-pinas'
+
+// Commodity rules used by routes that do not define their own: prohibited goods are rejected,
+// restricted goods are accepted and flagged for review (categories in commodity-screening.js)
+const DEFAULT_COMMODITIES = {
+  prohibited: ['weapons', 'narcotics', 'flammables', 'currency'],
+  restricted: ['batteries', 'liquids', 'aerosols', 'medicine', 'alcohol', 'tobacco']
+}
+
+// Countries: name is the default address country stored on bookings
+const BUILT_IN_COUNTRIES = {
+  AE: { name: 'UNITED ARAB EMIRATES', label: 'UAE' },
+  PH: { name: 'PHILIPPINES', label: 'Philippines' }
+}
+
+const BUILT_IN_ROUTES = {
+  'uae-to-pinas': {
+    label: 'UAE to Philippines',
+    aliases: ['uae-to-ph', 'uae-to-philippines'],
+    origin: 'AE',
+    destination: 'PH',
+    awbPrefix: 'AE',
+    // Images the booking must include (the booking form asks for the Emirates ID; not enforced by the API)
+    requiredDocuments: [],
+    // Shipment type is required; documents are not insured, non-documents are insured at the declared amount
+    insurance: { maxDeclaredAmount: 1000000, currency: 'AED' },
+    commodities: DEFAULT_COMMODITIES,
+    // Philippine customs (CMTA): shipments up to the de minimis value are duty and tax free; balikbayan boxes of
+    // personal effects up to maxValue are duty free, up to maxPerYear per sender each calendar year
+    customs: {
+      currency: 'PHP',
+      valueCurrency: 'AED',
+      exchangeRate: Number(process.env.CUSTOMS_EXCHANGE_RATE_AED_PHP) || 15.5, // PHP per AED
+      deMinimis: 10000,
+      balikbayan: { maxValue: 150000, maxPerYear: 3, maxQuantityPerItem: 12 }
+    },
+    // EID_VERIFICATION_POLICY_UAE_TO_PH is kept for existing deployments
+    eidVerificationPolicy: process.env.EID_VERIFICATION_POLICY_UAE_TO_PH || null
+  },
+  'ph-to-uae': {
+    label: 'Philippines to UAE',
+    aliases: ['philippines-to-uae', 'pinas-to-uae'],
+    origin: 'PH',
+    destination: 'AE',
+    awbPrefix: 'PH',
+    requiredDocuments: [],
+    insurance: null,
+    // Alcohol and tobacco need UAE import permits; the rest follows the default rules
+    commodities: {
+      prohibited: [...DEFAULT_COMMODITIES.prohibited, 'alcohol', 'tobacco'],
+      restricted: ['batteries', 'liquids', 'aerosols', 'medicine']
+    },
+    eidVerificationPolicy: process.env.EID_VERIFICATION_POLICY_PH_TO_UAE || null
+  }
+}
+
+/**
+ * Read the routes configuration file
+ * @param {string} file - JSON file path
+ * @returns {Object} - { countries, commodityCategories, routes }
+ */
+function readConfigFile(file) {
+  let config
+  try {
+    config = JSON.parse(fs.readFileSync(file, 'utf8'))
+  } catch (error) {
+    throw new Error(`ROUTES_CONFIG_FILE ${file} could not be read: ${error.message}`)
+  }
+  return { countries: config.countries || {}, commodityCategories: config.commodityCategories || {}, routes: config.routes || {} }
+}
+
+/**
+ * Validate a country and register its mobile numbering plan
+ * @param {string} code - ISO country code
+ * @param {Object} country - Country definition
+ * @returns {Object} - { code, name, label, dialCode }
+ */
+function buildCountry(code, country) {
+  if (!/^[A-Z]{2}$/.test(code)) {
+    throw new Error(`Route country "${code}" must be a two-letter ISO code`)
+  }
+
+  if (country.mobilePattern) {
+    registerPhoneCountry(code, {
+      dialCode: country.dialCode,
+      mobilePattern: new RegExp(country.mobilePattern),
+      example: country.example,
+      name: country.label || country.name
+    })
+  }
+
+  const phone = PHONE_COUNTRIES[code]
+  if (!phone) {
+    throw new Error(`Route country ${code} needs a dialCode and mobilePattern`)
+  }
+
+  return {
+    code: code,
+    name: country.name || code,
+    label: country.label || phone.name,
+    dialCode: phone.dialCode
+  }
+}
+
+/**
+ * Validate a route and fill in derived fields
+ * @param {string} id - Service name
+ * @param {Object} route - Route definition
+ * @param {Object} countries - Known countries
+ * @returns {Object} - Route
+ */
+function buildRoute(id, route, countries) {
+  const fail = message => { throw new Error(`Route ${id}: ${message}`) }
+
+  if (!/^[a-z0-9-]+$/.test(id)) fail('the service name may only contain lowercase letters, digits and dashes')
+  if (!countries[route.origin]) fail(`unknown origin country "${route.origin}"`)
+  if (!countries[route.destination]) fail(`unknown destination country "${route.destination}"`)
+  if (!/^[A-Z]{2}$/.test(route.awbPrefix || '')) fail('awbPrefix must be two uppercase letters')
+
+  const contactCountries = route.contactCountries || [route.origin, route.destination]
+  const unknownContact = contactCountries.find(code => !countries[code])
+  if (unknownContact) fail(`unknown contact country "${unknownContact}"`)
+
+  const requiredDocuments = route.requiredDocuments || []
+  const unknownDocument = requiredDocuments.find(field => !IDENTITY_IMAGE_FIELDS.includes(field))
+  if (unknownDocument) fail(`unknown document "${unknownDocument}" (allowed: ${IDENTITY_IMAGE_FIELDS.join(', ')})`)
+
+  const commodities = route.commodities || DEFAULT_COMMODITIES
+  for (const level of ['prohibited', 'restricted']) {
+    const categories = commodities[level] || []
+    const unknownCategory = categories.find(category => !COMMODITY_CATEGORIES[category])
+    if (unknownCategory) fail(`unknown commodity category "${unknownCategory}" in commodities.${level}`)
+  }
+
+  const customs = route.customs || null
+  if (customs) {
+    if (!/^[A-Z]{3}$/.test(customs.currency || '') || !/^[A-Z]{3}$/.test(customs.valueCurrency || '')) {
+      fail('customs.currency and customs.valueCurrency must be ISO currency codes')
+    }
+    if (!(Number(customs.exchangeRate) > 0)) fail('customs.exchangeRate must be a number > 0')
+    if (!(Number(customs.deMinimis) >= 0)) fail('customs.deMinimis must be a number >= 0')
+    const balikbayan = customs.balikbayan
+    if (balikbayan && ['maxValue', 'maxPerYear', 'maxQuantityPerItem'].some(key => !(Number(balikbayan[key]) > 0))) {
+      fail('customs.balikbayan needs maxValue, maxPerYear and maxQuantityPerItem > 0')
+    }
+  }
+
+  const insurance = route.insurance || null
+  if (insurance && !(Number(insurance.maxDeclaredAmount) > 0)) fail('insurance.maxDeclaredAmount must be a number > 0')
+
+  const eidVerificationPolicy = route.eidVerificationPolicy || null
+  if (eidVerificationPolicy && !EID_VERIFICATION_POLICIES.includes(eidVerificationPolicy)) {
+    fail(`eidVerificationPolicy must be one of: ${EID_VERIFICATION_POLICIES.join(', ')}`)
+  }
+
+  // The Emirates ID belongs to the party in the UAE
+  let eidHolder = route.eidHolder
+  if (eidHolder === undefined) {
+    eidHolder = route.origin === 'AE' ? 'sender' : (route.destination === 'AE' ? 'receiver' : null)
+  }
+  if (eidHolder !== null && eidHolder !== 'sender' && eidHolder !== 'receiver') fail('eidHolder must be sender, receiver or null')
+
+  return {
+    id: id,
+    label: route.label || `${countries[route.origin].label} to ${countries[route.destination].label}`,
+    aliases: (route.aliases || []).map(alias => alias.toLowerCase()),
+    origin: countries[route.origin],
+    destination: countries[route.destination],
+    awbPrefix: route.awbPrefix,
+    contactCountries: contactCountries,
+    requiredDocuments: requiredDocuments,
+    commodities: { prohibited: commodities.prohibited || [], restricted: commodities.restricted || [] },
+    customs: customs ? {
+      currency: customs.currency,
+      valueCurrency: customs.valueCurrency,
+      exchangeRate: Number(customs.exchangeRate),
+      deMinimis: Number(customs.deMinimis),
+      balikbayan: customs.balikbayan ? {
+        maxValue: Number(customs.balikbayan.maxValue),
+        maxPerYear: Number(customs.balikbayan.maxPerYear),
+        maxQuantityPerItem: Number(customs.balikbayan.maxQuantityPerItem)
+      } : null
+    } : null,
+    insurance: insurance ? {
+      maxDeclaredAmount: Number(insurance.maxDeclaredAmount),
+      currency: insurance.currency || 'AED'
+    } : null,
+    eidHolder: eidHolder,
+    eidVerificationPolicy: eidVerificationPolicy
+  }
+}
+
+/**
+ * Build the registry from the built-in routes and the optional configuration file
+ * Configured routes with a built-in name are merged over the built-in definition
+ * @param {Object} config - { countries, commodityCategories, routes }
+ * @returns {{routes: Object[], byName: Map, byAwbPrefix: Map}} - Registry
+ */
+function buildRegistry(config) {
+  for (const [id, category] of Object.entries(config.commodityCategories)) {
+    registerCommodityCategory(id, category)
+  }
+
+  const countries = {}
+  for (const [code, country] of Object.entries({ ...BUILT_IN_COUNTRIES, ...config.countries })) {
+    countries[code] = buildCountry(code, { ...BUILT_IN_COUNTRIES[code], ...country })
+  }
+
+  const routes = Object.entries({ ...BUILT_IN_ROUTES, ...config.routes }).map(([id, route]) => (
+    buildRoute(id, { ...BUILT_IN_ROUTES[id], ...route }, countries)
+  ))
+
+  const byName = new Map()
+  const byAwbPrefix = new Map()
+  for (const route of routes) {
+    for (const name of [route.id, ...route.aliases]) {
+      if (byName.has(name)) throw new Error(`Route ${route.id}: service name "${name}" is already used by ${byName.get(name).id}`)
+      byName.set(name, route)
+    }
+    if (byAwbPrefix.has(route.awbPrefix)) throw new Error(`Route ${route.id}: awbPrefix ${route.awbPrefix} is already used by ${byAwbPrefix.get(route.awbPrefix).id}`)
+    byAwbPrefix.set(route.awbPrefix, route)
+  }
+
+  return { routes, byName, byAwbPrefix }
+}
+
+const registry = buildRegistry(ROUTES_CONFIG_FILE ? readConfigFile(ROUTES_CONFIG_FILE) : { countries: {}, commodityCategories: {}, routes: {} })
+
+/**
+ * Get the route of a service
+ * @param {string} service - Service name or alias (case-insensitive; default: DEFAULT_SERVICE)
+ * @returns {Object|null} - Route or null if the service is unknown
+ */
+export function getRoute(service) {
+  const name = typeof service === 'string' && service.trim() ? service.trim().toLowerCase() : DEFAULT_SERVICE
+  return registry.byName.get(name) || null
+}
+
+/**
+ * Get the route an AWB was issued for
+ * @param {string} awb - AWB number
+ * @returns {Object|null} - Route or null if the prefix is unknown
+ */
+export function getRouteByAwb(awb) {
+  return typeof awb === 'string' ? registry.byAwbPrefix.get(awb.slice(0, 2)) || null : null
+}
+
+/**
+ * List all routes
+ * @returns {Object[]} - Routes
+ */
+export function listRoutes() {
+  return registry.routes
+}
+
+/**
+ * Get a route's country for a booking party
+ * @param {Object} route - Route
+ * @param {string} party - 'sender' or 'receiver'
+ * @returns {Object} - Country ({ code, name, label, dialCode })
+ */
+export function getPartyCountry(route, party) {
+  return party === 'sender' ? route.origin : route.destination
+}
@@ -0,0 +1,24 @@
+/**
+ * Settings
+ * Helpers for reading configuration from environment variables
+ */
+
+/**
+ * Read an integer setting from the environment
+ * Invalid values stop the server at startup instead of silently falling back
+ * @param {string} name - Environment variable
+ * @param {number} defaultValue - Value when the variable is not set
+ * @param {number} min - Minimum allowed value
+ * @param {number} max - Maximum allowed value
+ * @returns {number} - Setting value
+ */
+export function readIntegerSetting(name, defaultValue, min, max) {
+  const raw = process.env[name]
+  if (raw === undefined || raw.trim() === '') return defaultValue
+
+  const value = Number(raw)
+  if (!Number.isInteger(value) || value < min || value > max) {
+    throw new Error(`${name} must be an integer between ${min} and ${max} (got "${raw}")`)
+  }
+  return value
+}
@@ -0,0 +1,159 @@
+/**
+ * Shipping Labels
+ * Renders 4x6 inch PDF labels for bookings: route, document / non-document marker, sender and
+ * receiver blocks, a Code128 barcode of the AWB and a QR code linking to the tracking page.
+ * Several bookings are rendered as one PDF with a page per label, for batch printing.
+ * Text typed by customers is cut to a fixed number of lines (with an ellipsis) so every label
+ * fits on its page, even with the longest names and addresses the booking schema accepts.
+ */
+
+import PDFDocument from 'pdfkit'
+import bwipjs from 'bwip-js'
+import { getTrackingUrl } from './booking-view.js'
+
+// 4 x 6 inches in points
+const LABEL_WIDTH = 288
+const LABEL_HEIGHT = 432
+const MARGIN = 12
+const CONTENT_WIDTH = LABEL_WIDTH - 2 * MARGIN
+const QR_SIZE = 80
+
+// The barcode sits below the party blocks, but never so low that the details and QR code
+// below it (barcode and AWB 84pt, gap 6pt) leave the page
+const BARCODE_TOP_MIN = 240
+const BARCODE_TOP_MAX = LABEL_HEIGHT - MARGIN - QR_SIZE - 90
+
+/**
+ * Collect a PDF document into a buffer
+ * @param {PDFDocument} doc - Document (ended by this function)
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+function toBuffer(doc) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    doc.on('data', chunk => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+    doc.end()
+  })
+}
+
+/**
+ * Get the display name of a booking party
+ */
+function partyName(party = {}) {
+  return party.fullName || [party.firstName, party.lastName].filter(Boolean).join(' ') || '-'
+}
+
+/**
+ * Write text at the current position, cut to a number of lines of the current font
+ * @param {PDFDocument} doc - Document
+ * @param {string} text - Text
+ * @param {number} lines - Maximum number of lines
+ * @param {number} width - Text width (default: the label's content width)
+ */
+function boundedText(doc, text, lines, width = CONTENT_WIDTH) {
+  doc.text(text, { width: width, height: lines * doc.currentLineHeight(true), ellipsis: true })
+}
+
+/**
+ * Draw a party block (FROM or TO) and return its bottom
+ * @param {PDFDocument} doc - Document
+ * @param {string} title - Block title
+ * @param {Object} party - Booking sender or receiver
+ * @param {number} top - Top of the block
+ * @param {number} fontSize - Font size of the name and address
+ * @param {Object} lines - Maximum lines of the name and address ({ name, address })
+ * @returns {number} - Bottom of the block
+ */
+function drawParty(doc, title, party = {}, top, fontSize, lines) {
+  doc.font('Helvetica-Bold').fontSize(7).text(title, MARGIN, top, { width: CONTENT_WIDTH })
+  doc.font('Helvetica-Bold').fontSize(fontSize)
+  boundedText(doc, partyName(party), lines.name)
+  doc.font('Helvetica').fontSize(fontSize - 2)
+  boundedText(doc, party.addressLine1 || party.completeAddress || '', lines.address)
+  boundedText(doc, party.country || '', 1)
+  boundedText(doc, party.phoneNumber || party.contactNo || '', 1)
+  return doc.y + 4
+}
+
+/**
+ * Draw a horizontal rule across the label
+ */
+function drawRule(doc, y) {
+  doc.moveTo(MARGIN, y).lineTo(LABEL_WIDTH - MARGIN, y).lineWidth(1).stroke()
+}
+
+/**
+ * Draw one label on the current page
+ * @param {PDFDocument} doc - Document
+ * @param {Object} booking - Booking document
+ * @param {Object} route - Route of the booking
+ * @param {Object} images - { barcode, qrCode } PNG buffers
+ */
+function drawLabel(doc, booking, route, { barcode, qrCode }) {
+  const isDocument = booking.sender?.shipmentType === 'document'
+
+  // Header: carrier, route and the document / non-document marker (inverted box)
+  doc.font('Helvetica-Bold').fontSize(14).text('KN EXPRESS', MARGIN, MARGIN)
+  doc.font('Helvetica').fontSize(9)
+  boundedText(doc, `${route.label} (${route.origin.code} > ${route.destination.code})`, 1, CONTENT_WIDTH - 76)
+  const marker = isDocument ? 'DOC' : 'NON-DOC'
+  doc.rect(LABEL_WIDTH - MARGIN - 70, MARGIN, 70, 26).fill('black')
+  doc.fillColor('white').font('Helvetica-Bold').fontSize(marker === 'DOC' ? 16 : 12)
+    .text(marker, LABEL_WIDTH - MARGIN - 70, MARGIN + (marker === 'DOC' ? 5 : 7), { width: 70, align: 'center' })
+  doc.fillColor('black')
+  drawRule(doc, 46)
+
+  // Parties: the receiver is what the courier reads, so it is larger
+  const fromBottom = drawParty(doc, 'FROM', booking.sender, 52, 9, { name: 1, address: 2 })
+  drawRule(doc, fromBottom)
+  const toBottom = drawParty(doc, 'TO', booking.receiver, fromBottom + 6, 12, { name: 2, address: 3 })
+  drawRule(doc, toBottom)
+
+  // AWB barcode (Code128) with the AWB printed below
+  const barcodeTop = Math.min(Math.max(toBottom + 8, BARCODE_TOP_MIN), BARCODE_TOP_MAX)
+  doc.image(barcode, MARGIN + 4, barcodeTop, { width: CONTENT_WIDTH - 8, height: 60 })
+  doc.font('Helvetica-Bold').fontSize(13).text(booking.awb, MARGIN, barcodeTop + 64, { width: CONTENT_WIDTH, align: 'center', characterSpacing: 1 })
+  drawRule(doc, barcodeTop + 84)
+
+  // Details and tracking QR code
+  const detailsTop = barcodeTop + 90
+  const pieces = (booking.items || []).reduce((total, item) => total + (Number(item.quantity ?? item.qty) || 0), 0)
+  const weight = booking.quote ? `${booking.quote.chargeableWeightKg} kg` : '-'
+  const submittedAt = booking.submittedAt ? new Date(booking.submittedAt).toISOString().slice(0, 10) : '-'
+  const detailsWidth = CONTENT_WIDTH - QR_SIZE - 10
+  doc.font('Helvetica').fontSize(8)
+    .text(`Ref: ${booking.referenceNumber || '-'}`, MARGIN, detailsTop, { width: detailsWidth })
+    .text(`Date: ${submittedAt}`)
+    .text(`Items: ${pieces}    Weight: ${weight}`)
+  boundedText(doc, `Delivery: ${booking.receiver?.deliveryOption || '-'}`, 1, detailsWidth)
+  doc.text('Track:')
+  boundedText(doc, getTrackingUrl(booking.awb), 2, detailsWidth)
+  doc.image(qrCode, LABEL_WIDTH - MARGIN - QR_SIZE, detailsTop, { width: QR_SIZE, height: QR_SIZE })
+}
+
+/**
+ * Render shipping labels
+ * @param {Array<{booking: Object, route: Object}>} labels - Bookings with their routes (one page each)
+ * @returns {Promise<Buffer>} - PDF bytes
+ */
+export async function renderShippingLabels(labels) {
+  const doc = new PDFDocument({
+    size: [LABEL_WIDTH, LABEL_HEIGHT],
+    margin: MARGIN,
+    autoFirstPage: false,
+    info: { Title: labels.length === 1 ? `Label ${labels[0].booking.awb}` : `Labels (${labels.length})` }
+  })
+
+  for (const { booking, route } of labels) {
+    const [barcode, qrCode] = await Promise.all([
+      bwipjs.toBuffer({ bcid: 'code128', text: booking.awb, scale: 3, height: 15 }),
+      bwipjs.toBuffer({ bcid: 'qrcode', text: getTrackingUrl(booking.awb), scale: 4, eclevel: 'M' })
+    ])
+    doc.addPage()
+    drawLabel(doc, booking, route, { barcode, qrCode })
+  }
+
+  return toBuffer(doc)
+}
@@ -0,0 +1,85 @@
+/**
+ * Signed Token Service
+ * Issues and verifies compact HMAC-SHA256 signed tokens (JWT, HS256)
+ */
+
+import crypto from 'crypto'
+
+/**
+ * Encode a value as base64url
+ * @param {Buffer|string} value - Value to encode
+ * @returns {string} - base64url string
+ */
+function base64UrlEncode(value) {
+  return Buffer.from(value).toString('base64url')
+}
+
+/**
+ * Compute the HS256 signature of a token's header and payload
+ * @param {string} signingInput - "<header>.<payload>"
+ * @param {string} secret - Signing secret
+ * @returns {string} - base64url signature
+ */
+function sign(signingInput, secret) {
+  return crypto.createHmac('sha256', secret).update(signingInput).digest('base64url')
+}
+
+/**
+ * Create a signed token
+ * @param {Object} payload - Claims to include
+ * @param {Object} options - Signing options
+ * @param {string} options.secret - Signing secret
+ * @param {number} options.expiresInSeconds - Token lifetime in seconds
+ * @returns {string} - Signed token
+ */
+export function signToken(payload, { secret, expiresInSeconds }) {
+  if (!secret) {
+    throw new Error('Token signing secret is not configured')
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000)
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }))
+  const body = base64UrlEncode(JSON.stringify({
+    ...payload,
+    iat: issuedAt,
+    exp: issuedAt + expiresInSeconds
+  }))
+
+  return `${header}.${body}.${sign(`${header}.${body}`, secret)}`
+}
+
+/**
+ * Verify a signed token and return its claims
+ * @param {string} token - Token to verify
+ * @param {Object} options - Verification options
+ * @param {string} options.secret - Signing secret
+ * @returns {Object|null} - Claims if the token is valid and unexpired, otherwise null
+ */
+export function verifyToken(token, { secret }) {
+  if (!secret || !token || typeof token !== 'string') return null
+
+  const parts = token.split('.')
+  if (parts.length !== 3) return null
+
+  const [header, body, signature] = parts
+  const expected = Buffer.from(sign(`${header}.${body}`, secret))
+  const provided = Buffer.from(signature)
+
+  // Constant-time comparison to avoid leaking signature bytes through timing
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null
+  }
+
+  try {
+    const decodedHeader = JSON.parse(Buffer.from(header, 'base64url').toString('utf8'))
+    if (decodedHeader.alg !== 'HS256') return null
+
+    const claims = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'))
+    if (typeof claims.exp !== 'number' || claims.exp <= Math.floor(Date.now() / 1000)) {
+      return null
+    }
+    return claims
+  } catch (error) {
+    return null
+  }
+}
@@ -0,0 +1,168 @@
+/**
+ * SMS Providers
+ * Common interface for SMS gateways used for OTPs and notifications
+ *
+ * A provider is { name, send({ to, message, encoding }) } where send resolves to
+ * { provider, messageId } once the gateway accepted the message, and throws otherwise.
+ * encoding is 'ascii' (default) or 'unicode' (required for Arabic text).
+ *
+ * Providers (SMS_PROVIDER):
+ * - smsala: SMSALA SendSmsV2 API (default, requires SMSALA_API_TOKEN)
+ * - outbox: appends messages to a local JSON Lines file instead of sending them (development and tests)
+ * - a comma-separated list (e.g. "smsala,outbox") tries each provider in order until one succeeds
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import axios from 'axios'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// SMS Configuration
+const SMS_PROVIDER = process.env.SMS_PROVIDER || 'smsala'
+const SMS_OUTBOX_DIR = process.env.SMS_OUTBOX_DIR || './storage/outbox'
+
+// SMSALA Configuration
+const SMSALA_API_TOKEN = process.env.SMSALA_API_TOKEN
+const SMSALA_SOURCE_ADDRESS = process.env.SMSALA_SOURCE_ADDRESS || 'KN EXPRESS'
+const SMSALA_API_URL = 'https://api2.smsala.com/SendSmsV2'
+// messageEncoding values for SMSALA
+const SMSALA_ASCII_ENCODING = '1'
+const SMSALA_UNICODE_ENCODING = process.env.SMSALA_UNICODE_ENCODING || '8'
+
+/**
+ * Create the SMSALA provider
+ * @param {Object} options - Options
+ * @param {string} options.apiToken - SMSALA API token
+ * @param {string} options.sourceAddress - Sender ID
+ * @param {string} options.apiUrl - SendSmsV2 endpoint
+ * @returns {Object} - SMS provider
+ */
+export function createSmsalaProvider({ apiToken, sourceAddress, apiUrl = SMSALA_API_URL }) {
+  return {
+    name: 'smsala',
+
+    async send({ to, message, encoding = 'ascii' }) {
+      if (!apiToken) {
+        throw new Error('SMSALA_API_TOKEN is not configured')
+      }
+
+      // SMSALA expects the number without + prefix
+      const destinationAddress = to.trim().replace(/\s+/g, '').replace(/^\+/, '')
+      if (destinationAddress.length < 10) {
+        throw new Error('Invalid phone number format')
+      }
+
+      // SMSALA API Request - POST requires an array of objects
+      const requestData = [{
+        apiToken: apiToken,
+        messageType: '3', // OTP / transactional (as string)
+        messageEncoding: encoding === 'unicode' ? SMSALA_UNICODE_ENCODING : SMSALA_ASCII_ENCODING,
+        destinationAddress: destinationAddress,
+        sourceAddress: sourceAddress,
+        messageText: message
+      }]
+
+      const response = await axios.post(apiUrl, requestData, {
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        timeout: 10000 // 10 second timeout
+      })
+
+      // SMSALA returns an array of responses
+      if (!Array.isArray(response.data) || response.data.length === 0) {
+        throw new Error('Invalid response format from SMSALA')
+      }
+
+      const smsResult = response.data[0]
+      if (smsResult.Status !== 'Success' && smsResult.OperationCode !== 0) {
+        throw new Error(smsResult.Remarks || 'SMSALA rejected the message')
+      }
+
+      return { provider: 'smsala', messageId: smsResult.MessageId || null }
+    }
+  }
+}
+
+/**
+ * Create the outbox provider
+ * Messages are appended to <directory>/sms-outbox.jsonl so OTP flows can be run without a gateway
+ * @param {Object} options - Options
+ * @param {string} options.directory - Outbox directory
+ * @returns {Object} - SMS provider
+ */
+export function createOutboxProvider({ directory }) {
+  const outboxFile = path.join(directory, 'sms-outbox.jsonl')
+
+  return {
+    name: 'outbox',
+
+    async send({ to, message, encoding = 'ascii' }) {
+      const messageId = `outbox-${crypto.randomUUID()}`
+      await fs.mkdir(directory, { recursive: true })
+      await fs.appendFile(outboxFile, JSON.stringify({ messageId, to, message, encoding, sentAt: new Date().toISOString() }) + '\n')
+      return { provider: 'outbox', messageId }
+    }
+  }
+}
+
+/**
+ * Create a provider that tries each provider in order until one succeeds
+ * @param {Object[]} providers - SMS providers, in order of preference
+ * @returns {Object} - SMS provider
+ */
+export function createFailoverProvider(providers) {
+  return {
+    name: providers.map(provider => provider.name).join(','),
+
+    async send(sms) {
+      const failures = []
+      for (const provider of providers) {
+        try {
+          return await provider.send(sms)
+        } catch (error) {
+          failures.push(`${provider.name}: ${error.message}`)
+        }
+      }
+      throw new Error(`All SMS providers failed (${failures.join('; ')})`)
+    }
+  }
+}
+
+/**
+ * Create a single provider by name
+ * @param {string} name - Provider name
+ * @returns {Object} - SMS provider
+ */
+function createProvider(name) {
+  switch (name) {
+    case 'smsala':
+      return createSmsalaProvider({ apiToken: SMSALA_API_TOKEN, sourceAddress: SMSALA_SOURCE_ADDRESS })
+    case 'outbox':
+      // The outbox holds OTPs in plain text and must never replace real delivery in production
+      if (process.env.NODE_ENV === 'production') {
+        throw new Error('The outbox SMS provider cannot be used in production')
+      }
+      return createOutboxProvider({ directory: SMS_OUTBOX_DIR })
+    default:
+      throw new Error(`Unknown SMS_PROVIDER: ${name}`)
+  }
+}
+
+let defaultProvider = null
+
+/**
+ * Get the SMS provider selected by SMS_PROVIDER
+ * @returns {Object} - SMS provider
+ */
+export function getSmsProvider() {
+  if (!defaultProvider) {
+    const names = SMS_PROVIDER.split(',').map(name => name.trim()).filter(Boolean)
+    const providers = names.map(createProvider)
+    defaultProvider = providers.length === 1 ? providers[0] : createFailoverProvider(providers)
+  }
+  return defaultProvider
+}
@@ -0,0 +1,144 @@
+/**
+ * SMS Templates
+ * Localized message texts (English, Arabic, Filipino) with {placeholder} variables,
+ * for SMS and for the voice and email OTP channels, and for booking notifications
+ *
+ * The language comes from the request's locale when it is supported, otherwise from
+ * the destination country calling code, otherwise English.
+ */
+
+import { getCountryCallingCode } from './phone-number.js'
+
+export const SUPPORTED_LOCALES = ['en', 'ar', 'fil']
+export const DEFAULT_LOCALE = 'en'
+
+// Locale aliases accepted from clients
+const LOCALE_ALIASES = { tl: 'fil' }
+
+// Default language by destination country calling code
+// UAE numbers (+971) are not listed: most customers there are expatriates, so they get English
+// unless the client sends a locale
+const COUNTRY_LOCALES = {
+  '+63': 'fil', // Philippines
+  '+966': 'ar', // Saudi Arabia
+  '+965': 'ar', // Kuwait
+  '+974': 'ar', // Qatar
+  '+973': 'ar', // Bahrain
+  '+968': 'ar' // Oman
+}
+
+const TEMPLATES = {
+  otp: {
+    en: 'Your OTP is {otp}. Valid for {minutes} minutes.',
+    ar: 'رمز التحقق الخاص بك هو {otp}. صالح لمدة {minutes} دقائق.',
+    fil: 'Ang iyong OTP ay {otp}. Valid ito sa loob ng {minutes} minuto.'
+  },
+  // Read out by text-to-speech; {digits} is the OTP with spaces so each digit is spoken separately
+  otpVoice: {
+    en: 'Your KN Express verification code is {digits}. Again, your code is {digits}.',
+    ar: 'رمز التحقق من كي إن إكسبريس هو {digits}. أكرر، الرمز هو {digits}.',
+    fil: 'Ang iyong KN Express verification code ay {digits}. Uulitin ko, ang code mo ay {digits}.'
+  },
+  otpEmailSubject: {
+    en: 'Your KN Express verification code',
+    ar: 'رمز التحقق من كي إن إكسبريس',
+    fil: 'Ang iyong KN Express verification code'
+  },
+  otpEmail: {
+    en: 'Your verification code is {otp}.\n\nIt is valid for {minutes} minutes. If you did not request this code, you can ignore this email.\n\nKN Express',
+    ar: 'رمز التحقق الخاص بك هو {otp}.\n\nالرمز صالح لمدة {minutes} دقائق. إذا لم تطلب هذا الرمز، يمكنك تجاهل هذه الرسالة.\n\nكي إن إكسبريس',
+    fil: 'Ang iyong verification code ay {otp}.\n\nValid ito sa loob ng {minutes} minuto. Kung hindi ikaw ang humiling ng code na ito, maaari mong balewalain ang email na ito.\n\nKN Express'
+  },
+  // Booking confirmation to the sender; {nextSteps} is bookingNextStepsWarehouse or bookingNextStepsPickup
+  bookingConfirmation: {
+    en: 'KN Express: booking confirmed. AWB {awb}, ref {referenceNumber}. {nextSteps} Track: {trackingUrl}',
+    ar: 'كي إن إكسبريس: تم تأكيد الحجز. رقم الشحنة {awb}، المرجع {referenceNumber}. {nextSteps} التتبع: {trackingUrl}',
+    fil: 'KN Express: kumpirmado ang booking. AWB {awb}, ref {referenceNumber}. {nextSteps} I-track: {trackingUrl}'
+  },
+  bookingConfirmationEmailSubject: {
+    en: 'KN Express booking confirmed - AWB {awb}',
+    ar: 'تأكيد حجز كي إن إكسبريس - رقم الشحنة {awb}',
+    fil: 'Kumpirmado ang iyong KN Express booking - AWB {awb}'
+  },
+  bookingConfirmationEmail: {
+    en: 'Hello {name},\n\nThank you for booking with KN Express ({route}).\n\nAWB number: {awb}\nReference number: {referenceNumber}\n\nNext steps: {nextSteps}\n\nTrack your shipment: {trackingUrl}\n\nPlease keep this email; you will need the AWB number for any questions about your shipment.\n\nKN Express',
+    ar: 'مرحباً {name}،\n\nشكراً لحجزك مع كي إن إكسبريس ({route}).\n\nرقم الشحنة: {awb}\nالرقم المرجعي: {referenceNumber}\n\nالخطوات التالية: {nextSteps}\n\nتتبع شحنتك: {trackingUrl}\n\nيرجى الاحتفاظ بهذه الرسالة، فستحتاج إلى رقم الشحنة لأي استفسار عن شحنتك.\n\nكي إن إكسبريس',
+    fil: 'Hello {name},\n\nSalamat sa pag-book sa KN Express ({route}).\n\nAWB number: {awb}\nReference number: {referenceNumber}\n\nSusunod na hakbang: {nextSteps}\n\nI-track ang iyong padala: {trackingUrl}\n\nPakitago ang email na ito; kakailanganin mo ang AWB number sa anumang tanong tungkol sa iyong padala.\n\nKN Express'
+  },
+  bookingNextStepsWarehouse: {
+    en: 'Bring your parcel to our warehouse and show this AWB.',
+    ar: 'أحضر طردك إلى مستودعنا وأظهر رقم الشحنة.',
+    fil: 'Dalhin ang iyong padala sa aming warehouse at ipakita ang AWB na ito.'
+  },
+  bookingNextStepsPickup: {
+    en: 'Our team will call you to schedule the pickup.',
+    ar: 'سيتصل بك فريقنا لتحديد موعد الاستلام.',
+    fil: 'Tatawagan ka ng aming team para i-schedule ang pickup.'
+  },
+  // Notice to the receiver when the sender asks for it (notifyReceiver). The receiver's phone and email
+  // are not verified, so these texts carry no names or other free text typed by the sender
+  bookingReceiverNotice: {
+    en: 'KN Express: a shipment to you has been booked. AWB {awb}. Track: {trackingUrl}',
+    ar: 'كي إن إكسبريس: تم حجز شحنة إليك. رقم الشحنة {awb}. التتبع: {trackingUrl}',
+    fil: 'KN Express: may naka-book na padala para sa iyo. AWB {awb}. I-track: {trackingUrl}'
+  },
+  bookingReceiverEmailSubject: {
+    en: 'A KN Express shipment is on its way to you - AWB {awb}',
+    ar: 'شحنة من كي إن إكسبريس في طريقها إليك - رقم الشحنة {awb}',
+    fil: 'May KN Express na padala para sa iyo - AWB {awb}'
+  },
+  bookingReceiverEmail: {
+    en: 'Hello,\n\nA KN Express shipment to you has been booked ({route}).\n\nAWB number: {awb}\n\nTrack the shipment: {trackingUrl}\n\nKN Express',
+    ar: 'مرحباً،\n\nتم حجز شحنة إليك مع كي إن إكسبريس ({route}).\n\nرقم الشحنة: {awb}\n\nتتبع الشحنة: {trackingUrl}\n\nكي إن إكسبريس',
+    fil: 'Hello,\n\nMay naka-book na KN Express na padala para sa iyo ({route}).\n\nAWB number: {awb}\n\nI-track ang padala: {trackingUrl}\n\nKN Express'
+  }
+}
+
+/**
+ * Normalize a client locale (e.g., 'ar-AE', 'fil_PH', 'EN') to a supported locale
+ * @param {string} locale - Locale from the request
+ * @returns {string|null} - Supported locale or null
+ */
+export function normalizeLocale(locale) {
+  if (!locale || typeof locale !== 'string') return null
+  const language = locale.trim().toLowerCase().split(/[-_]/)[0]
+  const resolved = LOCALE_ALIASES[language] || language
+  return SUPPORTED_LOCALES.includes(resolved) ? resolved : null
+}
+
+/**
+ * Pick the message locale
+ * @param {Object} options - Options
+ * @param {string} options.locale - Locale from the request (optional)
+ * @param {string} options.phoneNumber - Destination phone number
+ * @returns {string} - Supported locale
+ */
+export function resolveLocale({ locale, phoneNumber }) {
+  return normalizeLocale(locale) || COUNTRY_LOCALES[getCountryCallingCode(phoneNumber)] || DEFAULT_LOCALE
+}
+
+/**
+ * Render a template
+ * @param {string} name - Template name (e.g., 'otp')
+ * @param {string} locale - Supported locale
+ * @param {Object} variables - Placeholder values
+ * @returns {{text: string, locale: string, encoding: string}} - Message text, locale used, and
+ *          'unicode' if the text has characters outside ASCII (otherwise 'ascii')
+ */
+export function renderTemplate(name, locale, variables = {}) {
+  const template = TEMPLATES[name]
+  if (!template) {
+    throw new Error(`Unknown SMS template: ${name}`)
+  }
+
+  const resolvedLocale = template[locale] ? locale : DEFAULT_LOCALE
+  const text = template[resolvedLocale].replace(/\{(\w+)\}/g, (placeholder, key) => (
+    key in variables ? String(variables[key]) : placeholder
+  ))
+
+  return {
+    text: text,
+    locale: resolvedLocale,
+    encoding: /[^\x00-\x7F]/.test(text) ? 'unicode' : 'ascii'
+  }
+}
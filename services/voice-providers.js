@@ -0,0 +1,112 @@
+/**
+ * Voice Providers
+ * Common interface for text-to-speech call gateways used to read OTPs to customers
+ * who cannot receive SMS
+ *
+ * A provider is { name, call({ to, message, language }) } where call resolves to
+ * { provider, messageId } once the gateway accepted the call, and throws otherwise.
+ *
+ * Providers (VOICE_PROVIDER):
+ * - webhook: POSTs { to, message, language } as JSON to VOICE_WEBHOOK_URL (default)
+ * - outbox: appends calls to a local JSON Lines file instead of placing them (development and tests)
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import crypto from 'crypto'
+import axios from 'axios'
+import dotenv from 'dotenv'
+
+dotenv.config()
+
+// Voice Configuration
+const VOICE_PROVIDER = process.env.VOICE_PROVIDER || 'webhook'
+const VOICE_OUTBOX_DIR = process.env.VOICE_OUTBOX_DIR || './storage/outbox'
+
+// Webhook Configuration
+const VOICE_WEBHOOK_URL = process.env.VOICE_WEBHOOK_URL
+const VOICE_WEBHOOK_TOKEN = process.env.VOICE_WEBHOOK_TOKEN
+
+// Text-to-speech language per message locale
+const VOICE_LANGUAGES = { en: 'en-US', ar: 'ar-AE', fil: 'fil-PH' }
+
+/**
+ * Create the webhook provider
+ * @param {Object} options - Options
+ * @param {string} options.url - Gateway endpoint
+ * @param {string} options.token - Bearer token (optional)
+ * @returns {Object} - Voice provider
+ */
+export function createWebhookVoiceProvider({ url, token }) {
+  return {
+    name: 'webhook',
+
+    async call({ to, message, language = 'en' }) {
+      if (!url) {
+        throw new Error('VOICE_WEBHOOK_URL is not configured')
+      }
+
+      const response = await axios.post(url, {
+        to: to,
+        message: message,
+        language: VOICE_LANGUAGES[language] || VOICE_LANGUAGES.en
+      }, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        },
+        timeout: 10000 // 10 second timeout
+      })
+
+      return { provider: 'webhook', messageId: response.data?.callId || response.data?.id || null }
+    }
+  }
+}
+
+/**
+ * Create the outbox provider
+ * Calls are appended to <directory>/voice-outbox.jsonl so OTP flows can be run without a gateway
+ * @param {Object} options - Options
+ * @param {string} options.directory - Outbox directory
+ * @returns {Object} - Voice provider
+ */
+export function createOutboxVoiceProvider({ directory }) {
+  const outboxFile = path.join(directory, 'voice-outbox.jsonl')
+
+  return {
+    name: 'outbox',
+
+    async call({ to, message, language = 'en' }) {
+      const messageId = `outbox-${crypto.randomUUID()}`
+      await fs.mkdir(directory, { recursive: true })
+      await fs.appendFile(outboxFile, JSON.stringify({ messageId, to, message, language, calledAt: new Date().toISOString() }) + '\n')
+      return { provider: 'outbox', messageId }
+    }
+  }
+}
+
+let defaultProvider = null
+
+/**
+ * Get the voice provider selected by VOICE_PROVIDER
+ * @returns {Object} - Voice provider
+ */
+export function getVoiceProvider() {
+  if (!defaultProvider) {
+    switch (VOICE_PROVIDER) {
+      case 'webhook':
+        defaultProvider = createWebhookVoiceProvider({ url: VOICE_WEBHOOK_URL, token: VOICE_WEBHOOK_TOKEN })
+        break
+      case 'outbox':
+        // The outbox holds OTPs in plain text and must never replace real delivery in production
+        if (process.env.NODE_ENV === 'production') {
+          throw new Error('The outbox voice provider cannot be used in production')
+        }
+        defaultProvider = createOutboxVoiceProvider({ directory: VOICE_OUTBOX_DIR })
+        break
+      default:
+        throw new Error(`Unknown VOICE_PROVIDER: ${VOICE_PROVIDER}`)
+    }
+  }
+  return defaultProvider
+}
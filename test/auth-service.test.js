@@ -0,0 +1,18 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { hashPassword, verifyPassword, verifyStaffPassword } from '../services/auth-service.js'
+
+test('verifyStaffPassword accepts only the right password of an existing user', async () => {
+  const user = { email: 'agent@example.com', passwordHash: await hashPassword('correct horse 42') }
+
+  assert.equal(await verifyStaffPassword('correct horse 42', user), true)
+  assert.equal(await verifyStaffPassword('wrong horse 42', user), false)
+  assert.equal(await verifyStaffPassword('correct horse 42', null), false)
+  assert.equal(await verifyStaffPassword('correct horse 42', { email: 'agent@example.com' }), false)
+})
+
+test('verifyPassword rejects malformed hashes', async () => {
+  assert.equal(await verifyPassword('secret123', 'bcrypt$abc$def'), false)
+  assert.equal(await verifyPassword('secret123', null), false)
+  assert.equal(await verifyPassword('', await hashPassword('secret123')), false)
+})
@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildAWB, validateAWBFormat, isValidAWBCheckCharacter, computeAWBCheckCharacter, createAWBAllocator } from '../services/awb.js'
+
+const DATE = new Date('2026-10-19T10:00:00Z')
+
+test('buildAWB encodes prefix, date, random part and sequence with a check character', () => {
+  const awb = buildAWB('AE', DATE, 12, 'KQ7F3X')
+
+  assert.equal(awb, 'AEBA292KQ7F3X00C2')
+  assert.equal(validateAWBFormat(awb, 'uae-to-pinas'), true)
+  assert.equal(isValidAWBCheckCharacter(awb), true)
+})
+
+test('buildAWB rejects sequences out of range and malformed random parts', () => {
+  assert.throws(() => buildAWB('AE', DATE, 0, 'KQ7F3X'), /sequence out of range/)
+  assert.throws(() => buildAWB('AE', DATE, 36 ** 3, 'KQ7F3X'), /sequence out of range/)
+  assert.throws(() => buildAWB('AE', DATE, 1, 'KQ'), /random part/)
+  assert.throws(() => buildAWB('AE', DATE, 1, '1Q7F3X'), /random part/)
+})
+
+test('validateAWBFormat checks length, route prefix and character classes', () => {
+  const awb = buildAWB('PH', DATE, 3, 'ZZ4M0A')
+
+  assert.equal(validateAWBFormat(awb, 'ph-to-uae'), true)
+  assert.equal(validateAWBFormat(awb, 'pinas-to-uae'), true)
+  assert.equal(validateAWBFormat(awb, 'uae-to-pinas'), false)
+  assert.equal(validateAWBFormat(awb.slice(0, 16), 'ph-to-uae'), false)
+  assert.equal(validateAWBFormat('PHBA2X2ZZ4M0A003O', 'ph-to-uae'), false)
+  assert.equal(validateAWBFormat(awb, 'unknown-service'), false)
+  assert.equal(validateAWBFormat(null, 'ph-to-uae'), false)
+})
+
+test('isValidAWBCheckCharacter detects a mistyped character and swapped neighbours', () => {
+  const awb = buildAWB('AE', DATE, 12, 'KQ7F3X')
+  const mistyped = awb.slice(0, 10) + (awb[10] === 'Z' ? 'Y' : 'Z') + awb.slice(11)
+  const swapped = awb.slice(0, 9) + awb[10] + awb[9] + awb.slice(11)
+
+  assert.equal(isValidAWBCheckCharacter(mistyped), false)
+  assert.equal(isValidAWBCheckCharacter(swapped), false)
+  assert.equal(computeAWBCheckCharacter(awb.slice(0, 16)), awb[16])
+})
+
+test('allocator issues unique, valid AWBs with six random characters', async () => {
+  let sequence = 0
+  const allocator = createAWBAllocator({
+    getCollection: async () => ({ findOneAndUpdate: async () => ({ sequence: ++sequence }) })
+  })
+
+  const awbs = await Promise.all(Array.from({ length: 20 }, () => allocator.allocate('uae-to-pinas', DATE)))
+
+  assert.equal(new Set(awbs).size, awbs.length)
+  for (const awb of awbs) {
+    assert.equal(validateAWBFormat(awb, 'uae-to-pinas'), true)
+    assert.equal(isValidAWBCheckCharacter(awb), true)
+  }
+  // The random part differs between AWBs, not only the sequence
+  assert.ok(new Set(awbs.map(awb => awb.slice(9, 13))).size > 1)
+})
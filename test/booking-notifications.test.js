@@ -0,0 +1,90 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+// The outbox mailer records emails in a temporary directory instead of sending them; the SMS
+// outbox points at a file, so every SMS fails
+const outboxDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'kn-outbox-'))
+process.env.MAIL_PROVIDER = 'outbox'
+process.env.MAIL_OUTBOX_DIR = outboxDirectory
+process.env.SMS_PROVIDER = 'outbox'
+process.env.SMS_OUTBOX_DIR = path.join(outboxDirectory, 'mail-outbox.jsonl')
+
+const { createBookingNotifier } = await import('../services/booking-notifications.js')
+const { getRoute } = await import('../services/route-registry.js')
+
+const booking = {
+  awb: 'AEBA292KQ7F3X00C2',
+  referenceNumber: 'KNXMVFI60E7',
+  sender: { fullName: 'Juan Dela Cruz', phoneNumber: '+971501234567', emailAddress: 'juan@example.com', deliveryOption: 'pickup' },
+  receiver: { fullName: 'Visit evil.example now', phoneNumber: '+639171234567', emailAddress: 'maria@example.com' }
+}
+
+/**
+ * Create a notifier on the email channel with a fake bookings collection
+ */
+function createTestNotifier(channels = ['email']) {
+  const updates = []
+  const notifier = createBookingNotifier({
+    channels: channels,
+    getCollection: async () => ({ updateOne: async (filter, update) => updates.push({ filter, update }) })
+  })
+  return { notifier, updates }
+}
+
+/**
+ * Read the emails recorded by the outbox mailer
+ */
+function readOutbox() {
+  return fs.readFileSync(path.join(outboxDirectory, 'mail-outbox.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line))
+}
+
+test('sender confirmation has the AWB, reference number, next steps and tracking link, and is logged', async () => {
+  const { notifier, updates } = createTestNotifier()
+
+  const attempts = await notifier.sendBookingConfirmation(booking, getRoute('uae-to-pinas'), { locale: 'en', notifyReceiver: false })
+
+  assert.deepEqual(attempts.map(attempt => [attempt.recipient, attempt.channel, attempt.to, attempt.status]), [
+    ['sender', 'email', 'juan@example.com', 'sent']
+  ])
+  const email = readOutbox().find(message => message.messageId === attempts[0].messageId)
+  assert.match(email.subject, /AEBA292KQ7F3X00C2/)
+  assert.match(email.text, /KNXMVFI60E7/)
+  assert.match(email.text, /schedule the pickup/)
+  assert.match(email.text, /track\?awb=AEBA292KQ7F3X00C2/)
+  assert.deepEqual(updates[0].filter, { awb: booking.awb })
+  assert.equal(updates[0].update.$push.notifications.$each.length, 1)
+})
+
+test('receiver notice carries no text typed by the sender', async () => {
+  const { notifier } = createTestNotifier()
+
+  const attempts = await notifier.sendBookingConfirmation(booking, getRoute('uae-to-pinas'), { notifyReceiver: true })
+  const receiverAttempt = attempts.find(attempt => attempt.recipient === 'receiver')
+  const email = readOutbox().find(message => message.messageId === receiverAttempt.messageId)
+
+  assert.equal(receiverAttempt.locale, 'fil')
+  assert.match(email.text, /AEBA292KQ7F3X00C2/)
+  assert.doesNotMatch(email.text + email.subject, /evil|Juan|Dela Cruz/)
+})
+
+test('failed deliveries are logged, not thrown', async () => {
+  const { notifier, updates } = createTestNotifier(['sms', 'email'])
+
+  const attempts = await notifier.sendBookingConfirmation(booking, getRoute('uae-to-pinas'), { notifyReceiver: false })
+
+  assert.deepEqual(attempts.map(attempt => [attempt.channel, attempt.status]), [['sms', 'failed'], ['email', 'sent']])
+  assert.match(attempts[0].error, /Failed to send SMS/)
+  assert.equal(updates[0].update.$push.notifications.$each.length, 2)
+})
+
+test('nothing is logged when there is nothing to send', async () => {
+  const { notifier, updates } = createTestNotifier([])
+
+  const attempts = await notifier.sendBookingConfirmation(booking, getRoute('uae-to-pinas'))
+
+  assert.deepEqual(attempts, [])
+  assert.equal(updates.length, 0)
+})
@@ -0,0 +1,131 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { validateBooking, normalizeItems } from '../services/booking-schema.js'
+import { getRoute } from '../services/route-registry.js'
+
+const UAE_TO_PH = getRoute('uae-to-pinas')
+const PH_TO_UAE = getRoute('ph-to-uae')
+
+/**
+ * Build a valid UAE to Philippines booking, with overrides
+ */
+function booking(overrides = {}) {
+  return {
+    service: 'uae-to-pinas',
+    sender: {
+      fullName: 'Juan Dela Cruz',
+      lastName: 'Dela Cruz',
+      country: 'UNITED ARAB EMIRATES',
+      phoneNumber: '+971501234567',
+      shipmentType: 'non-document',
+      declaredAmount: 500,
+      ...overrides.sender
+    },
+    receiver: {
+      fullName: 'Maria Dela Cruz',
+      lastName: 'Dela Cruz',
+      country: 'PHILIPPINES',
+      phoneNumber: '+639171239876',
+      ...overrides.receiver
+    },
+    items: overrides.items || [{ commodity: 'T-shirts', quantity: 10, hsCode: '6109.10' }],
+    otpVerificationToken: 'token',
+    ...overrides.fields
+  }
+}
+
+const fields = (errors) => errors.map(error => `${error.field}:${error.code}`)
+
+test('validateBooking accepts a complete booking', () => {
+  assert.deepEqual(validateBooking(booking(), UAE_TO_PH), [])
+})
+
+test('validateBooking reports every missing field at once', () => {
+  const errors = validateBooking({ service: 'uae-to-pinas', sender: {}, receiver: {} }, UAE_TO_PH)
+
+  assert.deepEqual(fields(errors), [
+    'sender.lastName:required',
+    'sender.country:required',
+    'sender.shipmentType:required',
+    'receiver.lastName:required',
+    'receiver.country:required',
+    'items:required',
+    'otpVerificationToken:required'
+  ])
+  assert.equal(errors.find(error => error.field === 'otpVerificationToken').message, 'OTP verification is required. Please verify your phone number first.')
+})
+
+test('validateBooking requires a declared amount for non-document shipments on insured routes', () => {
+  const missing = validateBooking(booking({ sender: { declaredAmount: undefined } }), UAE_TO_PH)
+  assert.deepEqual(missing, [{
+    field: 'sender.declaredAmount',
+    code: 'required',
+    message: 'sender.declaredAmount must be a number > 0 for non-document shipments'
+  }])
+
+  assert.deepEqual(validateBooking(booking({ sender: { shipmentType: 'document', declaredAmount: undefined } }), UAE_TO_PH), [])
+  assert.deepEqual(fields(validateBooking(booking({ sender: { declaredAmount: 2000000 } }), UAE_TO_PH)), ['sender.declaredAmount:too_large'])
+  // Routes without insurance rules do not ask for a shipment type
+  const phToUae = booking({
+    fields: { service: 'ph-to-uae' },
+    sender: { phoneNumber: '+639171239876', shipmentType: undefined, declaredAmount: undefined },
+    receiver: { phoneNumber: '+971501234567' }
+  })
+  assert.deepEqual(validateBooking(phToUae, PH_TO_UAE), [])
+})
+
+test('validateBooking normalizes enum values before when conditions apply', () => {
+  const padded = booking({ fields: { service: ' UAE-TO-PINAS ' }, sender: { shipmentType: ' non-document ', declaredAmount: undefined } })
+
+  assert.deepEqual(fields(validateBooking(padded, UAE_TO_PH)), ['sender.declaredAmount:required'])
+  assert.equal(padded.sender.shipmentType, 'non-document')
+  assert.equal(padded.service, 'uae-to-pinas')
+
+  const invalid = booking({ sender: { shipmentType: ' parcel ' } })
+  assert.deepEqual(fields(validateBooking(invalid, UAE_TO_PH)), ['sender.shipmentType:invalid_value'])
+  assert.equal(invalid.sender.shipmentType, ' parcel ')
+})
+
+test('validateBooking checks phone numbers against the countries of the route', () => {
+  const errors = validateBooking(booking({ sender: { phoneNumber: '+639171239876' } }), UAE_TO_PH)
+
+  assert.deepEqual(fields(errors), ['sender.phoneNumber:invalid_phone'])
+})
+
+test('validateBooking checks item lines and accepts numeric strings and the qty alias', () => {
+  const errors = validateBooking(booking({
+    items: [
+      { commodity: 'Shoes', qty: '2', unitValue: '100' },
+      { commodity: 'Bags', quantity: 1.5, hsCode: '42' },
+      { quantity: 1 }
+    ]
+  }), UAE_TO_PH)
+
+  assert.deepEqual(errors, [
+    { field: 'items[1].quantity', code: 'not_integer', message: 'Quantity must be a whole number' },
+    { field: 'items[1].hsCode', code: 'invalid_format', message: 'HS code must be 4 to 10 digits (e.g. 6109.10)' },
+    { field: 'items[2].commodity', code: 'required', message: 'Commodity is required' }
+  ])
+})
+
+test('validateBooking rejects unknown services and wrong types', () => {
+  const errors = validateBooking(booking({ fields: { service: 'mars-express', notifyReceiver: 'yes' } }), null)
+
+  assert.deepEqual(fields(errors), ['service:invalid_value', 'notifyReceiver:invalid_type'])
+  assert.match(errors[0].message, /Supported services: uae-to-pinas, ph-to-uae/)
+})
+
+test('normalizeItems converts numbers and keeps qty for existing readers', () => {
+  assert.deepEqual(normalizeItems([{ commodity: ' Shoes ', qty: '2', unitValue: '100', hsCode: ' 6403.99 ' }]), [{
+    id: null,
+    commodity: 'Shoes',
+    quantity: 2,
+    qty: 2,
+    unitValue: 100,
+    weightKg: null,
+    lengthCm: null,
+    widthCm: null,
+    heightCm: null,
+    hsCode: '6403.99'
+  }])
+})
@@ -0,0 +1,55 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { isBookingOwner, toTrackingView, toPublicBooking, maskPhoneNumber, generateReferenceNumber } from '../services/booking-view.js'
+
+const booking = {
+  awb: 'AEBA292KQ7F3X00C2',
+  referenceNumber: 'KNXMVFI60E7',
+  service: 'uae-to-pinas',
+  status: 'pending',
+  statusHistory: [{ status: 'pending', changedAt: new Date('2026-10-19T10:00:00Z'), changedBy: 'customer', note: 'Booking submitted' }],
+  sender: { fullName: 'Juan Dela Cruz', addressLine1: 'Al Nahda 2, Dubai', phoneNumber: '+971501234567' },
+  receiver: { fullName: 'Maria Dela Cruz', addressLine1: 'Quezon City', phoneNumber: '+639171239876' },
+  items: [{ commodity: 'T-shirts', quantity: 10 }],
+  submittedAt: new Date('2026-10-19T10:00:00Z')
+}
+
+test('tracking view has no personal data', () => {
+  const view = toTrackingView(booking)
+
+  assert.deepEqual(Object.keys(view).sort(), ['awb', 'service', 'status', 'statusHistory', 'submittedOn', 'trackingUrl'])
+  assert.deepEqual(view.statusHistory, [{ status: 'pending', changedOn: '2026-10-19' }])
+  assert.equal(view.submittedOn, '2026-10-19')
+  assert.doesNotMatch(JSON.stringify(view), /Dela Cruz|Nahda|KNXMVFI60E7/)
+})
+
+test('reference numbers are random and match the lookup route format', () => {
+  const referenceNumbers = new Set(Array.from({ length: 100 }, generateReferenceNumber))
+
+  assert.equal(referenceNumbers.size, 100)
+  for (const referenceNumber of referenceNumbers) {
+    assert.match(referenceNumber, /^KNX[A-Z0-9]{13}$/)
+  }
+})
+
+test('isBookingOwner accepts the reference number or the last 4 phone digits of either party', () => {
+  assert.equal(isBookingOwner(booking, { referenceNumber: 'knxmvfi60e7' }), true)
+  assert.equal(isBookingOwner(booking, { phoneLast4: '4567' }), true)
+  assert.equal(isBookingOwner(booking, { phoneLast4: '9876' }), true)
+})
+
+test('isBookingOwner rejects missing and wrong factors', () => {
+  assert.equal(isBookingOwner(booking, {}), false)
+  assert.equal(isBookingOwner(booking, { referenceNumber: 'KNXOTHER1' }), false)
+  assert.equal(isBookingOwner(booking, { phoneLast4: '1234' }), false)
+  assert.equal(isBookingOwner(booking, { phoneLast4: '567' }), false)
+  assert.equal(isBookingOwner({ ...booking, sender: {}, receiver: {} }, { phoneLast4: '4567' }), false)
+})
+
+test('owner view masks phone numbers', () => {
+  const view = toPublicBooking(booking)
+
+  assert.equal(view.sender.phoneNumber, '+971******567')
+  assert.equal(maskPhoneNumber('+639171239876'), '+639******876')
+  assert.equal(view.identityDocuments, undefined)
+})
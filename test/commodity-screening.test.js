@@ -0,0 +1,95 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { screenItems, registerCommodityCategory, COMMODITY_CATEGORIES } from '../services/commodity-screening.js'
+import { getRoute } from '../services/route-registry.js'
+
+const UAE_TO_PH = getRoute('uae-to-pinas')
+const PH_TO_UAE = getRoute('ph-to-uae')
+
+/**
+ * Screen one description and describe the outcome
+ */
+function screen(commodity, route = UAE_TO_PH, hsCode) {
+  const result = screenItems([{ commodity, hsCode }], route)
+  if (result.prohibited.length > 0) return `prohibited:${result.prohibited[0].category}`
+  if (result.restricted.length > 0) return `restricted:${result.restricted[0].category}`
+  return 'clear'
+}
+
+test('everyday goods with words shared with prohibited goods are not rejected', () => {
+  for (const commodity of ['glue gun', 'nail gun', 'massage gun', 'toy guns', 'cash register', 'money clip', 'box of matches']) {
+    assert.equal(screen(commodity), 'clear', commodity)
+  }
+})
+
+test('everyday goods are not flagged as restricted', () => {
+  for (const commodity of ['Samsung tablet', 'canned sardines in oil', 'Ginger candy', 'wine glass set', 'water pistol', 'coffee capsules']) {
+    assert.equal(screen(commodity), 'clear', commodity)
+  }
+})
+
+test('unambiguous phrases and HS codes reject the booking', () => {
+  assert.equal(screen('9mm handgun'), 'prohibited:weapons')
+  assert.equal(screen('Gasoline can'), 'prohibited:flammables')
+  assert.equal(screen('dried marijuana'), 'prohibited:narcotics')
+  assert.equal(screen('Metal parts', UAE_TO_PH, '9305.10'), 'prohibited:weapons')
+  assert.equal(screen('Johnnie Walker whisky', PH_TO_UAE), 'prohibited:alcohol')
+})
+
+test('an exclusion word cancels keywords but only downgrades phrases to review', () => {
+  assert.equal(screen('toy rifle'), 'clear')
+
+  for (const commodity of ['handgun toy holster', 'rifle ammunition toy']) {
+    const result = screenItems([{ commodity }], UAE_TO_PH)
+    assert.equal(result.prohibited.length, 0, commodity)
+    assert.equal(result.restricted[0].category, 'weapons', commodity)
+    assert.equal(result.restricted[0].possiblyProhibited, true, commodity)
+    assert.match(result.restricted[0].matchedBy, /with exclusion "toy"/)
+  }
+})
+
+test('a prohibited category matched by a keyword only is sent to review', () => {
+  const result = screenItems([{ commodity: 'hunting rifle scope' }], UAE_TO_PH)
+
+  assert.equal(result.prohibited.length, 0)
+  assert.equal(result.restricted.length, 1)
+  assert.equal(result.restricted[0].category, 'weapons')
+  assert.equal(result.restricted[0].possiblyProhibited, true)
+  assert.equal(result.restricted[0].matchedBy, 'keyword "rifle"')
+})
+
+test('restricted categories flag the item for review', () => {
+  const result = screenItems([{ commodity: 'T-shirts' }, { commodity: 'Lithium batteries' }, { commodity: 'Perfume' }], UAE_TO_PH)
+
+  assert.deepEqual(result.prohibited, [])
+  assert.deepEqual(result.restricted.map(match => [match.index, match.category, match.possiblyProhibited]), [
+    [1, 'batteries', false],
+    [2, 'liquids', false]
+  ])
+})
+
+test('an HS code of a prohibited category is not hidden by a keyword of another category', () => {
+  assert.equal(screen('spray', UAE_TO_PH, '9304.00'), 'prohibited:weapons')
+})
+
+test('route rules decide the level of a category', () => {
+  assert.equal(screen('Marlboro cigarettes', UAE_TO_PH), 'restricted:tobacco')
+  assert.equal(screen('Marlboro cigarettes', PH_TO_UAE), 'prohibited:tobacco')
+})
+
+test('registerCommodityCategory validates lists and HS codes', () => {
+  assert.throws(() => registerCommodityCategory('Bad Id', { keywords: ['x'] }), /Invalid commodity category/)
+  assert.throws(() => registerCommodityCategory('spices', { keywords: 'chili' }), /keywords must be a list/)
+  assert.throws(() => registerCommodityCategory('spices', { keywords: ['chili'], hsCodes: ['9'] }), /hsCodes/)
+  assert.throws(() => registerCommodityCategory('spices', { label: 'Spices' }), /required/)
+
+  registerCommodityCategory('test-spices', { label: 'Spices', phrases: ['Chili Powder'], keywords: ['masala'] })
+  assert.deepEqual(COMMODITY_CATEGORIES['test-spices'], {
+    label: 'Spices',
+    phrases: ['chili powder'],
+    keywords: ['masala'],
+    exclude: [],
+    hsCodes: []
+  })
+  delete COMMODITY_CATEGORIES['test-spices']
+})
@@ -0,0 +1,96 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { buildCustomsDocuments } from '../services/customs.js'
+import { getRoute } from '../services/route-registry.js'
+
+// Fixed exchange rate, whatever CUSTOMS_EXCHANGE_RATE_AED_PHP says
+const UAE_TO_PH = getRoute('uae-to-pinas')
+const ROUTE = { ...UAE_TO_PH, customs: { ...UAE_TO_PH.customs, exchangeRate: 15.5 } }
+const DATE = new Date('2026-10-19T10:00:00Z')
+
+/**
+ * Build a booking with the given items and sender fields
+ */
+function booking(items, sender = {}) {
+  return {
+    awb: 'AEBA292KQ7F3X00C2',
+    referenceNumber: 'KNXMVFI60E7',
+    submittedAt: DATE,
+    sender: { fullName: 'Juan Dela Cruz', addressLine1: 'Al Nahda 2, Dubai', phoneNumber: '+971501234567', shipmentType: 'non-document', ...sender },
+    receiver: { firstName: 'Maria', lastName: 'Dela Cruz', addressLine1: 'Quezon City', phoneNumber: '+639171239876' },
+    items: items
+  }
+}
+
+const treatment = (documents) => documents.declaration.treatment
+const failedChecks = (documents) => documents.declaration.checks.filter(check => !check.passed).map(check => check.rule)
+
+test('buildCustomsDocuments totals the item lines and converts the value to the customs currency', () => {
+  const documents = buildCustomsDocuments(booking([
+    { commodity: 'T-shirts', hsCode: '6109.10', quantity: 10, unitValue: 20, weightKg: 0.2 },
+    { commodity: 'Shoes', hsCode: '6403.99', quantity: 2, unitValue: 100, weightKg: 0.8 }
+  ], { declaredAmount: 400 }), ROUTE, { date: DATE })
+
+  assert.deepEqual(documents.declaration.totals, {
+    quantity: 12,
+    weightKg: 3.6,
+    value: 400,
+    currency: 'AED',
+    customsValue: 6200,
+    customsCurrency: 'PHP',
+    exchangeRate: 15.5
+  })
+  assert.equal(treatment(documents), 'de_minimis')
+  assert.equal(documents.declaration.dutyFree, true)
+  assert.deepEqual(documents.declaration.warnings, [])
+  assert.equal(documents.declaration.consignee.name, 'Maria Dela Cruz')
+  assert.equal(documents.declaration.consignee.countryCode, 'PH')
+  assert.equal(documents.invoice.invoiceNumber, 'CI-AEBA292KQ7F3X00C2')
+  assert.equal(documents.invoice.total, 400)
+})
+
+test('buildCustomsDocuments treats personal effects above de minimis as a balikbayan box', () => {
+  const items = [{ commodity: 'Clothes', hsCode: '6109.10', quantity: 12, unitValue: 150 }]
+
+  const documents = buildCustomsDocuments(booking(items), ROUTE, { balikbayanCount: 3, date: DATE })
+  assert.equal(treatment(documents), 'balikbayan')
+  assert.deepEqual(failedChecks(documents), ['de_minimis'])
+  assert.equal(documents.invoice.reasonForExport, 'Personal effects (balikbayan box)')
+
+  const fourthBox = buildCustomsDocuments(booking(items), ROUTE, { balikbayanCount: 4, date: DATE })
+  assert.equal(treatment(fourthBox), 'formal_entry')
+  assert.equal(fourthBox.declaration.dutyFree, false)
+  assert.deepEqual(failedChecks(fourthBox), ['de_minimis', 'balikbayan_frequency'])
+})
+
+test('buildCustomsDocuments sends commercial quantities and restricted goods to formal entry', () => {
+  const commercial = buildCustomsDocuments(booking([{ commodity: 'Phone cases', hsCode: '4202.32', quantity: 13, unitValue: 60 }]), ROUTE, { date: DATE })
+  assert.equal(treatment(commercial), 'formal_entry')
+  assert.deepEqual(failedChecks(commercial), ['de_minimis', 'balikbayan_quantities'])
+
+  const restricted = booking([{ commodity: 'Perfume', hsCode: '3303.00', quantity: 12, unitValue: 100 }])
+  restricted.commodityScreening = { restricted: [{ commodity: 'Perfume', label: 'Liquids' }] }
+  const documents = buildCustomsDocuments(restricted, ROUTE, { date: DATE })
+  assert.equal(treatment(documents), 'formal_entry')
+  assert.match(documents.declaration.checks.find(check => check.rule === 'balikbayan_restricted_goods').message, /Perfume \(Liquids\)/)
+})
+
+test('buildCustomsDocuments uses the declared amount when item values are missing', () => {
+  const documents = buildCustomsDocuments(booking([{ commodity: 'Canned goods', quantity: 5 }], { declaredAmount: 300 }), ROUTE, { date: DATE })
+
+  assert.equal(documents.declaration.totals.value, 300)
+  assert.deepEqual(documents.declaration.warnings, [
+    'Line 1 (Canned goods) has no unit value',
+    'Line 1 (Canned goods) has no HS code',
+    'Item values are incomplete; the declared amount (300 AED) is used'
+  ])
+})
+
+test('document shipments carry no duties and need no HS codes', () => {
+  const documents = buildCustomsDocuments(booking([{ commodity: 'Contracts', quantity: 1 }], { shipmentType: 'document' }), ROUTE, { date: DATE })
+
+  assert.equal(treatment(documents), 'document')
+  assert.equal(documents.declaration.dutyFree, true)
+  assert.deepEqual(documents.declaration.warnings, ['Line 1 (Contracts) has no unit value'])
+  assert.equal(documents.invoice.reasonForExport, 'Documents')
+})
@@ -0,0 +1,61 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { parseEmiratesIdText, validateEmiratesIdNumber, isEmiratesIdExpired } from '../services/emirates-id.js'
+
+const FRONT = [
+  'UNITED ARAB EMIRATES',
+  'FEDERAL AUTHORITY FOR IDENTITY',
+  'Resident Identity Card',
+  'ID Number 784-1990-1234567-6',
+  'Name: Juan Dela Cruz',
+  'Date of Birth: 15/03/1990',
+  'Nationality: Philippines',
+  'Expiry Date: 2021-05-31'
+].join('\n')
+
+test('parseEmiratesIdText reads the fields of an Emirates ID', () => {
+  assert.deepEqual(parseEmiratesIdText(FRONT), {
+    idNumber: '784-1990-1234567-6',
+    idNumberValid: true,
+    idNumberReason: null,
+    name: 'JUAN DELA CRUZ',
+    nationality: 'PHILIPPINES',
+    dateOfBirth: '1990-03-15',
+    expiryDate: '2021-05-31',
+    expired: true
+  })
+})
+
+test('parseEmiratesIdText fixes characters OCR reads in place of digits', () => {
+  assert.equal(parseEmiratesIdText('ID Number 784 199O I234567 6').idNumber, '784-1990-1234567-6')
+  // A misread 784 prefix is corrected only when the check digit confirms it
+  assert.equal(parseEmiratesIdText('ID Number 184-1990-1234567-6').idNumber, '784-1990-1234567-6')
+  assert.equal(parseEmiratesIdText('ID Number 184-1990-1234567-1').idNumberValid, false)
+})
+
+test('parseEmiratesIdText reports what it could not read', () => {
+  const result = parseEmiratesIdText('ID Number 784-1990-1234567-5\nDate of Birth: 31/02/1990')
+
+  assert.equal(result.idNumber, '784-1990-1234567-5')
+  assert.equal(result.idNumberValid, false)
+  assert.equal(result.idNumberReason, 'ID number check digit is invalid')
+  assert.equal(result.dateOfBirth, null)
+
+  assert.equal(parseEmiratesIdText(null).idNumberReason, 'ID number not found')
+  assert.equal(parseEmiratesIdText('Resident Identity Card').idNumber, null)
+})
+
+test('validateEmiratesIdNumber checks length, prefix, birth year and check digit', () => {
+  assert.deepEqual(validateEmiratesIdNumber('784199012345676'), { valid: true, reason: null })
+  assert.equal(validateEmiratesIdNumber('784-1990-123456').reason, 'ID number must have 15 digits')
+  assert.equal(validateEmiratesIdNumber('785-1990-1234567-6').reason, 'ID number must start with 784')
+  assert.equal(validateEmiratesIdNumber('784-1850-1234567-6').reason, 'ID number contains an invalid year of birth')
+})
+
+test('isEmiratesIdExpired compares the expiry date with the day', () => {
+  const now = new Date('2026-10-19T10:00:00Z')
+
+  assert.equal(isEmiratesIdExpired('2026-10-18', now), true)
+  assert.equal(isEmiratesIdExpired('2026-10-19', now), false)
+  assert.equal(isEmiratesIdExpired(null, now), false)
+})
@@ -0,0 +1,62 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { storeIdentityImages, deleteUnreferencedImages } from '../services/identity-documents.js'
+import { createLocalBlobStore } from '../services/blob-store.js'
+
+/**
+ * Create a local blob store in a fresh temporary directory
+ */
+function createTemporaryBlobStore(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'blobs-'))
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }))
+  return createLocalBlobStore({ directory })
+}
+
+/**
+ * Fake bookings collection whose documents reference the given hashes
+ */
+function bookingsReferencing(hashes) {
+  return {
+    countDocuments: async (query) => (
+      query.$or.some(condition => hashes.includes(Object.values(condition)[0])) ? 1 : 0
+    )
+  }
+}
+
+const image = (field, text) => ({ field, buffer: Buffer.from(text), contentType: 'image/jpeg', width: 10, height: 10 })
+
+test('storeIdentityImages reports only the blobs it created', async (t) => {
+  const blobStore = createTemporaryBlobStore(t)
+  const shared = await blobStore.put(Buffer.from('front'), { contentType: 'image/jpeg' })
+
+  const { identityDocuments, createdHashes } = await storeIdentityImages(
+    [image('eidFrontImage', 'front'), image('eidBackImage', 'back'), image('customerImages[0]', 'face')],
+    blobStore
+  )
+
+  assert.equal(shared.created, true)
+  assert.equal(identityDocuments.eidFrontImage.hash, shared.hash)
+  assert.equal(identityDocuments.eidFrontImage.created, undefined)
+  assert.equal(identityDocuments.customerImage.hash, identityDocuments.customerImages[0].hash)
+  assert.deepEqual(createdHashes, [identityDocuments.eidBackImage.hash, identityDocuments.customerImage.hash])
+})
+
+test('deleteUnreferencedImages keeps blobs another booking references', async (t) => {
+  const blobStore = createTemporaryBlobStore(t)
+  const { identityDocuments, createdHashes } = await storeIdentityImages(
+    [image('eidFrontImage', 'front'), image('eidBackImage', 'back')],
+    blobStore
+  )
+  const front = identityDocuments.eidFrontImage.hash
+  const back = identityDocuments.eidBackImage.hash
+
+  const deleted = await deleteUnreferencedImages(createdHashes, blobStore, bookingsReferencing([front]))
+
+  assert.deepEqual(deleted, [back])
+  const stream = await blobStore.openReadStream(front)
+  assert.equal(Buffer.concat(await stream.toArray()).toString(), 'front')
+  assert.equal(await blobStore.openReadStream(back), null)
+})
@@ -0,0 +1,76 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createOtpRateLimiter } from '../services/otp-rate-limit.js'
+
+/**
+ * In-memory stand-in for the rate limit collection (only the operations the limiter uses)
+ */
+function createMemoryCollection() {
+  const documents = new Map()
+  const matches = (document, filter) => Object.entries(filter).every(([field, condition]) => {
+    if (condition && condition.$lte) return document[field] <= condition.$lte
+    if (condition && condition.$gt) return document[field] > condition.$gt
+    return condition instanceof Date ? document[field]?.getTime() === condition.getTime() : document[field] === condition
+  })
+
+  return {
+    documents,
+    async findOne(filter) {
+      const document = documents.get(filter._id)
+      return document && matches(document, filter) ? document : null
+    },
+    async updateOne(filter, update) {
+      const document = documents.get(filter._id)
+      if (document && !matches(document, filter)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 })
+      }
+      documents.set(filter._id, { ...document, _id: filter._id, ...update.$set })
+    },
+    async findOneAndUpdate(filter, update) {
+      const document = documents.get(filter._id) || { _id: filter._id, count: 0, ...update.$setOnInsert }
+      document.count += update.$inc.count
+      documents.set(filter._id, document)
+      return document
+    },
+    async deleteOne(filter) {
+      const document = documents.get(filter._id)
+      if (document && matches(document, filter)) documents.delete(filter._id)
+    }
+  }
+}
+
+test('the resend cooldown blocks a second OTP on the same channel only', async () => {
+  const collection = createMemoryCollection()
+  const limiter = createOtpRateLimiter({ getCollection: async () => collection })
+  const request = { phoneNumber: '+971501234567', ip: '203.0.113.7' }
+
+  assert.equal((await limiter.checkGenerate(request)).allowed, true)
+
+  const denied = await limiter.checkGenerate(request)
+  assert.equal(denied.allowed, false)
+  assert.match(denied.reason, /Please wait/)
+  assert.ok(denied.retryAfter > 0)
+
+  assert.equal((await limiter.checkGenerate({ ...request, channel: 'voice' })).allowed, true)
+})
+
+test('a request denied by a counter does not hold the cooldown', async () => {
+  const collection = createMemoryCollection()
+  const limiter = createOtpRateLimiter({ getCollection: async () => collection })
+  const { ip } = limiter.getLimits()
+
+  // Use up the hourly limit of one network with other phone numbers
+  for (let i = 0; i < ip.hourly; i++) {
+    assert.equal((await limiter.checkGenerate({ phoneNumber: `+97150000${String(i).padStart(4, '0')}`, ip: '203.0.113.7' })).allowed, true)
+  }
+
+  const denied = await limiter.checkGenerate({ phoneNumber: '+971501234567', ip: '203.0.113.7' })
+  assert.equal(denied.allowed, false)
+  assert.equal(denied.scope, 'ip')
+  assert.equal(collection.documents.has('cooldown:sms:+971501234567'), false)
+  // Nor does it count against the phone number's limits
+  assert.deepEqual([...collection.documents.keys()].filter(id => id.startsWith('phone:+971501234567:')), [])
+
+  // The same number can get an OTP from another network right away
+  assert.equal((await limiter.checkGenerate({ phoneNumber: '+971501234567', ip: '198.51.100.2' })).allowed, true)
+})
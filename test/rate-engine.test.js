@@ -0,0 +1,87 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { computeQuote, checkRateCard } from '../services/rate-engine.js'
+import { getRoute } from '../services/route-registry.js'
+
+const UAE_TO_PH = getRoute('uae-to-pinas')
+const PH_TO_UAE = getRoute('ph-to-uae')
+const DATE = new Date('2026-10-19T10:00:00Z')
+
+const CARD = {
+  service: 'uae-to-pinas',
+  version: '2026-10',
+  effectiveFrom: new Date('2026-10-01T00:00:00Z'),
+  currency: 'AED',
+  volumetricDivisor: 5000,
+  weightStepKg: 0.5,
+  weightBreaks: [{ upToKg: 5, perKg: 25 }, { upToKg: 20, perKg: 18 }, { upToKg: null, perKg: 15 }],
+  minimumCharge: 60,
+  deliveryOptions: { sender: { warehouse: 0, pickup: 20 }, receiver: { delivery: 35, warehouse: 0 } },
+  insurance: { rate: 0.015, minimumPremium: 10 }
+}
+
+test('computeQuote charges the greater of actual and volumetric weight, rounded up to the step', () => {
+  const { valid, quote } = computeQuote(CARD, UAE_TO_PH, {
+    parcels: [{ weightKg: 3.2, lengthCm: 40, widthCm: 30, heightCm: 20 }, { weightKg: 1.1 }],
+    sender: { deliveryOption: 'pickup', shipmentType: 'non-document', declaredAmount: 2000 },
+    receiver: { deliveryOption: 'delivery' }
+  }, DATE)
+
+  assert.equal(valid, true)
+  assert.deepEqual(quote.parcels.map(parcel => parcel.chargeableWeightKg), [4.8, 1.1])
+  assert.equal(quote.chargeableWeightKg, 6)
+  assert.deepEqual(quote.charges.map(charge => [charge.code, charge.amount]), [
+    ['freight', 108],
+    ['sender_pickup', 20],
+    ['receiver_delivery', 35],
+    ['insurance', 30]
+  ])
+  assert.equal(quote.total, 193)
+  assert.equal(quote.declaredAmount, 2000)
+  assert.deepEqual(quote.rateCard, { id: null, version: '2026-10', effectiveFrom: CARD.effectiveFrom })
+  assert.equal(quote.quotedAt, DATE)
+})
+
+test('computeQuote tops small shipments up to the minimum charge and uses default delivery options', () => {
+  const { quote } = computeQuote(CARD, UAE_TO_PH, { parcels: [{ weightKg: 1 }] }, DATE)
+
+  assert.deepEqual(quote.deliveryOptions, { sender: 'warehouse', receiver: 'delivery' })
+  assert.deepEqual(quote.charges.map(charge => [charge.code, charge.amount]), [
+    ['freight', 25],
+    ['minimum_charge', 35],
+    ['receiver_delivery', 35]
+  ])
+  assert.equal(quote.total, 95)
+})
+
+test('computeQuote only insures non-document shipments on routes with insurance rules', () => {
+  const request = { parcels: [{ weightKg: 10 }], sender: { shipmentType: 'non-document', declaredAmount: 100 } }
+
+  assert.deepEqual(computeQuote(CARD, UAE_TO_PH, request, DATE).quote.charges.at(-1), {
+    code: 'insurance',
+    description: 'Insurance on 100 AED declared',
+    amount: 10
+  })
+  assert.equal(computeQuote(CARD, PH_TO_UAE, request, DATE).quote.charges.some(charge => charge.code === 'insurance'), false)
+  const documents = { ...request, sender: { ...request.sender, shipmentType: 'document' } }
+  assert.equal(computeQuote(CARD, UAE_TO_PH, documents, DATE).quote.declaredAmount, 0)
+})
+
+test('computeQuote rejects delivery options not on the card and shipments over the last weight break', () => {
+  const card = { ...CARD, weightBreaks: [{ upToKg: 5, perKg: 25 }, { upToKg: 30, perKg: 18 }] }
+  const result = computeQuote(card, UAE_TO_PH, { parcels: [{ weightKg: 31 }], receiver: { deliveryOption: 'drone' } }, DATE)
+
+  assert.equal(result.valid, false)
+  assert.deepEqual(result.errors, [
+    { field: 'parcels', code: 'too_heavy', message: 'Shipments over 30 kg cannot be quoted online' },
+    { field: 'receiver.deliveryOption', code: 'invalid_value', message: 'receiver.deliveryOption must be one of: "delivery", "warehouse"' }
+  ])
+})
+
+test('checkRateCard reports cards that cannot be used', () => {
+  assert.equal(checkRateCard(CARD), null)
+  assert.equal(checkRateCard({ ...CARD, volumetricDivisor: 0 }), 'volumetricDivisor must be > 0')
+  assert.equal(checkRateCard({ ...CARD, weightBreaks: [{ upToKg: 20, perKg: 18 }, { upToKg: 5, perKg: 25 }] }), 'weightBreaks must be in increasing upToKg order')
+  assert.equal(checkRateCard({ ...CARD, weightBreaks: [{ upToKg: null, perKg: 18 }, { upToKg: 5, perKg: 25 }] }), 'weightBreaks[0] has no upToKg but is not the last break')
+  assert.equal(checkRateCard({ ...CARD, deliveryOptions: { sender: { pickup: -1 } } }), 'deliveryOptions.sender.pickup must be a number >= 0')
+})
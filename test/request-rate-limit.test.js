@@ -0,0 +1,78 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createRequestRateLimiter, HOUR_MS, DAY_MS } from '../services/request-rate-limit.js'
+
+/**
+ * In-memory stand-in for the rate limit collection (only the operations the limiter uses)
+ */
+function createMemoryCollection() {
+  const documents = new Map()
+
+  return {
+    documents,
+    async findOne(filter) {
+      return documents.get(filter._id) || null
+    },
+    async updateOne(filter, update) {
+      const document = documents.get(filter._id) || { _id: filter._id, count: 0, ...update.$setOnInsert }
+      document.count += update.$inc.count
+      documents.set(filter._id, document)
+    }
+  }
+}
+
+function createLimiter(collection) {
+  return createRequestRateLimiter({
+    getCollection: async () => collection,
+    name: 'lookup',
+    limits: [
+      { scope: 'booking', windowMs: DAY_MS, limit: 2, reason: 'booking limit' },
+      { scope: 'ip', windowMs: HOUR_MS, limit: 3, reason: 'ip limit' }
+    ]
+  })
+}
+
+const countsFor = (collection, prefix) => [...collection.documents.values()]
+  .filter(document => document._id.startsWith(prefix))
+  .map(document => document.count)
+
+test('denies once a limit is reached, with the end of the window', async () => {
+  const collection = createMemoryCollection()
+  const limiter = createLimiter(collection)
+
+  assert.equal((await limiter.consume({ booking: 'AWB1', ip: '1.1.1.1' })).allowed, true)
+  assert.equal((await limiter.consume({ booking: 'AWB1', ip: '1.1.1.1' })).allowed, true)
+  const denied = await limiter.consume({ booking: 'AWB1', ip: '1.1.1.1' })
+
+  assert.equal(denied.allowed, false)
+  assert.equal(denied.scope, 'booking')
+  assert.equal(denied.reason, 'booking limit')
+  assert.equal(denied.retryAt.getTime() % DAY_MS, 0)
+  assert.ok(denied.retryAfter >= 1)
+})
+
+test('a denied request does not count against the other limits', async () => {
+  const collection = createMemoryCollection()
+  const limiter = createLimiter(collection)
+
+  for (const awb of ['AWB1', 'AWB2', 'AWB3']) {
+    await limiter.consume({ booking: awb, ip: '1.1.1.1' })
+  }
+  const denied = await limiter.consume({ booking: 'AWB4', ip: '1.1.1.1' })
+
+  assert.equal(denied.scope, 'ip')
+  assert.deepEqual(countsFor(collection, 'lookup:booking:AWB4'), [])
+  assert.equal((await limiter.check({ booking: 'AWB4', ip: '2.2.2.2' })).allowed, true)
+})
+
+test('check does not count and missing keys are skipped', async () => {
+  const collection = createMemoryCollection()
+  const limiter = createLimiter(collection)
+
+  await limiter.check({ booking: 'AWB1', ip: '1.1.1.1' })
+  assert.equal(collection.documents.size, 0)
+
+  await limiter.record({ booking: 'AWB1' })
+  assert.deepEqual(countsFor(collection, 'lookup:booking:AWB1'), [1])
+  assert.deepEqual(countsFor(collection, 'lookup:ip:'), [])
+})
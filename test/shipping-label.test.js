@@ -0,0 +1,59 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { renderShippingLabels } from '../services/shipping-label.js'
+import { getRoute } from '../services/route-registry.js'
+
+/**
+ * Count the pages of a PDF
+ */
+function countPages(pdf) {
+  return (pdf.toString('latin1').match(/\/Type \/Page\b(?!s)/g) || []).length
+}
+
+/**
+ * Build a party with every text field at the booking schema's maximum length
+ */
+function longestParty(word) {
+  const repeat = (length) => `${word} `.repeat(length).slice(0, length)
+  return {
+    fullName: repeat(200),
+    addressLine1: repeat(200),
+    country: repeat(100),
+    phoneNumber: '+971501234567',
+    deliveryOption: repeat(50)
+  }
+}
+
+test('a label with the longest accepted names and addresses fits on one page', async () => {
+  for (const word of ['Mohammed', 'W'.repeat(300)]) {
+    const booking = {
+      awb: 'AEBA292KQ7F3X00C2',
+      referenceNumber: 'KNX0A1B2C3D4E5F6',
+      submittedAt: new Date('2026-10-19T10:00:00Z'),
+      sender: { ...longestParty(word), shipmentType: 'non-document' },
+      receiver: longestParty(word),
+      items: [{ commodity: 'T-shirts', quantity: 10 }]
+    }
+
+    const pdf = await renderShippingLabels([{ booking, route: getRoute('uae-to-pinas') }])
+
+    assert.equal(countPages(pdf), 1, word.slice(0, 10))
+  }
+})
+
+test('batch labels have one page per booking', async () => {
+  const booking = {
+    awb: 'AEBA292KQ7F3X00C2',
+    referenceNumber: 'KNX0A1B2C3D4E5F6',
+    sender: longestParty('Juan'),
+    receiver: longestParty('Maria'),
+    items: []
+  }
+
+  const pdf = await renderShippingLabels([
+    { booking, route: getRoute('uae-to-pinas') },
+    { booking: { ...booking, awb: 'PHBA292ZZ0000003K' }, route: getRoute('ph-to-uae') }
+  ])
+
+  assert.equal(countPages(pdf), 2)
+})
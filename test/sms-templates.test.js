@@ -0,0 +1,32 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { resolveLocale, normalizeLocale, renderTemplate } from '../services/sms-templates.js'
+
+test('UAE numbers get English unless the client sends a locale', () => {
+  assert.equal(resolveLocale({ phoneNumber: '+971501234567' }), 'en')
+  assert.equal(resolveLocale({ locale: 'ar-AE', phoneNumber: '+971501234567' }), 'ar')
+})
+
+test('other numbers follow their country code', () => {
+  assert.equal(resolveLocale({ phoneNumber: '+639171234567' }), 'fil')
+  assert.equal(resolveLocale({ phoneNumber: '+966501234567' }), 'ar')
+  assert.equal(resolveLocale({ phoneNumber: '+447700900123' }), 'en')
+  assert.equal(resolveLocale({ locale: 'de', phoneNumber: '+639171234567' }), 'fil')
+})
+
+test('normalizeLocale accepts aliases and region suffixes', () => {
+  assert.equal(normalizeLocale('tl'), 'fil')
+  assert.equal(normalizeLocale('fil_PH'), 'fil')
+  assert.equal(normalizeLocale('EN'), 'en')
+  assert.equal(normalizeLocale('fr'), null)
+})
+
+test('renderTemplate fills placeholders and marks non-ASCII text as unicode', () => {
+  assert.deepEqual(renderTemplate('otp', 'en', { otp: '123456', minutes: 5 }), {
+    text: 'Your OTP is 123456. Valid for 5 minutes.',
+    locale: 'en',
+    encoding: 'ascii'
+  })
+  assert.equal(renderTemplate('otp', 'ar', { otp: '123456', minutes: 5 }).encoding, 'unicode')
+  assert.throws(() => renderTemplate('missing', 'en'), /Unknown SMS template/)
+})